@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+const { run } = require('../lib/cli');
+
+// Piping into a command that exits early (e.g. head) is not an error
+process.stdout.on('error', err => {
+  if (err.code === 'EPIPE') process.exit(0);
+  throw err;
+});
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -3,30 +3,49 @@ const fs = require('fs').promises;
 const path = require('path');
 const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const os = require('os');
+const { FORMATTERS, getFormatter, formatDowngradeTable } = require('./lib/formatters');
+const { getTokenizer, describeFallback, DEFAULT_TOKENIZER, CHARS_PER_TOKEN } = require('./lib/tokenizer');
+const { getModelPresets, getModelPreset, getOutputBudget } = require('./lib/models');
+const { isGitRepository, listBranches, resolveCommit, getChangedFiles, getFileDiff, getDiffStat } = require('./lib/git');
+const {
+  toPosixPath,
+  parseFlattenIgnore,
+  parseFlattenIgnoreContent,
+  buildDirectoryTree,
+  getScoreBreakdown,
+  processFilesInParallel,
+  getContentStats,
+  estimateOutputFiles,
+  createChunksEfficiently,
+  DEFAULT_IGNORE_CONTENT,
+  getDetailedErrorMessage,
+  compileIgnoreRules,
+  loadGitIgnore,
+  loadFileHistory,
+  evaluateRules,
+  collectFiles,
+  explainPath,
+  formatExplanation,
+  redactFiles,
+  addPatternsToSection,
+  planTokenBudget,
+  fitToBudget
+} = require('./lib/core');
+const { toLiteralPattern } = require('./lib/glob');
+const { loadPathAliases, getImportDistances } = require('./lib/imports');
+const { compareScores } = require('./lib/scoring');
+const { getCompressionModes } = require('./lib/compress');
+const { FileCache } = require('./lib/cache');
+const { readTextFile, getEncodingOverride } = require('./lib/encoding');
+const { compileIncludeRules, checkInclusion } = require('./lib/include');
+const { VSCODE_SETTING_KEYS, fromFlattenIgnore, fromVSCodeSettings, resolveConfig, getPartTokenLimit, formatConfig } = require('./lib/config');
 
 // ----- Helper Functions -----
 
-/**
- * Converts a glob pattern to a regular expression.
- * This function escapes regex special characters (except '*' and '?'),
- * then replaces '**' with a temporary token, '*' with a pattern matching any characters except '/',
- * then restores the token with '.*', and finally replaces '?' with '.'.
- * @param {string} glob 
- * @returns {RegExp}
- */
-function toRegex(glob) {
-  let escaped = glob.replace(/([.+^${}()|[\]\\])/g, '\\$1');
-  escaped = escaped.replace(/\*\*/g, '<<<TWOSTAR>>>');
-  escaped = escaped.replace(/\*/g, '[^/]*');
-  escaped = escaped.replace(/<<<TWOSTAR>>>/g, '.*');
-  escaped = escaped.replace(/\?/g, '.');
-  return new RegExp('^' + escaped + '$');
-}
-
 /**
  * Ensures that a file exists. If not, writes it with the given default content.
- * @param {string} filePath 
- * @param {string} defaultContent 
+ * @param {string} filePath
+ * @param {string} defaultContent
  */
 async function ensureFile(filePath, defaultContent) {
   try {
@@ -45,605 +64,324 @@ async function ensureFile(filePath, defaultContent) {
 }
 
 /**
- * Parses a .flatten_ignore file into four parts: global, whitelist, blacklist, and settings.
- * Expects the file to use section headers "global:", "whitelist:", "blacklist:" and "settings:".
- * For the settings section, each line should be in the format key: value.
- * @param {string} filePath 
- * @param {string} rootPath 
- * @returns {Promise<{global: string[], whitelist: string[], blacklist: string[], settings: Object}>}
+ * Decides how output over the token limit is produced: fitted into a single part by
+ * downgrading the least important files (see fitToBudget), or split into numbered parts.
+ * Asks the user unless the budgetMode setting is 'fit' or 'split'.
+ * @param {number} totalTokens Tokens of all file contents
+ * @param {number} maxTokenLimit
+ * @param {string} [budgetMode] 'fit', 'split' or 'ask'
+ * @returns {Promise<'fit'|'split'>}
+ * @throws {Error} If the user cancels
  */
-async function parseFlattenIgnore(filePath, rootPath) {
-  let content = '';
-  try {
-    content = await fs.readFile(filePath, 'utf8');
-  } catch (_) {
-    return { global: [], whitelist: [], blacklist: [], settings: {} };
-  }
-  const lines = content.split('\n').map(line => line.trim());
-  let section = null;
-  const globalArr = [];
-  const whitelistArr = [];
-  const blacklistArr = [];
-  const settingsObj = {};
-  for (const line of lines) {
-    if (line.startsWith('#') || line === '') continue;
-    if (line.toLowerCase().startsWith('global:')) { section = 'global'; continue; }
-    if (line.toLowerCase().startsWith('whitelist:')) { section = 'whitelist'; continue; }
-    if (line.toLowerCase().startsWith('blacklist:')) { section = 'blacklist'; continue; }
-    if (line.toLowerCase().startsWith('settings:')) { section = 'settings'; continue; }
-    if (section === 'global') {
-      globalArr.push(line);
-    } else if (section === 'whitelist') {
-      whitelistArr.push(line);
-    } else if (section === 'blacklist') {
-      blacklistArr.push(line);
-    } else if (section === 'settings') {
-      // Expect lines in key: value format.
-      const parts = line.split(':');
-      if (parts.length >= 2) {
-        const key = parts[0].trim();
-        const value = parts.slice(1).join(':').trim();
-        // Convert to number if applicable.
-        const num = Number(value);
-        settingsObj[key] = isNaN(num) ? value : num;
-      }
-    }
-  }
-
-  async function processPattern(pattern) {
-    if (!pattern.includes('*') && !pattern.includes('?')) {
-      try {
-        const full = path.join(rootPath, pattern);
-        const stat = await fs.stat(full);
-        if (stat.isDirectory() && !pattern.endsWith('/**')) {
-          return pattern + '/**';
-        }
-      } catch (_) {
-        // If the path doesn't exist, leave the pattern as is.
-      }
-    }
-    return pattern;
-  }
-  async function processAll(arr) {
-    const result = [];
-    for (const pat of arr) {
-      result.push(await processPattern(pat));
-    }
-    return result;
+async function ensureSingleFileOutput(totalTokens, maxTokenLimit, budgetMode = 'ask') {
+  const mode = String(budgetMode).toLowerCase();
+  if (mode === 'fit' || mode === 'split') {
+    return mode;
   }
-  return {
-    global: await processAll(globalArr),
-    whitelist: await processAll(whitelistArr),
-    blacklist: await processAll(blacklistArr),
-    settings: settingsObj
-  };
-}
-
-/**
- * Returns true if the provided path matches any regex in the array.
- * @param {string} p 
- * @param {RegExp[]} regexes 
- * @returns {boolean}
- */
-function matchesAny(p, regexes) {
-  return regexes.some(r => r.test(p));
-}
-
-/**
- * Builds a directory tree (in a tree-like string format) from an array of relative file paths.
- * @param {string[]} filePaths 
- * @returns {string}
- */
-function buildDirectoryTree(filePaths) {
-  const tree = {};
-  filePaths.forEach(relPath => {
-    const parts = relPath.split(path.sep);
-    let node = tree;
-    parts.forEach(part => {
-      if (!node[part]) {
-        node[part] = {};
-      }
-      node = node[part];
-    });
-  });
   
-  function treeToString(node, indent = '') {
-    let output = '';
-    const entries = Object.entries(node);
-    entries.sort((a, b) => a[0].localeCompare(b[0]));
-    entries.forEach(([name, children], index) => {
-      const isLast = index === entries.length - 1;
-      output += `${indent}${isLast ? '└─ ' : '├─ '}${name}\n`;
-      const newIndent = indent + (isLast ? '   ' : '│  ');
-      output += treeToString(children, newIndent);
-    });
-    return output;
+  // If the files are within limits, there is nothing to decide
+  if (totalTokens <= maxTokenLimit) {
+    return 'split';
   }
-  
-  return treeToString(tree);
-}
 
-/**
- * Scores a file based on various criteria to determine its importance
- * @param {string} filePath 
- * @param {Object} stats 
- * @returns {Promise<number>} Score from 0-100, higher is more important
- */
-async function scoreFile(filePath, stats) {
-  let score = 50; // Base score
-  
-  // Size scoring - prefer smaller files
-  const sizeInKB = stats.size / 1024;
-  if (sizeInKB < 10) score += 20;
-  else if (sizeInKB < 50) score += 10;
-  else if (sizeInKB > 500) score -= 20;
-  
-  // Path scoring - prefer source files
-  const relativePath = filePath.toLowerCase();
-  if (relativePath.includes('src/') || relativePath.includes('lib/')) score += 15;
-  if (relativePath.includes('test/') || relativePath.includes('spec/')) score -= 10;
-  if (relativePath.includes('example/') || relativePath.includes('demo/')) score -= 5;
-  
-  // File type scoring
-  const ext = path.extname(filePath).toLowerCase();
-  const mainFiles = ['.ts', '.js', '.py', '.java', '.go', '.rs'];
-  const configFiles = ['.json', '.yml', '.yaml', '.toml'];
-  if (mainFiles.includes(ext)) score += 10;
-  if (configFiles.includes(ext)) score += 5;
+  // Show warning and get user choice
+  const message = 
+    `⚠️ The files total ${totalTokens} tokens, more than the limit of ${maxTokenLimit}.\n\n` +
+    `Choose how to proceed:`;
   
-  // Recent modification bonus
-  const now = new Date();
-  const modifiedDays = (now - stats.mtime) / (1000 * 60 * 60 * 24);
-  if (modifiedDays < 7) score += 10;
+  const FIT = 'Fit into one part';
+  const SPLIT = 'Split into parts';
+  const CANCEL = 'Cancel';
   
-  return Math.max(0, Math.min(100, score));
+  const choice = await vscode.window.showWarningMessage(
+    message,
+    {
+      modal: true,
+      detail: 'Fitting compresses the least important files first, then keeps only their signatures, ' +
+        'then lists them in the directory tree only. Set budgetMode in .flatten_ignore to stop asking.'
+    },
+    FIT,
+    SPLIT,
+    CANCEL
+  );
+
+  if (choice === CANCEL || !choice) {
+    throw new Error('Operation cancelled by user');
+  }
+  return choice === FIT ? 'fit' : 'split';
 }
 
+// ----- Main Extension Code -----
+
 /**
- * Process files in parallel batches for better performance
- * @param {string[]} files 
- * @param {string} rootPath
- * @param {number} maxFileSize
- * @param {number} maxConcurrent
- * @returns {Promise<Array>}
+ * Enhanced progress reporting
  */
-async function processFilesInParallel(files, rootPath, maxFileSize, maxConcurrent = 4) {
-  const results = [];
-  const batches = [];
-  const errors = [];
-  
-  // Split files into batches
-  for (let i = 0; i < files.length; i += maxConcurrent) {
-    batches.push(files.slice(i, i + maxConcurrent));
+class ProgressTracker {
+  constructor(progress, token) {
+    this.progress = progress;
+    this.token = token;
+    this.totalSteps = 0;
+    this.currentStep = 0;
   }
 
-  // Process batches in parallel
-  for (const batch of batches) {
-    const batchPromises = batch.map(async file => {
-      try {
-        const stats = await fs.stat(file);
-        if (stats.size > maxFileSize) {
-          console.warn(`⚠️ Skipping ${path.relative(rootPath, file)} (exceeds size limit of ${maxFileSize} bytes)`);
-          return null;
-        }
-
-        const content = await fs.readFile(file, 'utf-8');
-        const rel = path.relative(rootPath, file);
-        return { file, content, rel, stats };
-      } catch (err) {
-        const errorMessage = `Error processing ${file}: ${getDetailedErrorMessage(err)}`;
-        errors.push(errorMessage);
-        console.error(errorMessage);
-        return null;
-      }
-    });
-
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults.filter(r => r !== null));
+  setTotalSteps(total) {
+    this.totalSteps = total;
   }
 
-  if (errors.length > 0) {
-    vscode.window.showWarningMessage(`⚠️ Some files could not be processed. Check the output for details.`);
+  increment(message) {
+    this.currentStep++;
+    if (this.token.isCancellationRequested) {
+      throw new Error('Operation cancelled by user');
+    }
+    this.progress.report({
+      message: `${message} (${this.currentStep}/${this.totalSteps})`,
+      increment: (100 / this.totalSteps)
+    });
   }
-
-  return results;
 }
 
 /**
- * Estimates the total size of files and suggests optimizations
- * @param {Array<{file: string, size: number}>} files 
- * @param {number} maxChunkSize 
- * @returns {Promise<{estimatedFiles: number, totalSize: number, suggestions: string[]}>}
+ * Tree view of the files a run would flatten, grouped by directory, with a checkbox per file
+ * and its score, size and token count. Files past the token budget are marked as they are toggled.
  */
-async function estimateOutputFiles(files, maxChunkSize) {
-  let currentChunkSize = 0;
-  let numChunks = 1;
-  let totalSize = 0;
-  const suggestions = [];
+class PreviewProvider {
+  constructor() {
+    this.plan = null;
+    this.root = null;
+    this.budget = { total: 0, overBudget: 0 };
+    this.changeEmitter = new vscode.EventEmitter();
+    this.onDidChangeTreeData = this.changeEmitter.event;
+  }
 
-  for (const { size } of files) {
-    totalSize += size;
-    if ((currentChunkSize + size) > maxChunkSize) {
-      numChunks++;
-      currentChunkSize = size;
-    } else {
-      currentChunkSize += size;
+  /**
+   * Shows the candidates of a preview run.
+   * @param {{folders: vscode.WorkspaceFolder[], maxTokenLimit: number, tokenizer: string, model: string|null, candidates: Array}} plan
+   */
+  setPlan(plan) {
+    this.plan = plan;
+    this.root = { children: new Map() };
+    for (const candidate of plan.candidates) {
+      const parts = candidate.rel.split('/');
+      let node = this.root;
+      parts.slice(0, -1).forEach(name => {
+        if (!node.children.has(name)) {
+          node.children.set(name, { name, children: new Map() });
+        }
+        node = node.children.get(name);
+      });
+      node.children.set(parts[parts.length - 1], { name: parts[parts.length - 1], candidate });
     }
+    this.update();
   }
 
-  // Add suggestions if multiple files would be created
-  if (numChunks > 1) {
-    suggestions.push(
-      `⚠️ This will create ${numChunks} files (${(totalSize / 1024 / 1024).toFixed(1)}MB total).`,
-      "To reduce to a single file, you can:",
-      "1. Increase maxTokenLimit in settings",
-      "2. Add more patterns to blacklist",
-      "3. Use 'Process only smallest non-library files' option"
-    );
+  /**
+   * Recomputes the token budget and redraws the tree.
+   */
+  update() {
+    this.budget = planTokenBudget(this.plan.candidates, this.plan.maxTokenLimit);
+    this.changeEmitter.fire();
   }
 
-  return { estimatedFiles: numChunks, totalSize, suggestions };
-}
-
-/**
- * Ensures output is a single file by adjusting settings or filtering files
- * @param {Array<{file: string, size: number, score: number}>} files 
- * @param {number} maxChunkSize 
- * @returns {Promise<{files: Array, maxChunkSize: number}>}
- */
-async function ensureSingleFileOutput(files, maxChunkSize) {
-  const totalSize = files.reduce((sum, f) => sum + f.size, 0);
-  
-  // If total size is within limits, no changes needed
-  if (totalSize <= maxChunkSize) {
-    return { files, maxChunkSize };
+  /**
+   * Returns the candidates at or below a node that can be toggled, i.e. not dropped.
+   * @param {Object} node
+   * @returns {Array}
+   */
+  filesBelow(node) {
+    if (node.candidate) return node.candidate.dropped ? [] : [node.candidate];
+    return [...node.children.values()].flatMap(child => this.filesBelow(child));
   }
 
-  // Show warning and get user choice
-  const message = 
-    `⚠️ The total size (${(totalSize / 1024 / 1024).toFixed(1)}MB) exceeds the current limit.\n\n` +
-    `Choose how to proceed:`;
-  
-  const INCREASE_LIMIT = 'Increase token limit';
-  const FILTER_FILES = 'Filter to smallest files';
-  const CANCEL = 'Cancel';
-  
-  const choice = await vscode.window.showWarningMessage(
-    message,
-    { modal: true },
-    INCREASE_LIMIT,
-    FILTER_FILES,
-    CANCEL
-  );
-
-  if (choice === CANCEL || !choice) {
-    throw new Error('Operation cancelled by user');
+  /**
+   * Checks or unchecks nodes; a directory applies to every file inside it.
+   * @param {ReadonlyArray<[Object, vscode.TreeItemCheckboxState]>} items
+   */
+  setChecked(items) {
+    for (const [node, state] of items) {
+      this.filesBelow(node).forEach(c => { c.checked = state === vscode.TreeItemCheckboxState.Checked; });
+    }
+    this.update();
   }
 
-  if (choice === INCREASE_LIMIT) {
-    // Calculate required limit (add 20% buffer)
-    const requiredLimit = Math.ceil(totalSize * 1.2);
-    return { files, maxChunkSize: requiredLimit };
+  getChildren(node) {
+    if (!this.root) return [];
+    // Directories first, then by name
+    return [...(node || this.root).children.values()].sort((a, b) =>
+      Number(Boolean(a.candidate)) - Number(Boolean(b.candidate)) || a.name.localeCompare(b.name));
   }
 
-  if (choice === FILTER_FILES) {
-    // Sort by size and filter to fit within current limit
-    const sortedFiles = files
-      .sort((a, b) => a.size - b.size);
+  getTreeItem(node) {
+    const { Checked, Unchecked } = vscode.TreeItemCheckboxState;
+    if (!node.candidate) {
+      const files = this.filesBelow(node);
+      const tokens = files.filter(c => c.checked).reduce((sum, c) => sum + (c.tokens || 0), 0);
+      const item = new vscode.TreeItem(node.name, vscode.TreeItemCollapsibleState.Collapsed);
+      item.iconPath = vscode.ThemeIcon.Folder;
+      item.description = `${tokens} tokens`;
+      if (files.length > 0) {
+        item.checkboxState = files.every(c => c.checked) ? Checked : Unchecked;
+      }
+      return item;
+    }
     
-    let currentSize = 0;
-    const filteredFiles = [];
+    const c = node.candidate;
+    const item = new vscode.TreeItem(node.name, vscode.TreeItemCollapsibleState.None);
+    item.resourceUri = vscode.Uri.file(c.file);
+    item.command = { command: 'vscode.open', title: 'Open File', arguments: [item.resourceUri] };
     
-    for (const file of sortedFiles) {
-      if (currentSize + file.size > maxChunkSize) break;
-      filteredFiles.push(file);
-      currentSize += file.size;
+    let status = 'included';
+    if (c.dropped) {
+      status = `dropped: ${c.dropped}`;
+    } else if (!c.checked) {
+      status = 'unchecked';
+    } else if (c.overBudget) {
+      status = `over budget: past the first ${this.plan.maxTokenLimit} tokens, goes into a further part`;
     }
-
-    if (filteredFiles.length === 0) {
-      throw new Error('No files small enough to fit within the limit. Try increasing the token limit.');
+    const tokens = c.tokens !== null ? `${c.tokens} tokens` : 'tokens unknown';
+    const flag = c.dropped ? ' · dropped' : c.checked && c.overBudget ? ' · over budget' : '';
+    const compressed = c.compression ? ` · ${c.compression.join(', ')}` : '';
+    item.description = `${tokens} · ${(c.size / 1024).toFixed(1)} KB · score ${c.score}${compressed}${flag}`;
+    const breakdown = c.breakdown.map(entry => `  ${entry.points >= 0 ? '+' : ''}${entry.points}  ${entry.rule}`).join('\n');
+    const compression = c.compression ? `\nCompression: ${c.compression.join(', ')}` : '';
+    item.tooltip = `${c.rel}\nScore: ${c.score}\n${breakdown}\nSize: ${c.size} bytes\nTokens: ${c.tokens !== null ? c.tokens : 'unknown'} (${this.plan.tokenizer})${compression}\n${status}`;
+    if (!c.dropped) {
+      item.checkboxState = c.checked ? Checked : Unchecked;
     }
-
-    return { files: filteredFiles, maxChunkSize };
+    return item;
   }
-
-  return { files, maxChunkSize };
 }
 
 /**
- * Common library and build tool patterns that should be ignored by default
+ * Copies output chunks to the clipboard one part at a time, offering the next part after each copy.
+ * @param {Array<{content: string, tokens: number}>} chunks 
+ * @param {{count: (text: string) => number}} tokenizer
+ * @param {string} summary
  */
-const DEFAULT_LIBRARY_PATTERNS = [
-  // Package managers and dependencies
-  '**/node_modules/**',
-  '**/bower_components/**',
-  '**/jspm_packages/**',
-  '**/package-lock.json',
-  '**/yarn.lock',
-  '**/pnpm-lock.yaml',
-  '**/composer.lock',
-  '**/Gemfile.lock',
-  '**/poetry.lock',
-  '**/requirements.txt',
-  '**/go.sum',
-  '**/Cargo.lock',
-  '**/vendor/**',
-  
-  // Build outputs and caches
-  '**/dist/**',
-  '**/build/**',
-  '**/out/**',
-  '**/output/**',
-  '**/.next/**',
-  '**/.nuxt/**',
-  '**/.cache/**',
-  '**/coverage/**',
-  '**/.nyc_output/**',
-  
-  // Python
-  '**/__pycache__/**',
-  '**/*.pyc',
-  '**/*.pyo',
-  '**/*.pyd',
-  '**/venv/**',
-  '**/.env/**',
-  '**/.pytest_cache/**',
-  '**/.tox/**',
-  '**/*.egg-info/**',
-  
-  // Java/Kotlin/Scala
-  '**/target/**',
-  '**/.gradle/**',
-  '**/gradle/**',
-  '**/*.class',
-  '**/classes/**',
-  '**/META-INF/**',
-  
-  // .NET
-  '**/bin/**',
-  '**/obj/**',
-  '**/packages/**',
-  '**/Debug/**',
-  '**/Release/**',
-  
-  // iOS/macOS
-  '**/Pods/**',
-  '**/*.xcworkspace/**',
-  '**/*.xcodeproj/**',
-  '**/DerivedData/**',
-  
-  // IDE and editor files
-  '**/.idea/**',
-  '**/.vscode/**',
-  '**/.vs/**',
-  '**/.project/**',
-  '**/.settings/**',
-  '**/.classpath',
-  '**/.factorypath',
-  
-  // Minified files and source maps
-  '**/*.min.js',
-  '**/*.min.css',
-  '**/*.map',
-  '**/*.bundle.*',
-  '**/*.chunk.*',
-  
-  // Generated documentation
-  '**/docs/api/**',
-  '**/docs/generated/**',
-  '**/api-docs/**',
-  '**/jsdoc/**',
-  '**/javadoc/**',
-  '**/swagger/**',
-  
-  // Common test fixtures and mocks
-  '**/fixtures/**',
-  '**/mocks/**',
-  '**/stubs/**',
-  '**/test-data/**',
-  '**/test-utils/**',
-  '**/testing-utils/**',
-  
-  // Common third-party code directories
-  '**/third-party/**',
-  '**/external/**',
-  '**/deps/**',
-  '**/lib/vendor/**',
-  '**/assets/vendor/**',
-  
-  // Temporary and backup files
-  '**/*.tmp',
-  '**/*.temp',
-  '**/*.bak',
-  '**/*.log',
-  '**/tmp/**',
-  '**/temp/**',
-  '**/logs/**',
-  
-  // Version control
-  '**/.git/**',
-  '**/.svn/**',
-  '**/.hg/**',
-  
-  // Configuration files that often contain third-party settings
-  '**/webpack.config.*',
-  '**/babel.config.*',
-  '**/tsconfig.*',
-  '**/jest.config.*',
-  '**/karma.conf.*',
-  '**/rollup.config.*',
-  '**/grunt*',
-  '**/gulpfile.*'
-];
-
-/**
- * Gets suggestions for reducing the number of output files
- * @param {number} currentTokenLimit 
- * @param {number} estimatedFiles 
- * @param {string[]} localBlacklist 
- * @returns {{suggestions: string[], patterns: string[]}}
- */
-function getSuggestions(currentTokenLimit, estimatedFiles, localBlacklist) {
-  const suggestions = [];
-  const patterns = [];
-  
-  // Suggest increasing token limit if it's relatively low
-  if (currentTokenLimit < 100000) {
-    suggestions.push(
-      "- Increase `maxTokenLimit` in settings (many modern LLMs support 100k+ tokens)"
-    );
-  }
-  
-  // Common patterns to suggest if not in local blacklist
-  const commonPatterns = [
-    'test/**',
-    '**/*.test.*',
-    '**/*.spec.*',
-    'docs/**',
-    'examples/**',
-    'demo/**',
-    'samples/**',
-    '__tests__/**',
-    '__mocks__/**',
-    'coverage/**',
-    'e2e/**'
-  ];
-  
-  const missingPatterns = commonPatterns.filter(pattern => 
-    !localBlacklist.some(b => b === pattern)
-  );
-  
-  if (missingPatterns.length > 0) {
-    suggestions.push(
-      "- Add these patterns to your blacklist to exclude test and example files:",
-      ...missingPatterns.map(p => `  ${p}`)
-    );
-    patterns.push(...missingPatterns);
+async function copyChunksToClipboard(chunks, tokenizer, summary) {
+  for (let i = 0; i < chunks.length; i++) {
+    const { content } = chunks[i];
+    await vscode.env.clipboard.writeText(content);
+    
+    const tokens = chunks[i].tokens || tokenizer.count(content);
+    const part = chunks.length > 1 ? ` part ${i + 1} of ${chunks.length}` : '';
+    const message = `📋 Copied${part} to the clipboard: ${tokens} tokens, ${content.length} characters (${summary}).`;
+    if (i === chunks.length - 1) {
+      vscode.window.showInformationMessage(message);
+      return;
+    }
+    const next = await vscode.window.showInformationMessage(message, `Copy Part ${i + 2}`);
+    if (!next) return;
   }
-  
-  return { suggestions, patterns };
-}
-
-/**
- * Checks if a path matches any of the patterns
- * @param {string} filePath 
- * @param {string[]} patterns 
- * @returns {boolean}
- */
-function matchesPatterns(filePath, patterns) {
-  return patterns.some(pattern => {
-    const regex = toRegex(pattern);
-    return regex.test(filePath);
-  });
 }
 
 /**
- * Converts an array of glob patterns to RegExp objects
- * @param {string[]} patterns 
- * @returns {RegExp[]}
+ * Opens each output chunk in its own untitled editor, without touching the filesystem.
+ * @param {Array<{content: string}>} chunks 
+ * @param {{languageId: string}} formatter
  */
-function patternsToRegex(patterns) {
-  return patterns.map(toRegex);
+async function openChunksInEditor(chunks, formatter) {
+  for (const chunk of chunks) {
+    const doc = await vscode.workspace.openTextDocument({ content: chunk.content, language: formatter.languageId });
+    await vscode.window.showTextDocument(doc, { preview: false });
+  }
 }
 
 /**
- * Memory-efficient file content processing
- * @param {string} content 
- * @param {number} maxChunkSize 
- * @returns {string}
+ * Reads the flattenRepo.* VS Code settings of a folder as configuration layers, see lib/config.
+ * @param {vscode.WorkspaceFolder} folder
+ * @returns {Array<{source: string, kind: string, values: Object}>}
  */
-function processContentEfficiently(content, maxChunkSize) {
-  // If content is small enough, return as is
-  if (content.length <= maxChunkSize) {
-    return content;
+function readSettingsLayers(folder) {
+  const config = vscode.workspace.getConfiguration('flattenRepo', folder.uri);
+  const user = {};
+  const workspace = {};
+  const workspaceFolder = {};
+  for (const key of VSCODE_SETTING_KEYS) {
+    const inspected = config.inspect(key) || {};
+    user[key] = inspected.globalValue;
+    workspace[key] = inspected.workspaceValue;
+    workspaceFolder[key] = inspected.workspaceFolderValue;
   }
-
-  // For large files, truncate and add warning
-  const truncatedContent = content.slice(0, maxChunkSize);
-  return `${truncatedContent}\n\n... Content truncated (${((content.length - maxChunkSize) / 1024).toFixed(1)}KB remaining) ...`;
+  return [
+    fromVSCodeSettings('user settings', user),
+    fromVSCodeSettings('workspace settings', workspace),
+    fromVSCodeSettings('workspace folder settings', workspaceFolder)
+  ];
 }
 
 /**
- * Memory-efficient chunk creation that ensures single file output
- * @param {Array<{rel: string, content: string}>} files 
- * @param {number} maxChunkSize 
- * @returns {Array<{content: string, files: string[]}>}
+ * Reads and compiles a folder's .flatten_ignore rules into the target, and resolves its
+ * configuration from the VS Code settings and .flatten_ignore into target.config, warning about
+ * invalid settings, redaction patterns and rules. Falls back to the default patterns if the file cannot be parsed.
+ * @param {{folder: vscode.WorkspaceFolder, flattenIgnorePath: string}} target
  */
-function createChunksEfficiently(files, maxChunkSize) {
-  // Set hard limit for single file (Claude 3 Sonnet/GPT-4 Turbo compatible)
-  const HARD_LIMIT = 512 * 1024; // ~128K tokens
-  
-  let totalContent = '';
-  const includedFiles = [];
-  const skippedFiles = [];
-  
-  for (const { rel, content } of files) {
-    const fileEntry = `\n\n=== FILE: ${rel} ===\n${content}`;
-    
-    // If adding this file would exceed the hard limit, skip it
-    if ((totalContent.length + fileEntry.length) > HARD_LIMIT) {
-      skippedFiles.push(rel);
-      continue;
-    }
-    
-    totalContent += fileEntry;
-    includedFiles.push(rel);
-  }
-  
-  // If we skipped files, add a warning message
-  if (skippedFiles.length > 0) {
-    const warningMessage = `\n\n=== WARNING: CONTENT TRUNCATED ===\nThe following ${skippedFiles.length} files were skipped to stay within LLM token limits:\n${skippedFiles.join('\n')}\n`;
-    totalContent = warningMessage + totalContent;
+async function loadIgnoreRules(target) {
+  let ignoreRules = parseFlattenIgnoreContent(DEFAULT_IGNORE_CONTENT);
+  try {
+    ignoreRules = await parseFlattenIgnore(target.flattenIgnorePath);
+  } catch (err) {
+    console.error(`Failed to parse .flatten_ignore file: ${getDetailedErrorMessage(err)}`);
+    vscode.window.showWarningMessage('Using default ignore patterns due to error parsing .flatten_ignore file.');
   }
+  target.ignoreRules = ignoreRules;
+  target.config = resolveConfig([...readSettingsLayers(target.folder), fromFlattenIgnore(ignoreRules.settings)]);
+  target.config.errors.forEach(message => {
+    console.warn(`⚠️ ${message}`);
+    vscode.window.showWarningMessage(`${message} (${target.folder.name})`);
+  });
   
-  return [{
-    content: totalContent,
-    files: includedFiles
-  }];
+  // Convert patterns to matchers once, reporting invalid redaction patterns, scoring and compression rules
+  Object.assign(target, compileIgnoreRules(ignoreRules, target.config.values));
+  [...target.redactErrors, ...target.scoringErrors, ...target.compressionErrors, ...target.encodingErrors].forEach(message => {
+    console.warn(`⚠️ ${message}`);
+    vscode.window.showWarningMessage(`${message} (in ${target.folder.name}/flattened/.flatten_ignore)`);
+  });
 }
 
-// ----- Main Extension Code -----
-
 /**
- * Enhanced progress reporting
+ * Groups selected URIs by the workspace folder that contains them.
+ * URIs outside every workspace folder are skipped.
+ * @param {vscode.Uri[]} uris
+ * @returns {Array<{folder: vscode.WorkspaceFolder, uris: vscode.Uri[]}>}
  */
-class ProgressTracker {
-  constructor(progress, token) {
-    this.progress = progress;
-    this.token = token;
-    this.totalSteps = 0;
-    this.currentStep = 0;
-  }
-
-  setTotalSteps(total) {
-    this.totalSteps = total;
-  }
-
-  increment(message) {
-    this.currentStep++;
-    if (this.token.isCancellationRequested) {
-      throw new Error('Operation cancelled by user');
+function groupUrisByFolder(uris) {
+  const groups = new Map();
+  for (const uri of uris) {
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!folder) {
+      console.warn(`⚠️ Skipping ${uri.fsPath} (not inside a workspace folder)`);
+      continue;
     }
-    this.progress.report({
-      message: `${message} (${this.currentStep}/${this.totalSteps})`,
-      increment: (100 / this.totalSteps)
-    });
+    if (!groups.has(folder.index)) {
+      groups.set(folder.index, { folder, uris: [] });
+    }
+    groups.get(folder.index).uris.push(uri);
   }
+  return [...groups.values()].sort((a, b) => a.folder.index - b.folder.index);
 }
 
 /**
- * Enhanced error handling with detailed messages
- * @param {Error} error 
- * @returns {string}
+ * Asks which workspace folders to flatten, with all of them preselected.
+ * @param {readonly vscode.WorkspaceFolder[]} workspaceFolders
+ * @returns {Promise<vscode.WorkspaceFolder[]|undefined>} undefined if the user cancelled
  */
-function getDetailedErrorMessage(error) {
-  if (error instanceof Error) {
-    return `${error.name}: ${error.message}\n${error.stack || ''}`;
-  }
-  return String(error);
+async function pickWorkspaceFolders(workspaceFolders) {
+  const picked = await vscode.window.showQuickPick(
+    workspaceFolders.map(folder => ({
+      label: folder.name,
+      description: folder.uri.fsPath,
+      picked: true,
+      folder
+    })),
+    { canPickMany: true, placeHolder: 'Select the workspace folders to flatten' }
+  );
+  return picked ? picked.map(p => p.folder) : undefined;
 }
 
 async function activate(context) {
+  // Run details, explanations and the effective configuration are written here
+  const outputChannel = vscode.window.createOutputChannel('Flatten Repository');
+
   // Register the create/edit .flatten_ignore command
   const createIgnoreCmd = vscode.commands.registerCommand('flatten-repo.createFlattenIgnore', async () => {
     const workspaceFolders = vscode.workspace.workspaceFolders;
@@ -652,323 +390,100 @@ async function activate(context) {
       return;
     }
     
-    const rootPath = workspaceFolders[0].uri.fsPath;
+    // Each folder of a multi-root workspace has its own .flatten_ignore
+    const folder = workspaceFolders.length > 1
+      ? await vscode.window.showWorkspaceFolderPick({ placeHolder: 'Select the folder whose .flatten_ignore to edit' })
+      : workspaceFolders[0];
+    if (!folder) return;
+    
+    const rootPath = folder.uri.fsPath;
     const flattenedDir = path.join(rootPath, 'flattened');
     await fs.mkdir(flattenedDir, { recursive: true });
     
     const flattenIgnorePath = path.join(flattenedDir, '.flatten_ignore');
-    const defaultIgnoreContent = `# .flatten_ignore
-# This file controls which files and directories are ignored or explicitly included during flattening.
-# Use glob patterns here. When a directory is specified without wildcards, it is automatically treated as "directory/**".
-#
-# --------------------------
-# Global Ignore Patterns:
-# These patterns are always ignored, regardless of other settings
-global:
-# Build and dependency directories
-node_modules
-/generated/**
-bower_components
-vendor
-dist
-build
-out
-target
-tmp
-temp
-.cache
-__pycache__
-.git
-.vscode
-.idea
-.pnp
-.jest
-.mocha
-.nyc_output
-test-results
-reports
-.gradle
-android
-ios
-# Package manager files
-package-lock.json
-yarn.lock
-pnpm-lock.yaml
-composer.lock
-Gemfile.lock
-poetry.lock
-requirements.txt
-go.sum
-Cargo.lock
-# Generated files
-*.min.js
-*.min.css
-*.map
-*.bundle.*
-*.chunk.*
-# Documentation
-docs/api
-docs/generated
-api-docs
-jsdoc
-javadoc
-swagger
-# Test and example files
-test
-tests
-spec
-__tests__
-__mocks__
-fixtures
-mocks
-stubs
-test-data
-test-utils
-testing-utils
-examples
-demo
-samples
-# Environment and configuration
-.env
-.env.*
-config
-configs
-settings
-# IDE and editor files
-.vscode
-.idea
-.vs
-.project
-.settings
-.classpath
-.factorypath
-# Version control
-.git
-.svn
-.hg
-# Temporary files
-*.tmp
-*.temp
-*.bak
-*.log
-logs
-# --------------------------
-# Local Whitelist Patterns:
-# These patterns are always included, even if they match global ignore patterns
-whitelist:
-# Example:
-# src/**
-# lib/**/*.js
-# --------------------------
-# Local Blacklist Patterns:
-# These patterns are ignored in addition to global patterns
-blacklist:
-# Example:
-# test/**
-# *.spec.js
-# --------------------------
-# Settings:
-# Configure token limits and other processing options
-settings:
-# Token limits for different LLMs (characters, ~4 chars per token):
-# - Claude 3 Opus: ~800K chars (200K tokens)
-# - Claude 3 Sonnet: ~512K chars (128K tokens) [DEFAULT]
-# - GPT-4 Turbo: ~512K chars (128K tokens)
-# - Claude 2: ~400K chars (100K tokens)
-# - GPT-4: ~128K chars (32K tokens)
-# - GPT-3.5 Turbo: ~64K chars (16K tokens)
-maxTokenLimit: 128000
-maxTokensPerFile: 25000
-# Processing options
-useGitIgnore: true
-maxConcurrentFiles: 4
-`;
 
-    await ensureFile(flattenIgnorePath, defaultIgnoreContent);
+    await ensureFile(flattenIgnorePath, DEFAULT_IGNORE_CONTENT);
     
     // Open the file in the editor
     const doc = await vscode.workspace.openTextDocument(flattenIgnorePath);
     await vscode.window.showTextDocument(doc);
   });
 
-  // Register the flatten repository command
-  let disposable = vscode.commands.registerCommand('flatten-repo.flattenProjectToTxt', async () => {
+  /**
+   * Runs the flatten pipeline over the workspace folders, or over the selected files and folders,
+   * and writes the output file, copies it to the clipboard or opens it in an untitled editor.
+   * @param {{format?: string, model?: string, uris?: vscode.Uri[], folders?: vscode.WorkspaceFolder[], diff?: {base: string, staged: boolean}, destination?: 'file'|'clipboard'|'editor'}} [options]
+   *   Per-run overrides of .flatten_ignore settings; diff switches to git-diff mode and
+   *   destination picks where the output goes (files in /flattened by default). uris may
+   *   include untitled editors, which are flattened along with the first folder
+   */
+  async function flattenProject(options = {}) {
     try {
       const workspaceFolders = vscode.workspace.workspaceFolders;
       if (!workspaceFolders) {
         throw new Error('No workspace folder is open');
       }
 
-      const rootPath = workspaceFolders[0].uri.fsPath;
+      // Work out which workspace folders take part: those containing the selection,
+      // the folders picked for this run, or all of them (asking first in a multi-root workspace)
+      let targets;
+      const untitledUris = (options.uris || []).filter(uri => uri.scheme === 'untitled');
+      if (options.uris && options.uris.length > 0) {
+        targets = groupUrisByFolder(options.uris.filter(uri => uri.scheme !== 'untitled'));
+        if (targets.length === 0 && untitledUris.length > 0) {
+          targets = [{ folder: workspaceFolders[0], uris: [] }];
+        }
+        if (targets.length === 0) {
+          throw new Error('The selection is not inside a workspace folder');
+        }
+      } else {
+        let folders = options.folders;
+        if (!folders) {
+          folders = workspaceFolders.length > 1
+            ? await pickWorkspaceFolders(workspaceFolders)
+            : [workspaceFolders[0]];
+        }
+        if (!folders || folders.length === 0) return;
+        targets = folders.map(folder => ({ folder }));
+      }
+      
+      // Paths are prefixed with the folder name when several folders are combined
+      const prefixWithFolderName = targets.length > 1;
+      
+      // Output and run-wide settings belong to the first folder
+      const rootPath = targets[0].folder.uri.fsPath;
       const flattenedDir = path.join(rootPath, 'flattened');
       
+      const writesToDisk = !options.onPreview && (!options.destination || options.destination === 'file');
+      
       // Create the flattened directory if it doesn't exist
       try {
-        await fs.mkdir(flattenedDir, { recursive: true });
+        if (writesToDisk) {
+          await fs.mkdir(flattenedDir, { recursive: true });
+        }
       } catch (err) {
         console.error(`Failed to create flattened directory: ${getDetailedErrorMessage(err)}`);
         vscode.window.showErrorMessage(`Failed to create flattened directory: ${getDetailedErrorMessage(err)}`);
         return;
       }
       
-      // Ensure the .flatten_ignore file exists
-      const flattenIgnorePath = path.join(flattenedDir, '.flatten_ignore');
-      const defaultIgnoreContent = `# .flatten_ignore
-# This file controls which files and directories are ignored or explicitly included during flattening.
-# Use glob patterns here. When a directory is specified without wildcards, it is automatically treated as "directory/**".
-#
-# --------------------------
-# Global Ignore Patterns:
-# These patterns are always ignored, regardless of other settings
-global:
-# Build and dependency directories
-node_modules
-bower_components
-vendor
-dist
-build
-out
-target
-tmp
-temp
-.cache
-__pycache__
-.git
-.vscode
-.idea
-.pnp
-.jest
-.mocha
-.nyc_output
-test-results
-reports
-.gradle
-android
-ios
-# Package manager files
-package-lock.json
-yarn.lock
-pnpm-lock.yaml
-composer.lock
-Gemfile.lock
-poetry.lock
-requirements.txt
-go.sum
-Cargo.lock
-# Generated files
-*.min.js
-*.min.css
-*.map
-*.bundle.*
-*.chunk.*
-# Documentation
-docs/api
-docs/generated
-api-docs
-jsdoc
-javadoc
-swagger
-# Test and example files
-test
-tests
-spec
-__tests__
-__mocks__
-fixtures
-mocks
-stubs
-test-data
-test-utils
-testing-utils
-examples
-demo
-samples
-# Environment and configuration
-.env
-.env.*
-config
-configs
-settings
-# IDE and editor files
-.vscode
-.idea
-.vs
-.project
-.settings
-.classpath
-.factorypath
-# Version control
-.git
-.svn
-.hg
-# Temporary files
-*.tmp
-*.temp
-*.bak
-*.log
-logs
-# --------------------------
-# Local Whitelist Patterns:
-# These patterns are always included, even if they match global ignore patterns
-whitelist:
-# Example:
-# src/**
-# lib/**/*.js
-# --------------------------
-# Local Blacklist Patterns:
-# These patterns are ignored in addition to global patterns
-blacklist:
-# Example:
-# test/**
-# *.spec.js
-# --------------------------
-# Settings:
-# Configure token limits and other processing options
-settings:
-# Token limits for different LLMs (characters, ~4 chars per token):
-# - Claude 3 Opus: ~800K chars (200K tokens)
-# - Claude 3 Sonnet: ~512K chars (128K tokens) [DEFAULT]
-# - GPT-4 Turbo: ~512K chars (128K tokens)
-# - Claude 2: ~400K chars (100K tokens)
-# - GPT-4: ~128K chars (32K tokens)
-# - GPT-3.5 Turbo: ~64K chars (16K tokens)
-maxTokenLimit: 128000
-maxTokensPerFile: 25000
-# Processing options
-useGitIgnore: true
-maxConcurrentFiles: 4
-`;
-
-      try {
-        await ensureFile(flattenIgnorePath, defaultIgnoreContent);
-      } catch (err) {
-        console.error(`Failed to create .flatten_ignore file: ${getDetailedErrorMessage(err)}`);
-        vscode.window.showErrorMessage(`Failed to create .flatten_ignore file: ${getDetailedErrorMessage(err)}`);
-        // Continue with default ignore patterns
+      // Ensure each folder has its own .flatten_ignore file
+      for (const target of targets) {
+        target.rootPath = target.folder.uri.fsPath;
+        target.flattenIgnorePath = path.join(target.rootPath, 'flattened', '.flatten_ignore');
+        if (!writesToDisk) continue;
+        try {
+          await ensureFile(target.flattenIgnorePath, DEFAULT_IGNORE_CONTENT);
+        } catch (err) {
+          console.error(`Failed to create .flatten_ignore file: ${getDetailedErrorMessage(err)}`);
+          vscode.window.showErrorMessage(`Failed to create .flatten_ignore file: ${getDetailedErrorMessage(err)}`);
+          // Continue with default ignore patterns
+        }
       }
       
-      const config = vscode.workspace.getConfiguration('flattenRepo');
-      
-      // Validate configuration with defaults if invalid
-      let includeExtensions = ['.js', '.jsx', '.ts', '.tsx', '.py', '.html', '.css'];
-      let ignoreDirs = [];
-      let useGitIgnore = true;
+      // Files that could not be read as expected are listed in the output channel
+      const warn = message => outputChannel.appendLine(`⚠️ ${message}`);
       
-      try {
-        if (Array.isArray(config.get('includeExtensions'))) {
-          includeExtensions = config.get('includeExtensions');
-        }
-        if (Array.isArray(config.get('ignoreDirs'))) {
-          ignoreDirs = config.get('ignoreDirs');
-        }
-        if (typeof config.get('useGitIgnore') === 'boolean') {
-          useGitIgnore = config.get('useGitIgnore');
-        }
-      } catch (err) {
-        console.error(`Invalid configuration: ${getDetailedErrorMessage(err)}`);
-        vscode.window.showWarningMessage('Using default configuration due to invalid settings.');
-      }
-
       await vscode.window.withProgress({
         location: vscode.ProgressLocation.Notification,
         title: 'Flattening repository...',
@@ -980,30 +495,92 @@ maxConcurrentFiles: 4
             throw new Error('Operation cancelled by user');
           });
           
-          // Get ignore rules including default library patterns
-          let ignoreRules = { global: [], whitelist: [], blacklist: [], settings: {} };
-          try {
-            ignoreRules = await parseFlattenIgnore(
-              flattenIgnorePath,
-              rootPath
-            );
-          } catch (err) {
-            console.error(`Failed to parse .flatten_ignore file: ${getDetailedErrorMessage(err)}`);
-            vscode.window.showWarningMessage('Using default ignore patterns due to error parsing .flatten_ignore file.');
+          // Get each folder's ignore rules including default library patterns
+          for (const target of targets) {
+            await loadIgnoreRules(target);
           }
           
-          // Convert patterns to regex once
-          const globalRegexes = patternsToRegex(ignoreRules.global);
-          const whitelistRegexes = patternsToRegex(ignoreRules.whitelist);
-          const blacklistRegexes = patternsToRegex([
-            ...DEFAULT_LIBRARY_PATTERNS,
-            ...ignoreRules.blacklist
-          ]);
+          // Get run-wide settings from the first folder's configuration
+          const settings = targets[0].config.values;
+          
+          // Editors with unsaved changes are read instead of their files on disk when useUnsavedChanges is on
+          const unsavedContent = new Map();
+          if (settings.useUnsavedChanges) {
+            vscode.workspace.textDocuments
+              .filter(doc => doc.uri.scheme === 'file' && doc.isDirty)
+              .forEach(doc => unsavedContent.set(doc.uri.fsPath, doc.getText()));
+          } else if (untitledUris.length > 0) {
+            vscode.window.showWarningMessage('Untitled editors are only flattened when the flattenRepo.useUnsavedChanges setting is on.');
+            if (targets.every(target => target.uris && target.uris.length === 0)) return;
+          }
+          
+          // Files are included by extension, file name, language or shebang; languages: in .flatten_ignore adds languages
+          const include = compileIncludeRules(settings.includeExtensions, [...settings.includeLanguages, ...settings.languages]);
+          
+          // A model preset (picked for this run or set in .flatten_ignore) supplies the token
+          // budget, and the tokenizer and format unless those are set explicitly
+          const modelName = options.model || settings.model;
+          const model = modelName ? getModelPreset(modelName, settings.modelPresets) : null;
+          if (modelName && !model) {
+            vscode.window.showWarningMessage(`Unknown model preset "${modelName}". Using maxTokenLimit from settings.`);
+          }
+          
+          const maxTokenLimit = getPartTokenLimit(model ? getOutputBudget(model) : settings.maxTokenLimit, settings.maxChunkSize);
+          const maxTokensPerFile = settings.maxTokensPerFile;
+          
+          const tokenizerName = settings.tokenizer || (model && model.tokenizer);
+          let tokenizer = getTokenizer(tokenizerName);
+          if (!tokenizer) {
+            vscode.window.showWarningMessage(`Unknown tokenizer "${tokenizerName}". Falling back to ${DEFAULT_TOKENIZER}.`);
+            tokenizer = getTokenizer(DEFAULT_TOKENIZER);
+          }
+          if (tokenizer.fallback) {
+            console.warn(`⚠️ ${describeFallback(tokenizer)}`);
+            vscode.window.showWarningMessage(describeFallback(tokenizer));
+          }
+          
+          const notebookOutputs = settings.notebookOutputs;
+          
+          // Character-based bounds are only used before files are read: for the up-front
+          // estimate, and to avoid reading files that cannot possibly fit (generous 8 chars per token)
+          const maxChunkSize = maxTokenLimit * CHARS_PER_TOKEN;
+          const maxFileSize = maxTokensPerFile * CHARS_PER_TOKEN * 2;
+          
+          // Per-run format overrides the .flatten_ignore default, which overrides the model's preference
+          const formatName = options.format || settings.format || (model && model.format);
+          let formatter = getFormatter(formatName);
+          if (!formatter) {
+            vscode.window.showWarningMessage(`Unknown output format "${formatName}". Falling back to txt.`);
+            formatter = getFormatter('txt');
+          }
+          
+          // useGitIgnore and useCache apply per folder
+          for (const target of targets) {
+            target.gitIgnore = await loadGitIgnore(target.rootPath, target.config.values.useGitIgnore);
+            target.history = await loadFileHistory(target.rootPath, target.scoring, { onWarning: warn });
+            // Processed files are kept between runs unless the folder sets useCache: false
+            target.cache = target.config.values.useCache
+              ? await new FileCache(target.rootPath).load()
+              : null;
+          }
+          
+          // Flattening what changed since the last output compares with the hashes recorded in the cache
+          if (options.sinceLast) {
+            const uncached = targets.find(target => !target.cache);
+            if (uncached) {
+              throw new Error(`${uncached.folder.name} sets useCache: false; flattening changes since the last flatten needs the cache`);
+            }
+            const unrecorded = targets.find(target => !target.cache.lastOutput);
+            if (unrecorded) {
+              vscode.window.showInformationMessage(`No earlier flatten of ${unrecorded.folder.name} is recorded yet. Flatten it once first.`);
+              return;
+            }
+          }
           
-          // Get settings
-          const settings = ignoreRules.settings || {};
-          const maxChunkSize = (settings.maxTokenLimit || 50000) * 4; // 4 chars per token
-          const maxFileSize = (settings.maxTokensPerFile || 25000) * 4;
+          // Secrets are replaced while files are read, so that the cache never holds them either
+          const redact = settings.redactSecrets;
+          const redactPatternsFor = redact ? fullPath => targetByFile.get(fullPath).redactPatterns : undefined;
+          const cacheFor = fullPath => targetByFile.get(fullPath).cache;
           
           const tracker = new ProgressTracker(progress, token);
           
@@ -1013,50 +590,206 @@ maxConcurrentFiles: 4
           // Update progress calls
           tracker.increment('Collecting files...');
           
-          // Define collect function with access to the regex patterns
-          async function collect(dir) {
-            let items;
-            try {
-              items = await fs.readdir(dir, { withFileTypes: true });
-            } catch (err) {
-              console.error(`Failed to read directory ${dir}:`, err);
+          /**
+           * Returns the output path of a file: relative to its workspace folder,
+           * prefixed with the folder name when several folders are combined.
+           * @param {string} fullPath 
+           * @param {Object} target 
+           * @returns {string}
+           */
+          function toOutputPath(fullPath, target) {
+            const relative = path.relative(target.rootPath, fullPath);
+            return prefixWithFolderName ? path.join(target.folder.name, relative) : relative;
+          }
+          
+          /**
+           * Adds a file to the list under its output path.
+           * @param {string} fullPath 
+           * @param {Object} target 
+           */
+          function addFile(fullPath, target) {
+            if (relByFile.has(fullPath)) return;
+            if (options.only && !options.only.has(fullPath)) {
+              addExclusion(fullPath, target, 'unchecked in the preview');
               return;
             }
-            
-            for (const item of items) {
+            relByFile.set(fullPath, toOutputPath(fullPath, target));
+            targetByFile.set(fullPath, target);
+            fileList.push(fullPath);
+          }
+          
+          /**
+           * Records a file or directory left out of the output for the run report.
+           * @param {string} fullPath 
+           * @param {Object} target 
+           * @param {string} reason 
+           * @param {boolean} [isDirectory] 
+           */
+          function addExclusion(fullPath, target, reason, isDirectory = false) {
+            excluded.push({ path: toPosixPath(toOutputPath(fullPath, target)) + (isDirectory ? '/' : ''), reason });
+          }
+          
+          // Compression modes from the compress: rules of the file's folder
+          function compressionFor(fullPath) {
+            const target = targetByFile.get(fullPath);
+            return getCompressionModes(toPosixPath(path.relative(target.rootPath, fullPath)), target.compression);
+          }
+          
+          // Encoding override from the encoding: rules of the file's folder
+          function encodingFor(fullPath) {
+            const target = targetByFile.get(fullPath);
+            return getEncodingOverride(toPosixPath(path.relative(target.rootPath, fullPath)), target.encodings);
+          }
+          
+          // Collect a folder's files that pass its rules
+          function collect(dir, target) {
+            return collectFiles(dir, target, {
+              include,
+              onFile: fullPath => addFile(fullPath, target),
+              onExcluded: (fullPath, reason, isDirectory) => addExclusion(fullPath, target, reason, isDirectory),
+              isCancelled: () => token.isCancellationRequested
+            });
+          }
+          
+          /**
+           * Collects explicitly selected files and folders. Selected items are taken as chosen;
+           * the contents of selected folders go through the same ignore rules as a full run.
+           * @param {Object} target 
+           */
+          async function collectSelection(target) {
+            for (const uri of target.uris) {
+              const fullPath = uri.fsPath;
+              const relative = path.relative(target.rootPath, fullPath);
+              
+              let stats;
+              try {
+                stats = await fs.stat(fullPath);
+              } catch (err) {
+                console.error(`Failed to read ${fullPath}: ${getDetailedErrorMessage(err)}`);
+                continue;
+              }
+              
+              if (target.gitIgnore) {
+                await target.gitIgnore.loadAncestors(toPosixPath(relative));
+              }
+              if (stats.isDirectory()) {
+                await collect(fullPath, target);
+              } else {
+                addFile(fullPath, target);
+              }
+            }
+          }
+          
+          /**
+           * Collects the files changed against the base ref in git-diff mode, with their diffs.
+           * Changed files go through the same ignore rules and extension filter as a full run.
+           * Folders of a multi-root workspace where the base ref does not exist are skipped with a warning.
+           * @param {Object} target 
+           */
+          async function collectChanges(target) {
+            if (!await isGitRepository(target.rootPath)) {
+              throw new Error(`${target.folder.name} is not a git repository`);
+            }
+            const commit = await resolveCommit(target.rootPath, options.diff.base);
+            if (!commit) {
+              if (targets.length === 1) throw new Error(`"${options.diff.base}" is not a commit in ${target.folder.name}`);
+              vscode.window.showWarningMessage(`Skipped ${target.folder.name}: "${options.diff.base}" is not a commit there.`);
+              return;
+            }
+            // Compare with the resolved commit, so the ref is never read as anything else
+            const diffOptions = { ...options.diff, base: commit };
+            const changes = await getChangedFiles(target.rootPath, diffOptions);
+            for (const change of changes) {
               if (token.isCancellationRequested) {
                 throw new Error('Operation cancelled by user');
               }
               
-              const fullPath = path.join(dir, item.name);
-              const relative = path.relative(rootPath, fullPath);
-              
-              // Skip the flattened directory itself
-              if (relative === 'flattened') continue;
-              
-              // Check global patterns first
-              if (globalRegexes.some(r => r.test(relative))) continue;
-              
-              // Then check blacklist
-              if (blacklistRegexes.some(r => r.test(relative))) continue;
-              
-              // If whitelist exists, file must match it
-              if (whitelistRegexes.length && !whitelistRegexes.some(r => r.test(relative))) continue;
+              const fullPath = path.join(target.rootPath, ...change.path.split('/'));
+              const relative = path.relative(target.rootPath, fullPath);
+              if (relative === 'flattened' || relative.startsWith(`flattened${path.sep}`)) continue;
+              if (target.gitIgnore) {
+                await target.gitIgnore.loadAncestors(change.path);
+              }
+              const decision = evaluateRules(target, relative, false);
+              if (decision.excluded) {
+                addExclusion(fullPath, target, decision.reason);
+                continue;
+              }
+              const inclusion = await checkInclusion(fullPath, relative, include);
+              if (!inclusion.included) {
+                addExclusion(fullPath, target, inclusion.reason);
+                continue;
+              }
               
-              if (item.isDirectory()) {
-                await collect(fullPath);
+              const diff = await getFileDiff(target.rootPath, change, diffOptions);
+              changeByFile.set(fullPath, { status: change.status, diff });
+              if (change.status === 'deleted') {
+                deletedFiles.push({ file: fullPath, rel: toOutputPath(fullPath, target) });
               } else {
-                if (!includeExtensions.includes(path.extname(item.name))) continue;
-                fileList.push(fullPath);
+                addFile(fullPath, target);
               }
             }
+            
+            const stat = await getDiffStat(target.rootPath, diffOptions);
+            diffStats.push(prefixWithFolderName ? `${target.folder.name}:\n${stat}` : stat);
           }
           
-          // Collect files
+          // Collect files from each folder's changes, its selection, or the whole folder
           const fileList = [];
-          await collect(rootPath);
+          const relByFile = new Map();
+          const targetByFile = new Map();
+          const changeByFile = new Map();
+          const deletedFiles = [];
+          const diffStats = [];
+          const excluded = [];
+          for (const target of targets) {
+            if (options.diff) {
+              await collectChanges(target);
+            } else if (target.uris) {
+              await collectSelection(target);
+            } else {
+              await collect(target.rootPath, target);
+            }
+          }
           
-          if (fileList.length === 0) {
+          // Untitled editors have no file: they join the first folder under their editor title
+          const untitledDocs = new Map();
+          if (settings.useUnsavedChanges) {
+            for (const uri of untitledUris) {
+              const doc = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+              if (!doc) continue;
+              const fullPath = path.join(targets[0].rootPath, `untitled:${uri.path}`);
+              addFile(fullPath, targets[0]);
+              relByFile.set(fullPath, uri.path);
+              unsavedContent.set(fullPath, doc.getText());
+              untitledDocs.set(fullPath, doc);
+            }
+          }
+          
+          // From an entry file, keep only what it reaches through imports; the entry itself is taken as chosen
+          let distanceByFile = null;
+          if (options.entry) {
+            const target = targets[0];
+            addFile(options.entry, target);
+            const candidates = new Set(fileList);
+            distanceByFile = await getImportDistances(options.entry, {
+              rootPath: target.rootPath,
+              aliases: await loadPathAliases(target.rootPath),
+              exists: fullPath => candidates.has(fullPath),
+              onWarning: warn
+            });
+            const entryRel = toPosixPath(relByFile.get(options.entry));
+            fileList.filter(file => !distanceByFile.has(file))
+              .forEach(file => addExclusion(file, target, `not imported from ${entryRel}`));
+            fileList.splice(0, fileList.length, ...fileList.filter(file => distanceByFile.has(file)));
+          }
+          
+          if (options.diff && fileList.length === 0 && deletedFiles.length === 0) {
+            vscode.window.showInformationMessage(`No changed files found against ${options.diff.base}.`);
+            return;
+          }
+          
+          if (fileList.length === 0 && deletedFiles.length === 0) {
             vscode.window.showWarningMessage('No matching files found. Check your ignore patterns and file extensions.');
             return;
           }
@@ -1070,22 +803,79 @@ maxConcurrentFiles: 4
             }
             
             try {
-              const stats = await fs.stat(file);
-              const score = await scoreFile(file, stats);
-              scoredFiles.push({ file, score, size: stats.size });
+              const untitled = untitledDocs.has(file);
+              const stats = untitled ? getContentStats(unsavedContent.get(file)) : await fs.stat(file);
+              const target = targetByFile.get(file);
+              const { score, pinned, breakdown } = getScoreBreakdown(file, stats, {
+                relative: path.relative(target.rootPath, file),
+                scoring: target.scoring,
+                history: target.history,
+                cache: untitled ? null : target.cache
+              });
+              scoredFiles.push({ file, score, pinned, breakdown, size: stats.size });
             } catch (err) {
               console.error(`Failed to process file ${file}: ${getDetailedErrorMessage(err)}`);
               // Continue with other files
             }
           }
           
-          if (scoredFiles.length === 0) {
+          if (scoredFiles.length === 0 && deletedFiles.length === 0) {
             vscode.window.showWarningMessage('No files could be processed. Check file permissions and try again.');
             return;
           }
           
-          // Sort by score descending
-          scoredFiles.sort((a, b) => b.score - a.score);
+          // Pinned files first, then by score descending; nearest imports first when starting from an entry file
+          scoredFiles.sort((a, b) => (distanceByFile ? distanceByFile.get(a.file) - distanceByFile.get(b.file) : 0) || compareScores(a, b));
+          
+          // A preview stops here: count each file's tokens and hand the candidates to the preview view
+          if (options.onPreview) {
+            tracker.increment('Counting tokens...');
+            const dropped = new Map();
+            const counted = await processFilesInParallel(scoredFiles.map(f => f.file), rootPath, maxFileSize, settings.maxConcurrentFiles, {
+              tokenizer,
+              maxTokensPerFile,
+              notebookOutputs,
+              contentFor: file => unsavedContent.get(file),
+              encodingFor,
+              compressionFor,
+              redactPatternsFor,
+              cacheFor,
+              onSkipped: (file, reason) => dropped.set(file, reason),
+              onErrors: errors => errors.forEach(message => outputChannel.appendLine(message)),
+              onWarning: warn
+            });
+            const countedByFile = new Map(counted.map(r => [r.file, r]));
+            options.onPreview({
+              folders: targets.map(t => t.folder),
+              maxTokenLimit,
+              tokenizer: tokenizer.name,
+              model: model ? model.label : null,
+              candidates: scoredFiles.map(f => {
+                const target = targetByFile.get(f.file);
+                return {
+                  file: f.file,
+                  rel: toPosixPath(relByFile.get(f.file)),
+                  relative: toPosixPath(path.relative(target.rootPath, f.file)),
+                  folder: target.folder,
+                  score: f.score,
+                  breakdown: f.breakdown,
+                  size: f.size,
+                  tokens: countedByFile.has(f.file) ? countedByFile.get(f.file).tokens : null,
+                  compression: countedByFile.has(f.file) ? countedByFile.get(f.file).compression || null : null,
+                  dropped: dropped.get(f.file) || null,
+                  checked: true
+                };
+              })
+            });
+            return;
+          }
+          
+          // Let the user know up front when the output will span several parts
+          const estimate = await estimateOutputFiles(scoredFiles, maxChunkSize);
+          if (estimate.estimatedFiles > 1) {
+            outputChannel.appendLine(estimate.suggestions.join('\n'));
+            progress.report({ message: `Output will be split into about ${estimate.estimatedFiles} parts` });
+          }
           
           // Process files in batches with error handling
           tracker.increment('Processing files...');
@@ -1093,7 +883,22 @@ maxConcurrentFiles: 4
           
           let results = [];
           try {
-            results = await processFilesInParallel(sortedFiles, rootPath, maxFileSize);
+            results = await processFilesInParallel(sortedFiles, rootPath, maxFileSize, settings.maxConcurrentFiles, {
+              tokenizer,
+              maxTokensPerFile,
+              notebookOutputs,
+              contentFor: file => unsavedContent.get(file),
+              encodingFor,
+              compressionFor,
+              redactPatternsFor,
+              cacheFor,
+              onSkipped: (file, reason) => addExclusion(file, targetByFile.get(file), reason),
+              onErrors: errors => {
+                errors.forEach(message => outputChannel.appendLine(message));
+                vscode.window.showWarningMessage(`⚠️ Some files could not be processed. Check the output for details.`);
+              },
+              onWarning: warn
+            });
           } catch (err) {
             console.error(`Error processing files: ${getDetailedErrorMessage(err)}`);
             vscode.window.showWarningMessage('Some files could not be processed. Continuing with available content.');
@@ -1104,9 +909,9 @@ maxConcurrentFiles: 4
                 try {
                   const stats = await fs.stat(file);
                   if (stats.size <= maxFileSize) {
-                    const content = await fs.readFile(file, 'utf-8');
+                    const { content, binary } = await readTextFile(file, encodingFor(file));
                     const rel = path.relative(rootPath, file);
-                    results.push({ file, content, rel, stats });
+                    if (!binary) results.push({ file, content, rel, stats });
                   }
                 } catch (fileErr) {
                   console.error(`Failed to read file ${file}: ${getDetailedErrorMessage(fileErr)}`);
@@ -1116,21 +921,125 @@ maxConcurrentFiles: 4
             }
           }
           
-          if (results.length === 0) {
+          if (results.length === 0 && deletedFiles.length === 0) {
             vscode.window.showErrorMessage('Failed to process any files. Please check the console for errors.');
             return;
           }
           
+          const cacheHits = targets.reduce((sum, target) => sum + (target.cache ? target.cache.hits : 0), 0);
+          if (cacheHits > 0) {
+            outputChannel.appendLine(`📦 Reused ${cacheHits} unchanged files from the cache`);
+          }
+          const unsavedCount = results.filter(r => r.unsaved).length;
+          if (unsavedCount > 0) {
+            outputChannel.appendLine(`📝 Read ${unsavedCount} files from editors with unsaved changes`);
+          }
+          
+          // Use output paths and attach scores for formatters that report per-file metadata
+          const scoredByFile = new Map(scoredFiles.map(f => [f.file, f]));
+          results.forEach(r => {
+            r.rel = relByFile.get(r.file) || r.rel;
+            r.score = scoredByFile.get(r.file).score;
+            r.scoreBreakdown = scoredByFile.get(r.file).breakdown;
+            const doc = untitledDocs.get(r.file);
+            if (doc && doc.languageId !== 'plaintext') r.language = doc.languageId;
+          });
+          
+          // Since the last flatten, keep only added and modified files and list the changes like a diffstat
+          let sinceLastChanges = null;
+          if (options.sinceLast) {
+            const stat = [];
+            results = results.filter(r => {
+              r.status = targetByFile.get(r.file).cache.changeSinceLastOutput(r.file, r.hash);
+              if (r.status) stat.push(`${r.status === 'added' ? 'A' : 'M'} ${toPosixPath(r.rel)}`);
+              return Boolean(r.status);
+            });
+            for (const target of targets) {
+              target.removed = await target.cache.removedSinceLastOutput();
+              target.removed.forEach(rel => stat.push(`D ${prefixWithFolderName ? `${target.folder.name}/${rel}` : rel}`));
+            }
+            if (stat.length === 0) {
+              vscode.window.showInformationMessage('Nothing changed since the last flatten.');
+              return;
+            }
+            const lastAt = new Date(targets[0].cache.lastOutput.at).toLocaleString();
+            sinceLastChanges = { base: `the last flatten (${lastAt})`, stat: `${stat.join('\n')}\n` };
+          }
+          
+          // From an entry file, fill the budget of one part breadth-first; the entry file always stays.
+          // Leave room for the header, which lists the directory tree.
+          if (distanceByFile) {
+            const budget = Math.floor(maxTokenLimit * 0.9);
+            const entry = results.find(r => r.file === options.entry);
+            const candidates = results.map(r => ({ tokens: r.tokens, checked: r !== entry }));
+            planTokenBudget(candidates, budget - (entry && entry.tokens ? entry.tokens : 0));
+            results.filter((r, i) => candidates[i].overBudget).forEach(r => {
+              addExclusion(r.file, targetByFile.get(r.file), `import distance ${distanceByFile.get(r.file)} is past the token budget of ${budget}`);
+            });
+            results = results.filter((r, i) => !candidates[i].overBudget);
+          }
+          
+          // In git-diff mode, attach each file's diff; deleted files carry only their diff
+          if (options.diff) {
+            results.forEach(r => {
+              const change = changeByFile.get(r.file);
+              if (change) {
+                r.status = change.status;
+                r.diff = change.diff;
+              }
+            });
+            deletedFiles.forEach(({ file, rel }) => {
+              const change = changeByFile.get(file);
+              results.push({ file, rel, content: '', stats: null, score: 0, status: change.status, diff: change.diff });
+            });
+          }
+          
+          // Replace secrets with placeholders before anything is rendered; on unless redactSecrets is false
+          let redactions = [];
+          if (redact) {
+            progress.report({ message: 'Redacting secrets...' });
+            redactions = redactFiles(results, {
+              tokenizer,
+              patternsFor: r => (targetByFile.get(r.file) || targets[0]).redactPatterns
+            });
+            if (redactions.length > 0) {
+              outputChannel.appendLine(`🔒 Redacted secrets in ${redactions.length} files:\n${redactions.map(r => `  ${r.path}: ${r.total}`).join('\n')}`);
+            }
+          }
+          
+          // Over the limit, either fit everything into one part or split into several
+          const contentTokens = results.reduce((sum, r) => sum + (typeof r.tokens === 'number' ? r.tokens : tokenizer.count(r.content)), 0);
+          const budgetMode = await ensureSingleFileOutput(contentTokens, maxTokenLimit, settings.budgetMode);
+          
           let chunks = [];
+          let downgrades = [];
           try {
-            chunks = createChunksEfficiently(results, maxChunkSize);
+            // List excluded files with their reasons unless reportExclusions is false
+            const report = settings.reportExclusions ? excluded : [];
+            const changes = options.diff ? { ...options.diff, stat: diffStats.join('\n') } : sinceLastChanges;
+            const renderOptions = changes
+              ? { changes, redactions, excluded: report }
+              : { redactions, excluded: report };
+            if (budgetMode === 'fit') {
+              progress.report({ message: 'Fitting files to the token budget...' });
+              ({ chunks, downgrades } = fitToBudget(results, maxTokenLimit, formatter, tokenizer, renderOptions));
+              // Downgrades change what the output holds, so show which files lost content
+              if (downgrades.length > 0) {
+                outputChannel.appendLine(`📉 Downgraded ${downgrades.length} files to fit ${maxTokenLimit} tokens:\n${formatDowngradeTable(downgrades)}\n`);
+                outputChannel.show(true);
+              }
+            } else {
+              chunks = createChunksEfficiently(results, maxTokenLimit, formatter, tokenizer, renderOptions);
+            }
           } catch (err) {
             console.error(`Error creating chunks: ${getDetailedErrorMessage(err)}`);
             
             // Simple fallback chunking if the efficient method fails
+            const rels = results.map(r => r.rel);
             const simpleChunk = {
-              content: results.map(r => `\n\n--- ${r.rel} ---\n\n${r.content}`).join('\n'),
-              files: results.map(r => r.rel)
+              content: `=== Directory Tree ===\n${buildDirectoryTree(rels)}\n\n` +
+                results.map(r => `\n\n--- ${r.rel} ---\n\n${r.content}`).join('\n'),
+              files: rels
             };
             chunks = [simpleChunk];
           }
@@ -1140,22 +1049,48 @@ maxConcurrentFiles: 4
             return;
           }
           
-          // Write single file
+          const fileCount = new Set(chunks.flatMap(c => c.files)).size;
+          const totalTokens = chunks.reduce((sum, c) => sum + (c.tokens || tokenizer.count(c.content)), 0);
+          const fitNote = downgrades.length > 0 ? `, ${downgrades.length} downgraded to fit` : '';
+          
+          // Clipboard and editor destinations never write to disk
+          if (options.destination === 'clipboard') {
+            tracker.increment('Copying to clipboard...');
+            // Not awaited: offering the next part must not hold the progress notification open
+            copyChunksToClipboard(chunks, tokenizer, `${fileCount} files, ${totalTokens} tokens in total${fitNote}`)
+              .catch(err => console.error(`Failed to copy to clipboard: ${getDetailedErrorMessage(err)}`));
+            return;
+          }
+          if (options.destination === 'editor') {
+            tracker.increment('Opening editor...');
+            await openChunksInEditor(chunks, formatter);
+            vscode.window.showInformationMessage(`✅ Flattened ${fileCount} files (${totalTokens} tokens${fitNote}) into ${chunks.length > 1 ? `${chunks.length} untitled editors` : 'an untitled editor'}.`);
+            return;
+          }
+          
+          // Write one file per chunk, numbered when there is more than one
           tracker.increment('Writing output file...');
           const now = new Date();
           const timestamp = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}:${String(now.getSeconds()).padStart(2, '0')}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}-${String(now.getFullYear()).slice(-2)}`;
           
           try {
-            const treeString = buildDirectoryTree(chunks[0].files);
-            const header = `=== Directory Tree ===\n${treeString}\n\n`;
-            const filePath = path.join(flattenedDir, `${timestamp}.txt`);
-            await fs.writeFile(filePath, header + chunks[0].content, 'utf-8');
+            const outputPaths = [];
+            for (let i = 0; i < chunks.length; i++) {
+              const suffix = chunks.length > 1 ? `_${i + 1}` : '';
+              const filePath = path.join(flattenedDir, `${timestamp}${suffix}${formatter.extension}`);
+              await fs.writeFile(filePath, chunks[i].content, 'utf-8');
+              outputPaths.push(filePath);
+            }
             
-            vscode.window.showInformationMessage(`✅ Flattened ${chunks[0].files.length} files into a single file in /flattened directory.`);
+            if (chunks.length > 1) {
+              vscode.window.showInformationMessage(`✅ Flattened ${fileCount} files (${totalTokens} tokens) into ${chunks.length} parts in /flattened directory.`);
+            } else {
+              vscode.window.showInformationMessage(`✅ Flattened ${fileCount} files (${totalTokens} tokens${fitNote}) into a single file in /flattened directory.`);
+            }
             
-            // Open the file
+            // Open the first part
             try {
-              const doc = await vscode.workspace.openTextDocument(filePath);
+              const doc = await vscode.workspace.openTextDocument(outputPaths[0]);
               await vscode.window.showTextDocument(doc);
             } catch (err) {
               console.error(`Failed to open output file: ${getDetailedErrorMessage(err)}`);
@@ -1166,6 +1101,21 @@ maxConcurrentFiles: 4
             return;
           }
           
+          // Remember what was written for the next since-last run; files listed in the tree only were not output,
+          // and untitled editors have no file to compare with.
+          // Cache entries of files no longer seen are dropped only after a run over whole folders.
+          const treeOnly = new Set(downgrades.filter(d => d.level === 'tree').map(d => d.path));
+          const wholeFolders = !options.uris && !options.diff && !options.entry && !options.only;
+          for (const target of targets.filter(t => t.cache)) {
+            try {
+              target.cache.recordOutput(results.filter(r => targetByFile.get(r.file) === target && !treeOnly.has(r.rel) && !untitledDocs.has(r.file)), target.removed);
+              await target.cache.save({ prune: wholeFolders });
+            } catch (err) {
+              console.error(`Failed to save the cache: ${getDetailedErrorMessage(err)}`);
+              // Non-critical error, the next run reads files again
+            }
+          }
+          
           // Update .gitignore
           const gitignorePath = path.join(rootPath, '.gitignore');
           try {
@@ -1194,10 +1144,308 @@ maxConcurrentFiles: 4
       vscode.window.showErrorMessage(`Failed to flatten repository: ${errorMessage}`);
       console.error(errorMessage);
     }
+  }
+
+  // Register the flatten repository command
+  let disposable = vscode.commands.registerCommand('flatten-repo.flattenProjectToTxt', () => flattenProject());
+
+  // Register the commands that skip the /flattened directory
+  const flattenToClipboardCmd = vscode.commands.registerCommand('flatten-repo.flattenToClipboard', () => flattenProject({ destination: 'clipboard' }));
+  const flattenToEditorCmd = vscode.commands.registerCommand('flatten-repo.flattenToEditor', () => flattenProject({ destination: 'editor' }));
+  const flattenSinceLastCmd = vscode.commands.registerCommand('flatten-repo.flattenSinceLast', () => flattenProject({ sinceLast: true }));
+
+  // Register the flatten command that asks for the output format first
+  const flattenWithFormatCmd = vscode.commands.registerCommand('flatten-repo.flattenProjectWithFormat', async () => {
+    const picked = await vscode.window.showQuickPick(
+      Object.values(FORMATTERS).map(f => ({ label: f.label, description: f.extension, format: f.name })),
+      { placeHolder: 'Select the output format' }
+    );
+    if (!picked) return;
+    await flattenProject({ format: picked.format });
+  });
+
+  // Register the flatten command that asks for the target model first
+  const flattenForModelCmd = vscode.commands.registerCommand('flatten-repo.flattenProjectForModel', async () => {
+    const presets = getModelPresets(vscode.workspace.getConfiguration('flattenRepo').get('modelPresets'));
+    const picked = await vscode.window.showQuickPick(
+      Object.entries(presets).map(([name, preset]) => ({
+        label: preset.label,
+        description: `${Math.round(preset.contextWindow / 1000)}K context`,
+        detail: `${getOutputBudget(preset)} tokens for output${preset.format ? `, ${preset.format} format` : ''}`,
+        model: name
+      })),
+      { placeHolder: 'Select the target model' }
+    );
+    if (!picked) return;
+    await flattenProject({ model: picked.model });
+  });
+
+  // Register the git-diff command: flatten only files changed against a base ref
+  const flattenChangesCmd = vscode.commands.registerCommand('flatten-repo.flattenChanges', async () => {
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    if (!workspaceFolders) {
+      vscode.window.showErrorMessage('No workspace folder open.');
+      return;
+    }
+    
+    // Branches of every folder; those missing from some folders say so, as a run skips those folders
+    const foldersByBranch = new Map();
+    const gitFolders = [];
+    for (const folder of workspaceFolders) {
+      if (!await isGitRepository(folder.uri.fsPath)) continue;
+      gitFolders.push(folder);
+      try {
+        for (const branch of await listBranches(folder.uri.fsPath)) {
+          if (!foldersByBranch.has(branch)) foldersByBranch.set(branch, []);
+          foldersByBranch.get(branch).push(folder.name);
+        }
+      } catch (err) {
+        vscode.window.showErrorMessage(`Failed to list branches of ${folder.name}: ${err.message}`);
+        return;
+      }
+    }
+    if (gitFolders.length === 0) {
+      vscode.window.showErrorMessage('No workspace folder is a git repository.');
+      return;
+    }
+    
+    const OTHER_REF = 'Other commit or ref...';
+    const baseChoice = await vscode.window.showQuickPick(
+      [
+        { label: 'HEAD' },
+        ...[...foldersByBranch].map(([branch, folders]) => ({
+          label: branch,
+          description: folders.length < gitFolders.length ? `only in ${folders.join(', ')}` : undefined
+        })),
+        { label: OTHER_REF }
+      ],
+      { placeHolder: 'Compare against which branch or commit?' }
+    );
+    if (!baseChoice) return;
+    const base = baseChoice.label === OTHER_REF
+      ? await vscode.window.showInputBox({ prompt: 'Commit, tag or ref to compare against', placeHolder: 'e.g. origin/main, v1.2.0, a1b2c3d' })
+      : baseChoice.label;
+    if (!base) return;
+    
+    const WORKING_TREE = 'Working tree';
+    const STAGED = 'Staged changes';
+    const mode = await vscode.window.showQuickPick(
+      [
+        { label: WORKING_TREE, description: 'Committed, staged, unstaged and untracked changes' },
+        { label: STAGED, description: 'Only what is in the index' }
+      ],
+      { placeHolder: `Which changes should be compared with ${base}?` }
+    );
+    if (!mode) return;
+    
+    await flattenProject({ diff: { base, staged: mode.label === STAGED } });
+  });
+
+  // Register the Explorer and editor tab command that flattens only the selection.
+  // Explorer multi-select passes the clicked item and the full selection.
+  const flattenSelectionCmd = vscode.commands.registerCommand('flatten-repo.flattenSelection', async (uri, uris) => {
+    let selection = Array.isArray(uris) && uris.length > 0 ? uris : (uri ? [uri] : []);
+    if (selection.length === 0 && vscode.window.activeTextEditor) {
+      selection = [vscode.window.activeTextEditor.document.uri];
+    }
+    selection = selection.filter(u => u && (u.scheme === 'file' || u.scheme === 'untitled'));
+    if (selection.length === 0) {
+      vscode.window.showErrorMessage('Select files or folders in the Explorer to flatten.');
+      return;
+    }
+    await flattenProject({ uris: selection });
+  });
+
+  // Register the Explorer and editor tab command that flattens a file and what it imports, nearest first
+  const flattenFromFileCmd = vscode.commands.registerCommand('flatten-repo.flattenFromFile', async (uri) => {
+    if (!uri && vscode.window.activeTextEditor) {
+      uri = vscode.window.activeTextEditor.document.uri;
+    }
+    if (!uri || uri.scheme !== 'file') {
+      vscode.window.showErrorMessage('Select a file in the Explorer to flatten from.');
+      return;
+    }
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!folder) {
+      vscode.window.showErrorMessage('The selection is not inside a workspace folder.');
+      return;
+    }
+    await flattenProject({ entry: uri.fsPath, folders: [folder] });
+  });
+
+  // Register the Explorer and editor tab command that explains why a file is or is not flattened
+  const explainFileCmd = vscode.commands.registerCommand('flatten-repo.explainFile', async (uri) => {
+    if (!uri && vscode.window.activeTextEditor) {
+      uri = vscode.window.activeTextEditor.document.uri;
+    }
+    if (!uri || uri.scheme !== 'file') {
+      vscode.window.showErrorMessage('Select a file or folder in the Explorer to explain.');
+      return;
+    }
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!folder) {
+      vscode.window.showErrorMessage('The selection is not inside a workspace folder.');
+      return;
+    }
+
+    try {
+      const target = {
+        folder,
+        rootPath: folder.uri.fsPath,
+        flattenIgnorePath: path.join(folder.uri.fsPath, 'flattened', '.flatten_ignore')
+      };
+      await loadIgnoreRules(target);
+      const settings = target.config.values;
+      target.gitIgnore = await loadGitIgnore(target.rootPath, settings.useGitIgnore);
+
+      // Same limits as a run of this folder
+      const model = settings.model ? getModelPreset(settings.model, settings.modelPresets) : null;
+      const tokenizer = getTokenizer(settings.tokenizer || (model && model.tokenizer)) || getTokenizer(DEFAULT_TOKENIZER);
+
+      const explanation = await explainPath(target, uri.fsPath, {
+        include: compileIncludeRules(settings.includeExtensions, [...settings.includeLanguages, ...settings.languages]),
+        maxFileSize: settings.maxTokensPerFile * CHARS_PER_TOKEN * 2,
+        maxTokensPerFile: settings.maxTokensPerFile,
+        tokenizer,
+        notebookOutputs: settings.notebookOutputs,
+        budgetMode: settings.budgetMode
+      });
+      outputChannel.appendLine(formatExplanation(explanation));
+      outputChannel.show(true);
+      vscode.window.showInformationMessage(`${explanation.path} is ${explanation.included ? 'included' : 'excluded'}: ${explanation.decidedBy}`);
+    } catch (err) {
+      console.error(`Failed to explain ${uri.fsPath}: ${getDetailedErrorMessage(err)}`);
+      vscode.window.showErrorMessage(`Failed to explain ${uri.fsPath}: ${getDetailedErrorMessage(err)}`);
+    }
+  });
+
+  // Register the command that shows a folder's merged configuration and where each value came from
+  const showConfigCmd = vscode.commands.registerCommand('flatten-repo.showConfig', async () => {
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    if (!workspaceFolders) {
+      vscode.window.showErrorMessage('No workspace folder is open.');
+      return;
+    }
+    let folder = workspaceFolders[0];
+    if (workspaceFolders.length > 1) {
+      const picked = await vscode.window.showQuickPick(
+        workspaceFolders.map(f => ({ label: f.name, description: f.uri.fsPath, folder: f })),
+        { placeHolder: 'Select the workspace folder whose configuration to show' }
+      );
+      if (!picked) return;
+      folder = picked.folder;
+    }
+
+    try {
+      const target = { folder, flattenIgnorePath: path.join(folder.uri.fsPath, 'flattened', '.flatten_ignore') };
+      await loadIgnoreRules(target);
+      const settings = target.config.values;
+      outputChannel.appendLine(formatConfig(target.config, `Effective configuration of ${folder.name}`));
+
+      // What a run derives from it: the model preset's budget, capped by maxChunkSize
+      const model = settings.model ? getModelPreset(settings.model, settings.modelPresets) : null;
+      const partTokens = getPartTokenLimit(model ? getOutputBudget(model) : settings.maxTokenLimit, settings.maxChunkSize);
+      outputChannel.appendLine(`Tokens per output part: ${partTokens}${model ? ` (model preset ${model.label})` : ''}\n`);
+      outputChannel.show(true);
+    } catch (err) {
+      console.error(`Failed to resolve the configuration of ${folder.name}: ${getDetailedErrorMessage(err)}`);
+      vscode.window.showErrorMessage(`Failed to resolve the configuration of ${folder.name}: ${getDetailedErrorMessage(err)}`);
+    }
+  });
+
+  // Preview view: review and toggle the candidate files, then generate from exactly that selection
+  const previewProvider = new PreviewProvider();
+  const previewView = vscode.window.createTreeView('flattenRepo.preview', {
+    treeDataProvider: previewProvider,
+    manageCheckboxStateManually: true
+  });
+  previewView.onDidChangeCheckboxState(event => previewProvider.setChecked(event.items));
+  previewProvider.onDidChangeTreeData(() => {
+    const { plan, budget } = previewProvider;
+    previewView.description = `${budget.total} / ${plan.maxTokenLimit} tokens${plan.model ? ` (${plan.model})` : ''}`;
+    previewView.message = budget.overBudget > 0
+      ? `${budget.overBudget} checked files are past the ${plan.maxTokenLimit}-token budget and would go into further parts.`
+      : undefined;
+  });
+
+  const previewCmd = vscode.commands.registerCommand('flatten-repo.preview', async () => {
+    await flattenProject({
+      onPreview: plan => {
+        previewProvider.setPlan(plan);
+        vscode.commands.executeCommand('setContext', 'flattenRepo.previewReady', true);
+      }
+    });
+    if (previewProvider.plan) {
+      await vscode.commands.executeCommand('flattenRepo.preview.focus');
+    }
+  });
+
+  const previewGenerateCmd = vscode.commands.registerCommand('flatten-repo.previewGenerate', async () => {
+    const { plan } = previewProvider;
+    if (!plan) {
+      vscode.window.showErrorMessage('Run "Preview Flatten Output" first.');
+      return;
+    }
+    const checked = plan.candidates.filter(c => c.checked && !c.dropped);
+    if (checked.length === 0) {
+      vscode.window.showWarningMessage('No files are checked in the preview.');
+      return;
+    }
+    await flattenProject({ folders: plan.folders, only: new Set(checked.map(c => c.file)) });
+  });
+
+  // Unchecked files are written to each folder's .flatten_ignore so later runs leave them out too
+  const previewSaveCmd = vscode.commands.registerCommand('flatten-repo.previewSaveSelection', async () => {
+    const { plan } = previewProvider;
+    if (!plan) {
+      vscode.window.showErrorMessage('Run "Preview Flatten Output" first.');
+      return;
+    }
+    const unchecked = plan.candidates.filter(c => !c.checked && !c.dropped);
+    if (unchecked.length === 0) {
+      vscode.window.showInformationMessage('All files are checked; there is nothing to save.');
+      return;
+    }
+
+    for (const folder of plan.folders) {
+      const files = unchecked.filter(c => c.folder === folder);
+      if (files.length === 0) continue;
+      const flattenIgnorePath = path.join(folder.uri.fsPath, 'flattened', '.flatten_ignore');
+      try {
+        await ensureFile(flattenIgnorePath, DEFAULT_IGNORE_CONTENT);
+        // An active whitelist (whitelist: or the globalWhitelist setting) takes precedence over the blacklist,
+        // so files are removed from it instead
+        const target = { folder, flattenIgnorePath };
+        await loadIgnoreRules(target);
+        const useWhitelist = target.whitelistMatchers.some(m => !m.negate);
+        const patterns = files.map(c => (useWhitelist ? '!' : '') + toLiteralPattern(c.relative));
+        const content = await fs.readFile(flattenIgnorePath, 'utf8');
+        await fs.writeFile(flattenIgnorePath, addPatternsToSection(content, useWhitelist ? 'whitelist' : 'blacklist', patterns), 'utf8');
+        vscode.window.showInformationMessage(`✅ Added ${files.length} unchecked files to the ${useWhitelist ? 'whitelist' : 'blacklist'} of ${folder.name}/flattened/.flatten_ignore`);
+      } catch (err) {
+        console.error(`Failed to update .flatten_ignore file: ${getDetailedErrorMessage(err)}`);
+        vscode.window.showErrorMessage(`Failed to update .flatten_ignore file: ${getDetailedErrorMessage(err)}`);
+      }
+    }
   });
 
   context.subscriptions.push(createIgnoreCmd);
   context.subscriptions.push(disposable);
+  context.subscriptions.push(flattenWithFormatCmd);
+  context.subscriptions.push(flattenForModelCmd);
+  context.subscriptions.push(flattenSelectionCmd);
+  context.subscriptions.push(flattenChangesCmd);
+  context.subscriptions.push(flattenToClipboardCmd);
+  context.subscriptions.push(flattenToEditorCmd);
+  context.subscriptions.push(flattenSinceLastCmd);
+  context.subscriptions.push(explainFileCmd);
+  context.subscriptions.push(showConfigCmd);
+  context.subscriptions.push(flattenFromFileCmd);
+  context.subscriptions.push(outputChannel);
+  context.subscriptions.push(previewView);
+  context.subscriptions.push(previewCmd);
+  context.subscriptions.push(previewGenerateCmd);
+  context.subscriptions.push(previewSaveCmd);
 }
 
 // Worker thread code
@@ -0,0 +1,209 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the shape of cached entries changes; older caches are then discarded
+const CACHE_VERSION = 1;
+const CACHE_FILE_NAME = '.flatten_cache.json';
+
+/**
+ * Hashes file content for change detection.
+ * @param {string|Buffer} content
+ * @returns {string} Hex-encoded SHA-1
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// ----- Cache -----
+
+/**
+ * Per-folder cache of processed files in flattened/.flatten_cache.json.
+ *
+ * Entries are keyed by path relative to the folder and validated by size and
+ * modification time, then by content hash: a file whose size and mtime are
+ * unchanged is not read at all, and a touched but unchanged file is read and
+ * hashed but not processed again. Each entry keeps its score and the processed
+ * (compressed and redacted) content with its token count for the latest variant,
+ * i.e. the encoding override, notebook outputs mode, compression modes, tokenizer and redaction patterns it was made with.
+ *
+ * The cache also remembers the content hashes of the files in the last written
+ * output, for flattening only what changed since then.
+ */
+class FileCache {
+  /**
+   * @param {string} rootPath
+   */
+  constructor(rootPath) {
+    this.rootPath = rootPath;
+    this.cachePath = path.join(rootPath, 'flattened', CACHE_FILE_NAME);
+    this.files = {};
+    this.lastOutput = null;
+    this.seen = new Set();
+    this.hits = 0;
+    this.misses = 0;
+    this.dirty = false;
+  }
+
+  /**
+   * Loads the cache file. A missing, unreadable or outdated file leaves the cache empty.
+   * @returns {Promise<FileCache>}
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+      if (data && data.version === CACHE_VERSION) {
+        this.files = data.files || {};
+        this.lastOutput = data.lastOutput || null;
+      }
+    } catch (_) {
+      // No cache yet, or a corrupt one that the next save replaces
+    }
+    return this;
+  }
+
+  /**
+   * Returns the cache key of a file: its path relative to the folder with '/' separators.
+   * @param {string} fullPath
+   * @returns {string}
+   */
+  keyOf(fullPath) {
+    return path.relative(this.rootPath, fullPath).split(path.sep).join('/');
+  }
+
+  /**
+   * Returns the cached score of a file, computing and storing it when the key differs.
+   * @param {string} fullPath
+   * @param {string} key Everything the score depends on
+   * @param {() => Object} compute
+   * @returns {Object}
+   */
+  score(fullPath, key, compute) {
+    const rel = this.keyOf(fullPath);
+    const entry = this.files[rel] || (this.files[rel] = {});
+    this.seen.add(rel);
+    if (!entry.score || entry.score.key !== key) {
+      entry.score = { key, value: compute() };
+      this.dirty = true;
+    }
+    return entry.score.value;
+  }
+
+  /**
+   * Returns the processed content of a file, reading and processing it only when it changed.
+   * @param {string} fullPath
+   * @param {{size: number, mtimeMs: number}} stats
+   * @param {string} variant Key of the processing options, see FileCache#variantOf
+   * @param {(buffer: Buffer) => Object} compute Processes the raw bytes; the result must be JSON-serializable
+   * @returns {Promise<Object>} The processed result with the content hash of the file in hash
+   */
+  async process(fullPath, stats, variant, compute) {
+    const rel = this.keyOf(fullPath);
+    const entry = this.files[rel] || (this.files[rel] = {});
+    this.seen.add(rel);
+    const cached = entry.variant && entry.variant.key === variant ? entry.variant.result : null;
+    if (cached && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+      this.hits++;
+      return { ...cached, hash: entry.hash };
+    }
+
+    const raw = await fs.readFile(fullPath);
+    const hash = hashContent(raw);
+    this.dirty = true;
+    if (cached && entry.hash === hash) {
+      Object.assign(entry, { size: stats.size, mtimeMs: stats.mtimeMs });
+      this.hits++;
+      return { ...cached, hash };
+    }
+
+    // Only update the entry once processing succeeded, so that it never pairs a hash with stale content
+    this.misses++;
+    const result = compute(raw);
+    Object.assign(entry, { size: stats.size, mtimeMs: stats.mtimeMs, hash, variant: { key: variant, result } });
+    return { ...result, hash };
+  }
+
+  /**
+   * Tells how a file changed since the last written output.
+   * @param {string} fullPath
+   * @param {string} hash Current content hash
+   * @returns {'added'|'modified'|null} null when unchanged
+   */
+  changeSinceLastOutput(fullPath, hash) {
+    const previous = this.lastOutput ? this.lastOutput.hashes[this.keyOf(fullPath)] : undefined;
+    if (previous === undefined) return 'added';
+    return previous === hash ? null : 'modified';
+  }
+
+  /**
+   * Lists files of the last written output that no longer exist.
+   * @returns {Promise<string[]>} Paths relative to the folder
+   */
+  async removedSinceLastOutput() {
+    const removed = [];
+    for (const rel of Object.keys(this.lastOutput ? this.lastOutput.hashes : {})) {
+      try {
+        await fs.access(path.join(this.rootPath, ...rel.split('/')));
+      } catch (_) {
+        removed.push(rel);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Records the files of a written output. Files not in it keep their previous record,
+   * so flattening a selection does not forget the rest of the folder.
+   * @param {Array<{file: string, hash?: string}>} results Files without a hash (e.g. deleted ones) are skipped
+   * @param {string[]} [removed] Paths relative to the folder to forget
+   */
+  recordOutput(results, removed = []) {
+    const hashes = { ...(this.lastOutput ? this.lastOutput.hashes : {}) };
+    for (const r of results) {
+      if (r.hash) hashes[this.keyOf(r.file)] = r.hash;
+    }
+    removed.forEach(rel => delete hashes[rel]);
+    this.lastOutput = { at: new Date().toISOString(), hashes };
+    this.dirty = true;
+  }
+
+  /**
+   * Writes the cache file if anything changed.
+   * @param {{prune?: boolean}} [options] prune drops entries of files this run did not see;
+   *   only safe after a run over the whole folder
+   * @returns {Promise<void>}
+   */
+  async save({ prune = false } = {}) {
+    if (prune) {
+      for (const rel of Object.keys(this.files)) {
+        if (!this.seen.has(rel)) {
+          delete this.files[rel];
+          this.dirty = true;
+        }
+      }
+    }
+    if (!this.dirty) return;
+    const data = { version: CACHE_VERSION, files: this.files, lastOutput: this.lastOutput };
+    await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+    await fs.writeFile(this.cachePath, JSON.stringify(data), 'utf8');
+    this.dirty = false;
+  }
+
+  /**
+   * Builds the variant key of processed content from the options that shape it.
+   * @param {{encoding?: string|null, notebookOutputs?: string, compression?: string[], tokenizer?: {name: string}|null, redactPatterns?: Array<{name: string, regex: RegExp}>|null}} options
+   *   redactPatterns are all patterns applied, built-in ones included; null when redaction is off
+   * @returns {string}
+   */
+  static variantOf({ encoding = null, notebookOutputs = '', compression = [], tokenizer = null, redactPatterns = null }) {
+    const redaction = redactPatterns ? hashContent(redactPatterns.map(p => `${p.name}:${p.regex}:${p.valueGroup || ''}:${p.minEntropy || ''}`).join('\n')) : 'off';
+    return [encoding || 'auto', notebookOutputs, compression.join(','), tokenizer ? tokenizer.name : '', redaction].join('|');
+  }
+}
+
+module.exports = {
+  CACHE_VERSION,
+  CACHE_FILE_NAME,
+  FileCache,
+  hashContent
+};
@@ -0,0 +1,373 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  toPosixPath,
+  parseFlattenIgnore,
+  getScoreBreakdown,
+  processFilesInParallel,
+  createChunksEfficiently,
+  fitToBudget,
+  getDetailedErrorMessage,
+  compileIgnoreRules,
+  loadGitIgnore,
+  loadFileHistory,
+  collectFiles,
+  explainPath,
+  formatExplanation,
+  redactFiles
+} = require('./core');
+const { FORMATTERS, getFormatter } = require('./formatters');
+const { getTokenizer, describeFallback, CHARS_PER_TOKEN } = require('./tokenizer');
+const { getModelPreset, getOutputBudget } = require('./models');
+const { compareScores } = require('./scoring');
+const { MODES, getCompressionModes } = require('./compress');
+const { FileCache } = require('./cache');
+const { getEncodingOverride } = require('./encoding');
+const { compileIncludeRules } = require('./include');
+const { fromFlattenIgnore, resolveConfig, getPartTokenLimit, formatConfig } = require('./config');
+const packageJson = require('../package.json');
+
+/**
+ * Command line interface to the flatten pipeline, for CI and terminals.
+ * Reads the same flattened/.flatten_ignore as the extension, but never creates it; without it the default rules apply.
+ */
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_NO_FILES = 3;
+
+const USAGE = `Usage: flatten-repo [options]
+
+Flattens a repository into a single document for LLMs, using the same
+flattened/.flatten_ignore rules as the VS Code extension.
+
+Options:
+  -r, --root <dir>          Folder to flatten (default: current directory)
+  -o, --output <file>       Write to a file instead of stdout; parts get _1, _2, ... suffixes
+  -f, --format <name>       Output format: ${Object.keys(FORMATTERS).join(', ')}
+  -t, --max-tokens <n>      Token limit per output part (overrides maxTokenLimit)
+  -m, --model <name>        Model preset that sets the token limit, tokenizer and format
+      --tokenizer <name>    Tokenizer used for counting: cl100k, o200k or chars
+      --ignore-file <path>  Rules file (default: <root>/flattened/.flatten_ignore;
+                            the default rules apply when it is missing)
+      --no-gitignore        Do not apply .gitignore files
+      --no-redact           Keep secrets in the output
+      --compress <modes>    Compress every file: license, comments, whitespace and/or
+                            skeleton, comma-separated (overrides the compress: rules)
+      --fit                 Fit the output into one part by downgrading the least important
+                            files instead of splitting it (budgetMode: fit)
+      --since-last          Only output files added or modified since the last flatten
+      --no-cache            Read and process every file instead of reusing
+                            flattened/.flatten_cache.json
+      --explain <path>      Print why a file is included or excluded instead of flattening
+      --show-config         Print the settings in effect and where each comes from
+  -q, --quiet               Only print errors
+  -h, --help                Show this help
+  -v, --version             Show the version
+
+Exit codes: 0 success, 1 error, 2 invalid arguments, 3 no matching files.`;
+
+/**
+ * Parses command line arguments.
+ * @param {string[]} argv Arguments without the node and script paths
+ * @returns {Object} Parsed flags
+ * @throws {TypeError} For unknown flags or missing values
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      root: { type: 'string', short: 'r' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      'max-tokens': { type: 'string', short: 't' },
+      model: { type: 'string', short: 'm' },
+      tokenizer: { type: 'string' },
+      'ignore-file': { type: 'string' },
+      'no-gitignore': { type: 'boolean' },
+      'no-redact': { type: 'boolean' },
+      compress: { type: 'string' },
+      fit: { type: 'boolean' },
+      'since-last': { type: 'boolean' },
+      'no-cache': { type: 'boolean' },
+      explain: { type: 'string' },
+      'show-config': { type: 'boolean' },
+      quiet: { type: 'boolean', short: 'q' },
+      help: { type: 'boolean', short: 'h' },
+      version: { type: 'boolean', short: 'v' }
+    },
+    strict: true
+  });
+  return values;
+}
+
+/**
+ * Returns the paths the output parts are written to: the given path for a single part,
+ * else the path with _1, _2, ... before the extension.
+ * @param {string} outputPath
+ * @param {number} count
+ * @returns {string[]}
+ */
+function getPartPaths(outputPath, count) {
+  if (count === 1) return [outputPath];
+  const ext = path.extname(outputPath);
+  const base = outputPath.slice(0, outputPath.length - ext.length);
+  return Array.from({ length: count }, (_, i) => `${base}_${i + 1}${ext}`);
+}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv Arguments without the node and script paths
+ * @param {{stdout: {write: Function}, stderr: {write: Function}, cwd?: string}} [io]
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const { stdout, stderr } = io;
+
+  let flags;
+  try {
+    flags = parseCliArgs(argv);
+  } catch (err) {
+    stderr.write(`flatten-repo: ${err.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+  if (flags.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (flags.version) {
+    stdout.write(`${packageJson.version}\n`);
+    return EXIT_OK;
+  }
+  const log = message => {
+    if (!flags.quiet) stderr.write(`${message}\n`);
+  };
+  const fail = (code, message) => {
+    stderr.write(`flatten-repo: ${message}\n`);
+    return code;
+  };
+
+  const rootPath = path.resolve(io.cwd || process.cwd(), flags.root || '.');
+  try {
+    if (!(await fs.stat(rootPath)).isDirectory()) {
+      return fail(EXIT_USAGE, `${rootPath} is not a directory`);
+    }
+  } catch (_) {
+    return fail(EXIT_USAGE, `${rootPath} does not exist`);
+  }
+
+  const ignorePath = flags['ignore-file']
+    ? path.resolve(io.cwd || process.cwd(), flags['ignore-file'])
+    : path.join(rootPath, 'flattened', '.flatten_ignore');
+  const ignoreRules = await parseFlattenIgnore(ignorePath);
+  // VS Code settings do not apply here, so .flatten_ignore overrides the defaults directly
+  const config = resolveConfig([fromFlattenIgnore(ignoreRules.settings)]);
+  if (flags['show-config']) {
+    stdout.write(formatConfig(config, `Effective configuration of ${rootPath}`));
+    return EXIT_OK;
+  }
+  config.errors.forEach(message => log(`⚠️ ${message}`));
+  const settings = config.values;
+
+  // Flags override .flatten_ignore settings, which override the model preset
+  const modelName = flags.model || settings.model;
+  const model = modelName ? getModelPreset(modelName) : null;
+  if (modelName && !model) {
+    return fail(EXIT_USAGE, `unknown model preset "${modelName}"`);
+  }
+
+  let maxTokenLimit = getPartTokenLimit(model ? getOutputBudget(model) : settings.maxTokenLimit, settings.maxChunkSize);
+  if (flags['max-tokens'] !== undefined) {
+    maxTokenLimit = Number(flags['max-tokens']);
+    if (!Number.isInteger(maxTokenLimit) || maxTokenLimit <= 0) {
+      return fail(EXIT_USAGE, `--max-tokens must be a positive integer, got "${flags['max-tokens']}"`);
+    }
+  }
+  const maxTokensPerFile = settings.maxTokensPerFile;
+  const maxFileSize = maxTokensPerFile * CHARS_PER_TOKEN * 2;
+
+  const tokenizerName = flags.tokenizer || settings.tokenizer || (model && model.tokenizer);
+  const tokenizer = getTokenizer(tokenizerName);
+  if (!tokenizer) {
+    return fail(EXIT_USAGE, `unknown tokenizer "${tokenizerName}"`);
+  }
+  if (tokenizer.fallback) log(`⚠️ ${describeFallback(tokenizer)}`);
+
+  const formatName = flags.format || settings.format || (model && model.format);
+  const formatter = getFormatter(formatName);
+  if (!formatter) {
+    return fail(EXIT_USAGE, `unknown format "${formatName}" (expected one of ${Object.keys(FORMATTERS).join(', ')})`);
+  }
+
+  if (flags.compress !== undefined) {
+    const modes = flags.compress.toLowerCase().split(',').filter(Boolean);
+    if (modes.length === 0 || modes.some(mode => !MODES.includes(mode))) {
+      return fail(EXIT_USAGE, `--compress expects modes out of ${MODES.join(', ')}, got "${flags.compress}"`);
+    }
+    // Matches everything and comes last, so it wins over the compress: section
+    ignoreRules.compress = [...ignoreRules.compress, `** ${modes.join(',')}`];
+  }
+
+  try {
+    const useGitIgnore = !flags['no-gitignore'] && settings.useGitIgnore;
+    const target = {
+      rootPath,
+      ...compileIgnoreRules(ignoreRules, settings),
+      gitIgnore: await loadGitIgnore(rootPath, useGitIgnore)
+    };
+    target.history = await loadFileHistory(rootPath, target.scoring, { onWarning: message => log(`⚠️ ${message}`) });
+    // The cache lives next to the rules in flattened/, which only the extension creates
+    const useCache = !flags['no-cache'] && settings.useCache;
+    const hasFlattenedDir = await fs.stat(path.join(rootPath, 'flattened')).then(stats => stats.isDirectory(), () => false);
+    const cache = useCache && hasFlattenedDir ? await new FileCache(rootPath).load() : null;
+    if (flags['since-last'] && !(cache && cache.lastOutput)) {
+      return fail(EXIT_USAGE, '--since-last needs an earlier flatten recorded in flattened/.flatten_cache.json');
+    }
+    const include = compileIncludeRules(settings.includeExtensions, settings.languages);
+    [...target.redactErrors, ...target.scoringErrors, ...target.compressionErrors, ...target.encodingErrors].forEach(message => log(`⚠️ ${message}`));
+
+    if (flags.explain !== undefined) {
+      const explanation = await explainPath(target, path.resolve(io.cwd || process.cwd(), flags.explain), {
+        include,
+        maxFileSize,
+        maxTokensPerFile,
+        tokenizer,
+        notebookOutputs: settings.notebookOutputs,
+        // Without a prompt to ask, budgetMode 'ask' splits like 'split'
+        budgetMode: flags.fit || settings.budgetMode === 'fit' ? 'fit' : 'split'
+      });
+      stdout.write(formatExplanation(explanation));
+      return EXIT_OK;
+    }
+
+    const fileList = [];
+    const excluded = [];
+    const toRelative = fullPath => toPosixPath(path.relative(rootPath, fullPath));
+    await collectFiles(rootPath, target, {
+      include,
+      onFile: fullPath => fileList.push(fullPath),
+      onExcluded: (fullPath, reason, isDirectory) => excluded.push({ path: toRelative(fullPath) + (isDirectory ? '/' : ''), reason })
+    });
+    if (fileList.length === 0) {
+      return fail(EXIT_NO_FILES, 'no matching files found; check your ignore patterns');
+    }
+
+    // Pinned and most important files first, as in the extension
+    const scoredFiles = [];
+    for (const file of fileList) {
+      const stats = await fs.stat(file);
+      const scored = getScoreBreakdown(file, stats, { relative: path.relative(rootPath, file), scoring: target.scoring, history: target.history, cache });
+      scoredFiles.push({ file, ...scored });
+    }
+    scoredFiles.sort(compareScores);
+
+    const redact = !flags['no-redact'] && settings.redactSecrets;
+    let results = await processFilesInParallel(scoredFiles.map(f => f.file), rootPath, maxFileSize, settings.maxConcurrentFiles, {
+      tokenizer,
+      maxTokensPerFile,
+      notebookOutputs: settings.notebookOutputs,
+      encodingFor: file => getEncodingOverride(toRelative(file), target.encodings),
+      compressionFor: file => getCompressionModes(toRelative(file), target.compression),
+      redactPatternsFor: redact ? () => target.redactPatterns : undefined,
+      cacheFor: () => cache,
+      onSkipped: (file, reason) => excluded.push({ path: toRelative(file), reason }),
+      onErrors: errors => {
+        errors.forEach(message => log(message));
+        log(`⚠️ ${errors.length} files could not be read`);
+      },
+      onWarning: message => log(`⚠️ ${message}`)
+    });
+    if (results.length === 0) {
+      return fail(EXIT_ERROR, 'failed to read any files');
+    }
+    const scoredByFile = new Map(scoredFiles.map(f => [f.file, f]));
+    results.forEach(r => {
+      r.score = scoredByFile.get(r.file).score;
+      r.scoreBreakdown = scoredByFile.get(r.file).breakdown;
+    });
+
+    // Since the last flatten, keep only added and modified files and list the changes like a diffstat
+    let changes;
+    let removed = [];
+    if (flags['since-last']) {
+      results = results.filter(r => {
+        r.status = cache.changeSinceLastOutput(r.file, r.hash);
+        return Boolean(r.status);
+      });
+      removed = await cache.removedSinceLastOutput();
+      const stat = [
+        ...results.map(r => `${r.status === 'added' ? 'A' : 'M'} ${toRelative(r.file)}`),
+        ...removed.map(rel => `D ${rel}`)
+      ];
+      if (stat.length === 0) {
+        return fail(EXIT_NO_FILES, 'nothing changed since the last flatten');
+      }
+      changes = { base: `the last flatten (${cache.lastOutput.at})`, stat: `${stat.join('\n')}\n` };
+    }
+
+    let redactions = [];
+    if (redact) {
+      redactions = redactFiles(results, { tokenizer, patternsFor: () => target.redactPatterns });
+    }
+
+    const report = settings.reportExclusions ? excluded : [];
+    // Without a prompt to ask, budgetMode 'ask' splits like 'split'
+    const fit = flags.fit || settings.budgetMode === 'fit';
+    let chunks;
+    let downgrades = [];
+    if (fit) {
+      ({ chunks, downgrades } = fitToBudget(results, maxTokenLimit, formatter, tokenizer, { changes, redactions, excluded: report }));
+    } else {
+      chunks = createChunksEfficiently(results, maxTokenLimit, formatter, tokenizer, { changes, redactions, excluded: report });
+    }
+    const totalTokens = chunks.reduce((sum, c) => sum + c.tokens, 0);
+
+    if (flags.output) {
+      const outputPath = path.resolve(io.cwd || process.cwd(), flags.output);
+      const partPaths = getPartPaths(outputPath, chunks.length);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      for (let i = 0; i < chunks.length; i++) {
+        await fs.writeFile(partPaths[i], chunks[i].content, 'utf-8');
+      }
+      log(`✅ Flattened ${results.length} files (${totalTokens} tokens) into ${partPaths.join(', ')}`);
+    } else {
+      stdout.write(chunks.map(c => c.content).join('\n'));
+      log(`✅ Flattened ${results.length} files (${totalTokens} tokens)${chunks.length > 1 ? ` in ${chunks.length} parts` : ''}`);
+    }
+    const compressed = results.filter(r => r.compression).length;
+    if (compressed > 0) {
+      log(`🗜️ Compressed ${compressed} files`);
+    }
+    if (downgrades.length > 0) {
+      log(`📉 Downgraded ${downgrades.length} files to fit ${maxTokenLimit} tokens`);
+    }
+    if (redactions.length > 0) {
+      log(`🔒 Redacted secrets in ${redactions.length} files`);
+    }
+
+    if (cache) {
+      if (cache.hits > 0) {
+        log(`📦 Reused ${cache.hits} unchanged files from the cache`);
+      }
+      // Files listed in the tree only were not output
+      const treeOnly = new Set(downgrades.filter(d => d.level === 'tree').map(d => d.path));
+      cache.recordOutput(results.filter(r => !treeOnly.has(r.rel)), removed);
+      await cache.save({ prune: true });
+    }
+    return EXIT_OK;
+  } catch (err) {
+    return fail(EXIT_ERROR, getDetailedErrorMessage(err));
+  }
+}
+
+module.exports = {
+  run,
+  parseCliArgs,
+  getPartPaths,
+  EXIT_OK,
+  EXIT_ERROR,
+  EXIT_USAGE,
+  EXIT_NO_FILES
+};
@@ -0,0 +1,484 @@
+const { compileGlob } = require('./glob');
+const { getLanguageId } = require('./languages');
+
+/**
+ * Language-aware compression, for fitting more of a repository into a token budget.
+ *
+ * Each line of the compress: section in .flatten_ignore is `<glob> <mode>[,<mode>...]`; the last
+ * matching line decides a file's modes:
+ * - license      drops a license or copyright comment at the top of the file
+ * - comments     removes comments, and the license header with them; docstrings stay
+ * - whitespace   removes trailing whitespace and repeated blank lines, and indentation in
+ *                languages where it carries no meaning
+ * - skeleton     keeps imports, exports, declarations, signatures and doc comments but elides
+ *                function bodies; JS/TS, Java, Go and Python only
+ * - none         leaves matching files alone
+ * Modes that do not apply to a file's language, or that would not change it, are skipped.
+ */
+
+const MODES = ['none', 'license', 'comments', 'whitespace', 'skeleton'];
+
+const MODE_DESCRIPTIONS = {
+  license: 'license header removed',
+  comments: 'comments removed',
+  whitespace: 'blank lines and indentation collapsed',
+  skeleton: 'function bodies elided, only declarations, signatures and doc comments kept'
+};
+
+// Character kinds assigned by classify
+const CODE = 0;
+const STRING = 1;
+const COMMENT = 2;
+const DOC = 3;
+
+/**
+ * Comment and string syntax by language. indentation marks languages where leading
+ * whitespace is significant; skeleton names the skeleton strategy, if any.
+ */
+const C_STYLE = { line: ['//'], block: [['/*', '*/']], strings: ['"', "'"] };
+const JS_STYLE = { ...C_STYLE, strings: ['"', "'", '`'], regex: true, skeleton: 'braces' };
+const HASH_STYLE = { line: ['#'], block: [], strings: ['"', "'"] };
+const SYNTAXES = {
+  javascript: JS_STYLE,
+  javascriptreact: JS_STYLE,
+  typescript: JS_STYLE,
+  typescriptreact: JS_STYLE,
+  java: { ...C_STYLE, strings: ['"""', '"', "'"], skeleton: 'braces' },
+  // Go doc comments are line comments; raw strings in backticks have no escapes
+  go: { ...C_STYLE, strings: ['"', "'", '`'], rawBackticks: true, lineDoc: true, skeleton: 'braces' },
+  c: C_STYLE,
+  cpp: C_STYLE,
+  csharp: C_STYLE,
+  kotlin: { ...C_STYLE, strings: ['"""', '"', "'"] },
+  rust: C_STYLE,
+  swift: { ...C_STYLE, strings: ['"""', '"'] },
+  dart: { ...C_STYLE, strings: ["'''", '"""', '"', "'"] },
+  scala: { ...C_STYLE, strings: ['"""', '"', "'"] },
+  groovy: { ...C_STYLE, strings: ["'''", '"""', '"', "'"] },
+  'objective-c': C_STYLE,
+  'objective-cpp': C_STYLE,
+  php: { ...C_STYLE, line: ['//', '#'] },
+  css: { line: [], block: [['/*', '*/']], strings: ['"', "'"] },
+  scss: C_STYLE,
+  less: C_STYLE,
+  sass: { ...C_STYLE, indentation: true },
+  python: { ...HASH_STYLE, strings: ['"""', "'''", '"', "'"], indentation: true, skeleton: 'indent' },
+  ruby: HASH_STYLE,
+  perl: HASH_STYLE,
+  r: HASH_STYLE,
+  // '#' starts a shell comment only at the start of a word, unlike in $# or ${#var}
+  shellscript: { ...HASH_STYLE, hashAfterSpace: true },
+  powershell: { ...HASH_STYLE, block: [['<#', '#>']] },
+  yaml: { ...HASH_STYLE, hashAfterSpace: true, indentation: true },
+  toml: HASH_STYLE,
+  ini: { line: [';', '#'], block: [], strings: [] },
+  sql: { line: ['--'], block: [['/*', '*/']], strings: ["'", '"'] },
+  lua: { line: ['--'], block: [['--[[', ']]']], strings: ['"', "'"] },
+  html: { line: [], block: [['<!--', '-->']], strings: [] },
+  xml: { line: [], block: [['<!--', '-->']], strings: [] },
+  json: { line: [], block: [], strings: ['"'] }
+};
+const PLAIN = { line: [], block: [], strings: [], indentation: true };
+
+// ----- Scanning -----
+
+/**
+ * Finds the end of a string literal starting at index.
+ * @param {string} content
+ * @param {number} index Position of the opening quote
+ * @param {string} quote
+ * @param {Object} syntax
+ * @returns {number} Index just past the closing quote; the end of the line for an unterminated one-line string
+ */
+function skipString(content, index, quote, syntax) {
+  const multiline = quote.length === 3 || quote === '`';
+  const escapes = !(quote === '`' && syntax.rawBackticks);
+  let i = index + quote.length;
+  while (i < content.length) {
+    if (escapes && content[i] === '\\') {
+      i += 2;
+    } else if (content.startsWith(quote, i)) {
+      return i + quote.length;
+    } else if (content[i] === '\n' && !multiline) {
+      return i;
+    } else if (quote === '`' && escapes && content.startsWith('${', i)) {
+      // Template literal placeholders may hold braces of their own
+      let depth = 1;
+      i += 2;
+      while (i < content.length && depth > 0) {
+        if (content[i] === '{') depth++;
+        if (content[i] === '}') depth--;
+        i++;
+      }
+    } else {
+      i++;
+    }
+  }
+  return content.length;
+}
+
+/**
+ * Classifies every character of a source file as code, string, comment or doc comment.
+ * @param {string} content
+ * @param {Object} syntax Entry of SYNTAXES
+ * @returns {Uint8Array} One of CODE, STRING, COMMENT or DOC per character
+ */
+function classify(content, syntax) {
+  const kinds = new Uint8Array(content.length);
+  let lastCode = '';
+  let i = 0;
+  while (i < content.length) {
+    const block = syntax.block.find(([open]) => content.startsWith(open, i));
+    if (block) {
+      const close = content.indexOf(block[1], i + block[0].length);
+      const end = close === -1 ? content.length : close + block[1].length;
+      const isDoc = content.startsWith('/**', i) && !content.startsWith('/**/', i);
+      kinds.fill(isDoc ? DOC : COMMENT, i, end);
+      i = end;
+      continue;
+    }
+    const line = syntax.line.find(open => content.startsWith(open, i) &&
+      !(open === '#' && syntax.hashAfterSpace && i > 0 && !/\s/.test(content[i - 1])));
+    if (line) {
+      const newline = content.indexOf('\n', i);
+      const end = newline === -1 ? content.length : newline;
+      const atLineStart = content.slice(content.lastIndexOf('\n', i - 1) + 1, i).trim() === '';
+      kinds.fill(syntax.lineDoc && atLineStart ? DOC : COMMENT, i, end);
+      i = end;
+      continue;
+    }
+    const quote = syntax.strings.find(q => content.startsWith(q, i));
+    if (quote) {
+      const end = skipString(content, i, quote, syntax);
+      kinds.fill(STRING, i, end);
+      lastCode = quote;
+      i = end;
+      continue;
+    }
+    // A slash where an operand is expected starts a regular expression, not a division
+    if (syntax.regex && content[i] === '/' &&
+      (/^$|[(,=:[!&|?{};+\-*%~^]$/.test(lastCode) || /\b(return|typeof|case)\s*$/.test(content.slice(Math.max(0, i - 8), i)))) {
+      const match = /^\/(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[a-z]*/.exec(content.slice(i, i + 1000));
+      if (match) {
+        kinds.fill(STRING, i, i + match[0].length);
+        lastCode = '/';
+        i += match[0].length;
+        continue;
+      }
+    }
+    if (!/\s/.test(content[i])) lastCode = content[i];
+    i++;
+  }
+  return kinds;
+}
+
+/**
+ * Removes comments, dropping lines that held nothing else.
+ * @param {string} content
+ * @param {Uint8Array} kinds From classify
+ * @param {boolean} [keepDoc] Keep doc comments
+ * @returns {string}
+ */
+function removeComments(content, kinds, keepDoc = false) {
+  const output = [];
+  let offset = 0;
+  for (const line of content.split('\n')) {
+    let kept = '';
+    let removed = false;
+    let runStart = 0;
+    for (let k = 0; k <= line.length; k++) {
+      const kind = kinds[offset + k];
+      const drop = k < line.length && (kind === COMMENT || (kind === DOC && !keepDoc));
+      if (drop || k === line.length) {
+        kept += line.slice(runStart, k);
+        runStart = k + 1;
+        removed = removed || drop;
+      }
+    }
+    // A shebang line looks like a comment in some languages but is kept
+    if (offset === 0 && line.startsWith('#!')) removed = false;
+    offset += line.length + 1;
+    if (!removed) {
+      output.push(line);
+    } else if (kept.trim() !== '') {
+      output.push(kept.replace(/\s+$/, ''));
+    }
+  }
+  return output.join('\n');
+}
+
+/**
+ * Removes the comment at the top of a file, after any shebang line, if it mentions a license or copyright.
+ * Consecutive line comments count as one comment; a blank line ends it.
+ * @param {string} content
+ * @param {Object} syntax
+ * @returns {string}
+ */
+function removeLicenseHeader(content, syntax) {
+  const kinds = classify(content, syntax);
+  const isComment = i => kinds[i] === COMMENT || kinds[i] === DOC;
+  let start = content.startsWith('#!') ? content.indexOf('\n') + 1 : 0;
+  if (content.startsWith('#!') && start === 0) return content;
+  while (start < content.length && /\s/.test(content[start])) start++;
+  if (!isComment(start)) return content;
+
+  let end = start;
+  while (end < content.length) {
+    if (isComment(end)) {
+      end++;
+      continue;
+    }
+    const gap = /^[ \t]*\n?[ \t]*/.exec(content.slice(end))[0];
+    if (gap === '' || !isComment(end + gap.length)) break;
+    end += gap.length;
+  }
+  if (!/copyright|licen[cs]e|spdx-license-identifier|all rights reserved/i.test(content.slice(start, end))) {
+    return content;
+  }
+  return content.slice(0, start) + content.slice(end).replace(/^[ \t]*\n+/, '');
+}
+
+/**
+ * Removes trailing whitespace and repeated blank lines, and leading whitespace where
+ * indentation is not significant. Lines inside multi-line strings are left alone.
+ * @param {string} content
+ * @param {Object} syntax
+ * @returns {string}
+ */
+function collapseWhitespace(content, syntax) {
+  const kinds = classify(content, syntax);
+  const output = [];
+  let offset = 0;
+  let previousBlank = true;
+  for (const line of content.split('\n')) {
+    const startsInString = offset > 0 && kinds[offset - 1] === STRING;
+    const endsInString = kinds[offset + line.length] === STRING;
+    offset += line.length + 1;
+    let text = endsInString ? line : line.replace(/\s+$/, '');
+    if (!syntax.indentation && !startsInString) text = text.replace(/^\s+/, '');
+    const blank = text === '' && !startsInString;
+    if (blank && previousBlank) continue;
+    output.push(text);
+    previousBlank = blank;
+  }
+  return output.join('\n').replace(/\n+$/, '\n');
+}
+
+// ----- Skeletons -----
+
+// Statement heads whose braces hold declarations to keep rather than a body to elide
+const CONTAINER_HEAD = /\b(class|interface|enum|namespace|module|declare|struct|record|trait)\b|\btype\s+[\w$]+(<[^>]*>)?\s*=\s*$|^\s*(export(\s+default)?|module\.exports\s*=|exports\.[\w$]+\s*=)\s*$/;
+
+/**
+ * Skeleton for brace languages: blocks that belong to classes, interfaces, structs, enums,
+ * namespaces and export lists are kept, every other multi-line block becomes '{ ... }'.
+ * @param {string} content
+ * @param {Object} syntax
+ * @returns {string}
+ */
+function skeletonBraces(content, syntax) {
+  const source = removeComments(content, classify(content, syntax), true);
+  const kinds = classify(source, syntax);
+  const isCode = i => kinds[i] === CODE;
+
+  const closing = new Map();
+  const open = [];
+  for (let i = 0; i < source.length; i++) {
+    if (!isCode(i)) continue;
+    if (source[i] === '{') open.push(i);
+    if (source[i] === '}' && open.length > 0) closing.set(open.pop(), i);
+  }
+
+  let output = '';
+  let head = '';
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (!isCode(i)) {
+      output += ch;
+      if (kinds[i] === STRING && kinds[i - 1] !== STRING) head += '""';
+      i++;
+      continue;
+    }
+    if (ch === '{' && closing.has(i)) {
+      // Without semicolons a head can run over several statements; a blank line ends one
+      const statement = head.split(/\n[ \t]*\n/).pop();
+      const end = closing.get(i);
+      if (CONTAINER_HEAD.test(statement)) {
+        output += ch;
+        head = '';
+        i++;
+        continue;
+      }
+      const block = source.slice(i, end + 1);
+      output += block.includes('\n') ? '{ ... }' : block;
+      head = '';
+      i = end + 1;
+      continue;
+    }
+    output += ch;
+    head = ';{}'.includes(ch) ? '' : head + ch;
+    i++;
+  }
+  return output;
+}
+
+/**
+ * Skeleton for Python: keeps every statement except the bodies of functions, which become
+ * the docstring, if any, and '...'.
+ * @param {string} content
+ * @returns {string}
+ */
+function skeletonIndented(content) {
+  const syntax = SYNTAXES.python;
+  const source = removeComments(content, classify(content, syntax));
+  const kinds = classify(source, syntax);
+
+  // Join physical lines into statements: open brackets, backslashes and multi-line strings continue them
+  const statements = [];
+  let current = null;
+  let depth = 0;
+  let offset = 0;
+  for (const line of source.split('\n')) {
+    const startsInString = offset > 0 && kinds[offset - 1] === STRING;
+    if (current && (depth > 0 || startsInString || current.continued)) {
+      current.lines.push(line);
+    } else {
+      current = { lines: [line], indent: line.match(/^\s*/)[0].length, continued: false };
+      statements.push(current);
+    }
+    for (let k = 0; k < line.length; k++) {
+      if (kinds[offset + k] !== CODE) continue;
+      if ('([{'.includes(line[k])) depth++;
+      if (')]}'.includes(line[k])) depth = Math.max(0, depth - 1);
+    }
+    current.continued = /\\$/.test(line) && kinds[offset + line.length - 1] === CODE;
+    offset += line.length + 1;
+  }
+
+  const output = [];
+  let bodyOf = null;
+  let skipBelow = null;
+  let skippedBlank = false;
+  for (const statement of statements) {
+    const text = statement.lines.join('\n');
+    const blank = text.trim() === '';
+    if (skipBelow !== null) {
+      if (blank || statement.indent > skipBelow) {
+        skippedBlank = skippedBlank || blank;
+        continue;
+      }
+      // Keep the blank line that separated the elided body from what follows
+      if (skippedBlank) output.push('');
+      skipBelow = null;
+      skippedBlank = false;
+    }
+    if (bodyOf !== null && !blank) {
+      if (statement.indent > bodyOf) {
+        const docstring = /^\s*[rRuU]?("""[\s\S]*"""|'''[\s\S]*'''|"[^"\n]*"|'[^'\n]*')\s*$/.test(text);
+        if (docstring) output.push(text);
+        output.push(`${' '.repeat(statement.indent)}...`);
+        skipBelow = bodyOf;
+        bodyOf = null;
+        continue;
+      }
+      bodyOf = null;
+    }
+    output.push(text);
+    if (/^\s*(async\s+)?def\s/.test(text) && /:\s*$/.test(text)) {
+      bodyOf = statement.indent;
+    }
+  }
+  const result = output.join('\n');
+  // A body elided at the end of the file takes the final newline with it
+  return source.endsWith('\n') && !result.endsWith('\n') ? `${result}\n` : result;
+}
+
+// ----- Rules -----
+
+/**
+ * Compiles the lines of a compress: section.
+ * @param {string[]} [lines]
+ * @returns {{rules: Array<{matcher: Object, modes: string[]}>, errors: string[]}}
+ */
+function compileCompressionRules(lines = []) {
+  const rules = [];
+  const errors = [];
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    const matcher = parts.length === 2 ? compileGlob(parts[0]) : null;
+    const modes = parts.length === 2 ? parts[1].toLowerCase().split(',').filter(Boolean) : [];
+    if (!matcher || matcher.negate || modes.length === 0 || modes.some(mode => !MODES.includes(mode))) {
+      errors.push(`Invalid compression rule "${line}"`);
+      continue;
+    }
+    rules.push({ matcher, modes: modes.filter(mode => mode !== 'none') });
+  }
+  return { rules, errors };
+}
+
+/**
+ * Returns the compression modes for a file: those of the last matching rule.
+ * @param {string} relative Path relative to the folder root, '/' separators
+ * @param {ReturnType<typeof compileCompressionRules>} compression
+ * @returns {string[]} Empty if no rule matches
+ */
+function getCompressionModes(relative, compression) {
+  for (let i = compression.rules.length - 1; i >= 0; i--) {
+    if (compression.rules[i].matcher.test(relative)) return compression.rules[i].modes;
+  }
+  return [];
+}
+
+/**
+ * Compresses a file's content.
+ * @param {string} content
+ * @param {string} fileName Used to pick the language
+ * @param {string[]} modes
+ * @returns {{content: string, applied: string[]}} applied lists the modes that changed the content, in the order applied
+ */
+function compressContent(content, fileName, modes) {
+  if (modes.length === 0) return { content, applied: [] };
+  const syntax = SYNTAXES[getLanguageId(fileName, content)] || PLAIN;
+  const wants = mode => modes.includes(mode);
+  const applied = [];
+  let output = content.replace(/\r\n/g, '\n');
+  const apply = (mode, transform) => {
+    const next = transform(output);
+    if (next !== output) {
+      applied.push(mode);
+      output = next;
+    }
+  };
+
+  if (wants('license') || wants('comments') || wants('skeleton')) {
+    apply('license', text => removeLicenseHeader(text, syntax));
+  }
+  if (wants('comments')) {
+    apply('comments', text => removeComments(text, classify(text, syntax)));
+  }
+  if (wants('skeleton') && syntax.skeleton) {
+    apply('skeleton', text => (syntax.skeleton === 'indent' ? skeletonIndented(text) : skeletonBraces(text, syntax)));
+  }
+  if (wants('whitespace')) {
+    apply('whitespace', text => collapseWhitespace(text, syntax));
+  }
+  return { content: applied.length > 0 ? output : content, applied };
+}
+
+/**
+ * Describes applied compression modes, e.g. "skeleton (function bodies elided, ...)".
+ * @param {string[]} modes
+ * @returns {string}
+ */
+function describeCompression(modes) {
+  return modes.map(mode => `${mode} (${MODE_DESCRIPTIONS[mode]})`).join(', ');
+}
+
+module.exports = {
+  MODES,
+  compileCompressionRules,
+  getCompressionModes,
+  compressContent,
+  describeCompression
+};
@@ -0,0 +1,187 @@
+const { parseListSetting } = require('./include');
+const { OUTPUT_MODES, getOutputMode } = require('./notebook');
+const { CHARS_PER_TOKEN } = require('./tokenizer');
+const { compileModelPresets } = require('./models');
+const packageJson = require('../package.json');
+
+/**
+ * Run configuration, resolved from every place a value can be set.
+ *
+ * Layers are applied in this order, each overriding the ones before it:
+ * 1. default                    built-in defaults; those of VS Code settings come from package.json
+ * 2. user settings              flattenRepo.* in the VS Code user settings
+ * 3. workspace settings         flattenRepo.* in the workspace (.vscode/settings.json or .code-workspace)
+ * 4. workspace folder settings  flattenRepo.* in a folder of a multi-root workspace
+ * 5. .flatten_ignore            the settings: section of the folder's flattened/.flatten_ignore
+ * The command line applies its flags on top. Each key is settable in the VS Code settings, in
+ * .flatten_ignore or both; values are validated per key, and an invalid value is reported and
+ * skipped so that the layer below it applies.
+ */
+
+const VSCODE = 'vscode';
+const FLATTEN_IGNORE = 'flattenIgnore';
+
+/**
+ * Returns the default of a setting contributed in package.json.
+ * @param {string} key Without the flattenRepo. prefix
+ * @returns {*}
+ */
+function getContributedDefault(key) {
+  return packageJson.contributes.configuration.properties[`flattenRepo.${key}`].default;
+}
+
+// Parsers return the value to use, or undefined when the value is invalid.
+// Values from .flatten_ignore arrive as strings, or numbers when numeric (see parseFlattenIgnore).
+const parseBoolean = value => (typeof value === 'boolean' ? value : { true: true, false: false }[String(value).toLowerCase()]);
+const parseInteger = min => value => {
+  const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+  return Number.isInteger(number) && number >= min ? number : undefined;
+};
+const parseString = value => ((typeof value === 'string' && value.trim() !== '') || typeof value === 'number' ? String(value).trim() : undefined);
+const parseList = value => {
+  if (Array.isArray(value)) return value.every(entry => typeof entry === 'string') ? value : undefined;
+  return typeof value === 'string' ? parseListSetting(value) : undefined;
+};
+const parseEnum = values => value => (values.includes(String(value).toLowerCase()) ? String(value).toLowerCase() : undefined);
+const parseObject = value => (value && typeof value === 'object' && !Array.isArray(value) ? value : undefined);
+
+/**
+ * Configuration keys: default value, parser, what a valid value looks like and where it can be set.
+ * A null default means unset; the consumer falls back, e.g. to the model preset's tokenizer.
+ */
+const CONFIG_KEYS = {
+  includeExtensions: { default: getContributedDefault('includeExtensions'), parse: parseList, expected: 'a list of extensions, file names or globs', layers: [VSCODE] },
+  includeLanguages: { default: [], parse: parseList, expected: 'a list of language identifiers', layers: [VSCODE] },
+  languages: { default: [], parse: parseList, expected: 'a list of language identifiers', layers: [FLATTEN_IGNORE] },
+  ignoreDirs: { default: getContributedDefault('ignoreDirs'), parse: parseList, expected: 'a list of directory names', layers: [VSCODE] },
+  globalWhitelist: { default: [], parse: parseList, expected: 'a list of glob patterns', layers: [VSCODE] },
+  globalBlacklist: { default: [], parse: parseList, expected: 'a list of glob patterns', layers: [VSCODE] },
+  useGitIgnore: { default: true, parse: parseBoolean, expected: 'true or false', layers: [VSCODE, FLATTEN_IGNORE] },
+  useUnsavedChanges: { default: false, parse: parseBoolean, expected: 'true or false', layers: [VSCODE] },
+  maxChunkSize: { default: 0, parse: parseInteger(0), expected: 'a number of characters, 0 for no limit', layers: [VSCODE, FLATTEN_IGNORE] },
+  modelPresets: { default: {}, parse: parseObject, expected: 'an object of presets keyed by name', layers: [VSCODE] },
+  model: { default: null, parse: parseString, expected: 'a model preset name', layers: [FLATTEN_IGNORE] },
+  maxTokenLimit: { default: 50000, parse: parseInteger(1), expected: 'a positive integer', layers: [FLATTEN_IGNORE] },
+  maxTokensPerFile: { default: 25000, parse: parseInteger(1), expected: 'a positive integer', layers: [FLATTEN_IGNORE] },
+  tokenizer: { default: null, parse: parseString, expected: 'a tokenizer name', layers: [FLATTEN_IGNORE] },
+  maxConcurrentFiles: { default: 4, parse: parseInteger(1), expected: 'a positive integer', layers: [FLATTEN_IGNORE] },
+  format: { default: null, parse: parseString, expected: 'a format name', layers: [FLATTEN_IGNORE] },
+  redactSecrets: { default: true, parse: parseBoolean, expected: 'true or false', layers: [FLATTEN_IGNORE] },
+  reportExclusions: { default: true, parse: parseBoolean, expected: 'true or false', layers: [FLATTEN_IGNORE] },
+  budgetMode: { default: 'ask', parse: parseEnum(['ask', 'fit', 'split']), expected: 'ask, fit or split', layers: [FLATTEN_IGNORE] },
+  useCache: { default: true, parse: parseBoolean, expected: 'true or false', layers: [FLATTEN_IGNORE] },
+  notebookOutputs: { default: getOutputMode(), parse: value => getOutputMode(value) || undefined, expected: OUTPUT_MODES.join(', '), layers: [FLATTEN_IGNORE] }
+};
+
+/**
+ * Keys that can be set in the VS Code settings, as flattenRepo.<key>.
+ */
+const VSCODE_SETTING_KEYS = Object.keys(CONFIG_KEYS).filter(key => CONFIG_KEYS[key].layers.includes(VSCODE));
+
+/**
+ * Builds the layer of a settings: section of .flatten_ignore.
+ * @param {Object} [settings] From parseFlattenIgnore
+ * @returns {{source: string, kind: string, values: Object}}
+ */
+function fromFlattenIgnore(settings = {}) {
+  return { source: '.flatten_ignore', kind: FLATTEN_IGNORE, values: settings };
+}
+
+/**
+ * Builds a layer of VS Code settings.
+ * @param {string} source e.g. 'user settings'
+ * @param {Object} values Keyed without the flattenRepo. prefix; undefined values are not set
+ * @returns {{source: string, kind: string, values: Object}}
+ */
+function fromVSCodeSettings(source, values) {
+  return { source, kind: VSCODE, values };
+}
+
+/**
+ * Merges configuration layers over the defaults.
+ * @param {Array<{source: string, kind: string, values: Object}>} layers Lowest precedence first
+ * @returns {{values: Object, sources: Object<string, string>, layers: string[], errors: string[]}} sources
+ *   names the layer each value came from; layers names them all in order; errors lists unknown keys
+ *   and invalid values, which were skipped
+ */
+function resolveConfig(layers = []) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  for (const [key, spec] of Object.entries(CONFIG_KEYS)) {
+    values[key] = spec.default;
+    sources[key] = 'default';
+  }
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values || {})) {
+      if (value === undefined) continue;
+      const spec = CONFIG_KEYS[key];
+      if (!spec || !spec.layers.includes(layer.kind)) {
+        errors.push(`Unknown setting "${key}" in ${layer.source}`);
+        continue;
+      }
+      const parsed = spec.parse(value);
+      if (parsed === undefined) {
+        errors.push(`Invalid ${key} ${JSON.stringify(value)} in ${layer.source}: expected ${spec.expected}; using the ${sources[key]} value`);
+        continue;
+      }
+      values[key] = parsed;
+      sources[key] = layer.source;
+    }
+  }
+  // Presets are checked one by one; invalid ones are left out when a preset is looked up
+  errors.push(...compileModelPresets(values.modelPresets, sources.modelPresets).errors);
+  return { values, sources, layers: ['default', ...layers.map(layer => layer.source)], errors };
+}
+
+/**
+ * Returns the token limit of one output part: the token budget, capped by the maxChunkSize
+ * setting at CHARS_PER_TOKEN characters per token.
+ * @param {number} tokenBudget maxTokenLimit or the budget of the model preset
+ * @param {number} maxChunkSize Characters, 0 for no cap
+ * @returns {number}
+ */
+function getPartTokenLimit(tokenBudget, maxChunkSize) {
+  return maxChunkSize > 0 ? Math.max(1, Math.min(tokenBudget, Math.floor(maxChunkSize / CHARS_PER_TOKEN))) : tokenBudget;
+}
+
+/**
+ * Renders a value for display.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null) return '(not set)';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+  if (typeof value === 'object') return Object.keys(value).length > 0 ? JSON.stringify(value) : '(none)';
+  return String(value);
+}
+
+/**
+ * Renders resolved configuration as a table of keys, values and their sources.
+ * @param {ReturnType<typeof resolveConfig>} config
+ * @param {string} [title]
+ * @returns {string}
+ */
+function formatConfig(config, title = 'Effective configuration') {
+  const width = Math.max(...Object.keys(config.values).map(key => key.length));
+  const lines = [title, ''];
+  for (const [key, value] of Object.entries(config.values)) {
+    lines.push(`${key.padEnd(width)}  ${formatValue(value)}  [${config.sources[key]}]`);
+  }
+  lines.push('', `Sources, later ones overriding earlier ones: ${config.layers.join(', ')}`);
+  if (config.errors.length > 0) {
+    lines.push('', 'Problems:', ...config.errors.map(error => `- ${error}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  CONFIG_KEYS,
+  VSCODE_SETTING_KEYS,
+  fromFlattenIgnore,
+  fromVSCodeSettings,
+  resolveConfig,
+  getPartTokenLimit,
+  formatConfig
+};
@@ -0,0 +1,1548 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { GitIgnoreMatcher } = require('./gitignore');
+const { getFormatter } = require('./formatters');
+const { getTokenizer } = require('./tokenizer');
+const { SECRET_PATTERNS, compileRedactPatterns, redactSecrets } = require('./redact');
+const { compileGlobs, matchesGlobs, findLastMatch } = require('./glob');
+const { compileScoringRules, computeScore } = require('./scoring');
+const { compileCompressionRules, compressContent } = require('./compress');
+const { isGitRepository, getFileHistory } = require('./git');
+const { FileCache, hashContent } = require('./cache');
+const { decodeContent, compileEncodingRules, getEncodingOverride } = require('./encoding');
+const { checkInclusion } = require('./include');
+const { MAX_NOTEBOOK_BYTES, isNotebook, convertNotebook } = require('./notebook');
+
+/**
+ * The flatten pipeline without any VS Code dependency, shared by the extension
+ * and the command line interface: .flatten_ignore parsing, file collection,
+ * scoring, reading and decoding, compression, redaction and chunking.
+ */
+
+// ----- Helper Functions -----
+
+/**
+ * Converts a platform-specific relative path to use '/' separators.
+ * @param {string} p
+ * @returns {string}
+ */
+function toPosixPath(p) {
+  return p.split(path.sep).join('/');
+}
+
+/**
+ * Parses .flatten_ignore content into eight parts: global, whitelist, blacklist, redact, scoring, compress, encoding, and settings.
+ * Expects the file to use section headers "global:", "whitelist:", "blacklist:", "redact:", "scoring:", "compress:", "encoding:" and "settings:".
+ * For the settings section, each line should be in the format key: value.
+ * Pattern sections hold globs (see lib/glob); the redact section holds regular expressions for secrets,
+ * the scoring section holds scoring rules (see lib/scoring), the compress section compression rules (see lib/compress)
+ * and the encoding section encoding overrides (see lib/encoding).
+ * Text after ' #' is a comment, except in the redact section.
+ * @param {string} content
+ * @returns {{global: string[], whitelist: string[], blacklist: string[], redact: string[], scoring: string[], compress: string[], encoding: string[], settings: Object}}
+ */
+function parseFlattenIgnoreContent(content) {
+  const lines = content.split('\n').map(line => line.trim());
+  let section = null;
+  const globalArr = [];
+  const whitelistArr = [];
+  const blacklistArr = [];
+  const redactArr = [];
+  const scoringArr = [];
+  const compressArr = [];
+  const encodingArr = [];
+  const settingsObj = {};
+  for (const rawLine of lines) {
+    if (rawLine.startsWith('#') || rawLine === '') continue;
+    const line = section === 'redact' ? rawLine : rawLine.replace(/\s+#.*$/, '');
+    if (line.toLowerCase().startsWith('global:')) { section = 'global'; continue; }
+    if (line.toLowerCase().startsWith('whitelist:')) { section = 'whitelist'; continue; }
+    if (line.toLowerCase().startsWith('blacklist:')) { section = 'blacklist'; continue; }
+    if (line.toLowerCase().startsWith('redact:')) { section = 'redact'; continue; }
+    if (line.toLowerCase().startsWith('scoring:')) { section = 'scoring'; continue; }
+    if (line.toLowerCase().startsWith('compress:')) { section = 'compress'; continue; }
+    if (line.toLowerCase().startsWith('encoding:')) { section = 'encoding'; continue; }
+    if (line.toLowerCase().startsWith('settings:')) { section = 'settings'; continue; }
+    if (section === 'global') {
+      globalArr.push(line);
+    } else if (section === 'whitelist') {
+      whitelistArr.push(line);
+    } else if (section === 'blacklist') {
+      blacklistArr.push(line);
+    } else if (section === 'redact') {
+      redactArr.push(line);
+    } else if (section === 'scoring') {
+      scoringArr.push(line);
+    } else if (section === 'compress') {
+      compressArr.push(line);
+    } else if (section === 'encoding') {
+      encodingArr.push(line);
+    } else if (section === 'settings') {
+      // Expect lines in key: value format.
+      const parts = line.split(':');
+      if (parts.length >= 2) {
+        const key = parts[0].trim();
+        const value = parts.slice(1).join(':').trim();
+        // Convert to number if applicable.
+        const num = Number(value);
+        settingsObj[key] = isNaN(num) ? value : num;
+      }
+    }
+  }
+
+  return {
+    global: globalArr,
+    whitelist: whitelistArr,
+    blacklist: blacklistArr,
+    redact: redactArr,
+    scoring: scoringArr,
+    compress: compressArr,
+    encoding: encodingArr,
+    settings: settingsObj
+  };
+}
+
+/**
+ * Parses a .flatten_ignore file, see parseFlattenIgnoreContent.
+ * A missing or unreadable file gives the default rules, the ones a new .flatten_ignore starts with,
+ * so runs that do not create the file select the same files as those that do.
+ * @param {string} filePath
+ * @returns {Promise<{global: string[], whitelist: string[], blacklist: string[], redact: string[], scoring: string[], compress: string[], encoding: string[], settings: Object}>}
+ */
+async function parseFlattenIgnore(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (_) {
+    content = DEFAULT_IGNORE_CONTENT;
+  }
+  return parseFlattenIgnoreContent(content);
+}
+
+/**
+ * Adds patterns to a section of .flatten_ignore content, after the section's last pattern.
+ * The section is appended if it does not exist; patterns already in it are not added again.
+ * @param {string} content
+ * @param {string} section e.g. 'blacklist'
+ * @param {string[]} patterns
+ * @returns {string}
+ */
+function addPatternsToSection(content, section, patterns) {
+  const lines = content.split('\n');
+  const isHeader = line => /^(global|whitelist|blacklist|redact|scoring|compress|encoding|settings):/i.test(line.trim());
+  const start = lines.findIndex(line => line.trim().toLowerCase().startsWith(`${section}:`));
+  if (start === -1) {
+    const block = `${section}:\n${[...new Set(patterns)].join('\n')}\n`;
+    return content.trim() === '' ? block : `${content.replace(/\n*$/, '')}\n\n${block}`;
+  }
+  
+  let end = start + 1;
+  while (end < lines.length && !isHeader(lines[end])) end++;
+  // Blank lines and comments at the end of a section introduce the next one
+  let insertAt = end;
+  while (insertAt > start + 1 && (lines[insertAt - 1].trim() === '' || lines[insertAt - 1].trim().startsWith('#'))) {
+    insertAt--;
+  }
+  const existing = new Set(lines.slice(start + 1, end).map(line => line.replace(/\s+#.*$/, '').trim()));
+  lines.splice(insertAt, 0, ...[...new Set(patterns)].filter(p => !existing.has(p)));
+  return lines.join('\n');
+}
+
+/**
+ * Returns true if the provided path matches the compiled patterns; the last matching pattern wins.
+ * @param {string} p
+ * @param {Array<Object>} matchers From compileGlobs
+ * @param {boolean} [isDirectory]
+ * @returns {boolean}
+ */
+function matchesAny(p, matchers, isDirectory = false) {
+  return matchesGlobs(matchers, p, isDirectory);
+}
+
+/**
+ * Builds a directory tree (in a tree-like string format) from an array of relative file paths.
+ * @param {string[]} filePaths
+ * @param {Object<string, string>} [labels] Optional annotation per path, shown after the file name
+ * @returns {string}
+ */
+function buildDirectoryTree(filePaths, labels = {}) {
+  const tree = {};
+  filePaths.forEach(relPath => {
+    const parts = relPath.split(path.sep);
+    let node = tree;
+    parts.forEach((part, index) => {
+      const isFile = index === parts.length - 1;
+      const name = isFile && labels[relPath] ? `${part} (${labels[relPath]})` : part;
+      if (!node[name]) {
+        node[name] = {};
+      }
+      node = node[name];
+    });
+  });
+  
+  function treeToString(node, indent = '') {
+    let output = '';
+    const entries = Object.entries(node);
+    entries.sort((a, b) => a[0].localeCompare(b[0]));
+    entries.forEach(([name, children], index) => {
+      const isLast = index === entries.length - 1;
+      output += `${indent}${isLast ? '└─ ' : '├─ '}${name}\n`;
+      const newIndent = indent + (isLast ? '   ' : '│  ');
+      output += treeToString(children, newIndent);
+    });
+    return output;
+  }
+  
+  return treeToString(tree);
+}
+
+// Built-in rules, for callers without a .flatten_ignore
+const DEFAULT_SCORING = compileScoringRules();
+
+/**
+ * Scores a file based on various criteria to determine its importance
+ * @param {string} filePath
+ * @param {Object} stats
+ * @param {Object} [options] See getScoreBreakdown
+ * @returns {Promise<number>} Score from 0-100, higher is more important
+ */
+async function scoreFile(filePath, stats, options = {}) {
+  return getScoreBreakdown(filePath, stats, options).score;
+}
+
+/**
+ * Scores a file with a folder's scoring rules and lists the rules that contributed.
+ * Recency uses the file's last commit when git history is given, else its modification time.
+ * @param {string} filePath
+ * @param {{size: number, mtime: Date}} stats
+ * @param {{relative?: string, scoring?: Object, history?: Map<string, {lastCommit: Date, commits: number}>|null, cache?: FileCache|null}} [options]
+ *   relative defaults to filePath; scoring comes from compileIgnoreRules, history from getFileHistory in lib/git,
+ *   and cache from lib/cache to reuse the score of an unchanged file
+ * @returns {{score: number, pinned: number|null, breakdown: Array<{rule: string, points: number}>}}
+ */
+function getScoreBreakdown(filePath, stats, options = {}) {
+  const relative = toPosixPath(options.relative || filePath);
+  const entry = options.history ? options.history.get(relative) : null;
+  const lastChange = entry ? entry.lastCommit : stats.mtime;
+  const file = {
+    relative,
+    size: stats.size,
+    ageDays: (Date.now() - new Date(lastChange)) / (1000 * 60 * 60 * 24),
+    commits: entry ? entry.commits : 0
+  };
+  const scoring = options.scoring || DEFAULT_SCORING;
+  if (!options.cache) {
+    return computeScore(file, scoring);
+  }
+  // Recency rules count whole days, so a cached score holds until the file's age crosses into the next day
+  const key = [file.size, stats.mtimeMs, Math.floor(file.ageDays), file.commits, getScoringFingerprint(scoring)].join('|');
+  return options.cache.score(filePath, key, () => computeScore(file, scoring));
+}
+
+const scoringFingerprints = new WeakMap();
+
+/**
+ * Identifies a set of compiled scoring rules, for cache keys.
+ * @param {Object} scoring From compileScoringRules
+ * @returns {string}
+ */
+function getScoringFingerprint(scoring) {
+  if (!scoringFingerprints.has(scoring)) {
+    const rules = [`base ${scoring.base}`, ...scoring.rules.map(rule => `${rule.text} ${rule.points}`), ...scoring.pins.map(pin => `pin ${pin.pattern}`)];
+    scoringFingerprints.set(scoring, hashContent(rules.join('\n')));
+  }
+  return scoringFingerprints.get(scoring);
+}
+
+/**
+ * Process files in parallel batches for better performance
+ * @param {string[]} files
+ * @param {string} rootPath
+ * @param {number} maxFileSize Size in bytes above which files are skipped without being read
+ * @param {number} maxConcurrent
+ * @param {{tokenizer?: Object, maxTokensPerFile?: number, notebookOutputs?: string, contentFor?: (file: string) => string|undefined, encodingFor?: (file: string) => string|null, compressionFor?: (file: string) => string[], redactPatternsFor?: (file: string) => Array|null, cacheFor?: (file: string) => FileCache|null, onSkipped?: (file: string, reason: string) => void, onErrors?: (errors: string[]) => void, onWarning?: (message: string) => void}} [options]
+ *   Token-based per-file limit, which outputs of Jupyter notebooks to keep (see lib/notebook), in-memory content
+ *   that replaces a file on disk (e.g. of an editor with unsaved changes; such files are neither read nor cached), the encoding override of each file (see lib/encoding), its compression
+ *   modes (see lib/compress), its custom redaction patterns (null to keep secrets), its folder's cache
+ *   (see lib/cache), and callbacks for files over the limits or binary, files that could not be read, and
+ *   files kept as they are because they could not be read as notebooks
+ * @returns {Promise<Array>} Transcoded files carry their original encoding in encoding, compressed files
+ *   the modes that changed them in compression, redacted files the redactions made in redaction, and
+ *   files read through a cache or from memory their content hash in hash, and files read from memory unsaved
+ */
+async function processFilesInParallel(files, rootPath, maxFileSize, maxConcurrent = 4, options = {}) {
+  const { tokenizer, maxTokensPerFile, notebookOutputs, contentFor, encodingFor, compressionFor, redactPatternsFor, cacheFor, onSkipped = () => {}, onWarning } = options;
+  const results = [];
+  const batches = [];
+  const errors = [];
+  
+  // Split files into batches
+  for (let i = 0; i < files.length; i += maxConcurrent) {
+    batches.push(files.slice(i, i + maxConcurrent));
+  }
+
+  // Process batches in parallel
+  for (const batch of batches) {
+    const batchPromises = batch.map(async file => {
+      try {
+        const unsaved = contentFor ? contentFor(file) : undefined;
+        const stats = unsaved === undefined ? await fs.stat(file) : getContentStats(unsaved);
+        const sizeLimit = getSizeLimit(file, maxFileSize);
+        if (stats.size > sizeLimit) {
+          const reason = `${stats.size} bytes exceeds the size limit of ${sizeLimit} bytes`;
+          onSkipped(file, reason);
+          return null;
+        }
+
+        const rel = path.relative(rootPath, file);
+        const encoding = encodingFor ? encodingFor(file) : null;
+        const compression = compressionFor ? compressionFor(file) : [];
+        const redactPatterns = redactPatternsFor ? redactPatternsFor(file) : null;
+        const cache = cacheFor ? cacheFor(file) : null;
+        const prepare = (buffer, bufferEncoding = encoding) => prepareContent(buffer, file, { encoding: bufferEncoding, notebookOutputs, compression, redactPatterns, tokenizer, onWarning });
+        let prepared;
+        if (unsaved !== undefined) {
+          // Editor content is already decoded; only an encoding: binary rule still applies
+          const buffer = Buffer.from(unsaved, 'utf8');
+          prepared = { ...prepare(buffer, encoding === 'binary' ? encoding : 'utf-8'), hash: hashContent(buffer), unsaved: true };
+        } else if (cache) {
+          prepared = await cache.process(file, stats, FileCache.variantOf({ encoding, notebookOutputs, compression, tokenizer, redactPatterns: redactPatterns && [...SECRET_PATTERNS, ...redactPatterns] }), prepare);
+        } else {
+          prepared = prepare(await fs.readFile(file));
+        }
+        
+        if (prepared.binary) {
+          onSkipped(file, prepared.binary);
+          return null;
+        }
+        if (maxTokensPerFile && prepared.tokens > maxTokensPerFile) {
+          const reason = `${prepared.tokens} tokens exceeds maxTokensPerFile of ${maxTokensPerFile}`;
+          onSkipped(file, reason);
+          return null;
+        }
+        return { file, rel, stats, ...prepared };
+      } catch (err) {
+        const errorMessage = `Error processing ${file}: ${getDetailedErrorMessage(err)}`;
+        errors.push(errorMessage);
+        return null;
+      }
+    });
+
+    const batchResults = await Promise.all(batchPromises);
+    results.push(...batchResults.filter(r => r !== null));
+  }
+
+  if (errors.length > 0 && options.onErrors) {
+    options.onErrors(errors);
+  }
+
+  return results;
+}
+
+/**
+ * Builds the stats of in-memory content, e.g. of an editor with unsaved changes: its size, modified now.
+ * @param {string} content
+ * @returns {{size: number, mtime: Date, mtimeMs: number}}
+ */
+function getContentStats(content) {
+  const now = new Date();
+  return { size: Buffer.byteLength(content, 'utf8'), mtime: now, mtimeMs: now.getTime() };
+}
+
+/**
+ * Returns the size in bytes above which a file is skipped without being read.
+ * Notebooks get a higher limit, as their outputs are mostly dropped when they are read.
+ * @param {string} file
+ * @param {number} maxFileSize
+ * @returns {number}
+ */
+function getSizeLimit(file, maxFileSize) {
+  return isNotebook(file) ? Math.max(maxFileSize, MAX_NOTEBOOK_BYTES) : maxFileSize;
+}
+
+/**
+ * Decodes the raw bytes of a file into its text; Jupyter notebooks are converted to their cells.
+ * A notebook that cannot be parsed is kept as it is, and reported to onWarning.
+ * @param {Buffer} buffer
+ * @param {string} file
+ * @param {{encoding?: string|null, notebookOutputs?: string, onWarning?: (message: string) => void}} options
+ * @returns {{content: string, encoding: string, binary: string|null, language?: string}}
+ */
+function readContent(buffer, file, { encoding = null, notebookOutputs, onWarning = () => {} } = {}) {
+  const decoded = decodeContent(buffer, encoding);
+  if (decoded.binary || !isNotebook(file)) return decoded;
+  try {
+    const notebook = convertNotebook(decoded.content, { outputs: notebookOutputs });
+    return { ...decoded, content: notebook.content, language: notebook.language };
+  } catch (err) {
+    onWarning(`Keeping ${file} as it is, it could not be read as a notebook: ${err.message}`);
+    return decoded;
+  }
+}
+
+/**
+ * Turns the raw bytes of a file into what is rendered: decoded, compressed, redacted, then counted.
+ * Compression comes first so that it can bring a file under the limits, and redaction before
+ * counting so that the count matches the output.
+ * @param {Buffer} buffer
+ * @param {string} file
+ * @param {{encoding?: string|null, notebookOutputs?: string, compression: string[], redactPatterns: Array|null, tokenizer?: Object, onWarning?: (message: string) => void}} options See readContent
+ * @returns {{content?: string, binary?: string, encoding?: string, language?: string, tokens?: number, compression?: string[], redaction?: {total: number, counts: Object<string, number>}}}
+ *   Binary files only carry the reason they are skipped in binary; encoding is set for files that were not UTF-8,
+ *   and language for notebooks, to the language of their kernel
+ */
+function prepareContent(buffer, file, { encoding = null, notebookOutputs, compression, redactPatterns, tokenizer, onWarning }) {
+  const decoded = readContent(buffer, file, { encoding, notebookOutputs, onWarning });
+  if (decoded.binary) {
+    return { binary: decoded.binary };
+  }
+  const prepared = decoded.encoding === 'utf-8' ? {} : { encoding: decoded.encoding };
+  if (decoded.language) {
+    prepared.language = decoded.language.toLowerCase();
+  }
+  const compressed = compressContent(decoded.content, file, compression);
+  prepared.content = compressed.content;
+  if (compressed.applied.length > 0) {
+    prepared.compression = compressed.applied;
+  }
+  if (redactPatterns) {
+    const redacted = redactSecrets(prepared.content, redactPatterns);
+    prepared.content = redacted.content;
+    prepared.redaction = { total: redacted.total, counts: redacted.counts };
+  }
+  if (tokenizer) {
+    prepared.tokens = tokenizer.count(prepared.content);
+  }
+  return prepared;
+}
+
+/**
+ * Estimates the total size of files and suggests optimizations
+ * @param {Array<{file: string, size: number}>} files 
+ * @param {number} maxChunkSize
+ * @returns {Promise<{estimatedFiles: number, totalSize: number, suggestions: string[]}>}
+ */
+async function estimateOutputFiles(files, maxChunkSize) {
+  let currentChunkSize = 0;
+  let numChunks = 1;
+  let totalSize = 0;
+  const suggestions = [];
+
+  for (const { size } of files) {
+    totalSize += size;
+    if ((currentChunkSize + size) > maxChunkSize) {
+      numChunks++;
+      currentChunkSize = size;
+    } else {
+      currentChunkSize += size;
+    }
+  }
+
+  // Add suggestions if multiple files would be created
+  if (numChunks > 1) {
+    suggestions.push(
+      `⚠️ This will create ${numChunks} files (${(totalSize / 1024 / 1024).toFixed(1)}MB total).`,
+      "To reduce to a single file, you can:",
+      "1. Increase maxTokenLimit in settings",
+      "2. Add more patterns to blacklist",
+      "3. Set budgetMode: fit in .flatten_ignore to fit the output into one part"
+    );
+  }
+
+  return { estimatedFiles: numChunks, totalSize, suggestions };
+}
+
+/**
+ * Common library and build tool patterns that should be ignored by default
+ */
+const DEFAULT_LIBRARY_PATTERNS = [
+  // Package managers and dependencies
+  '**/node_modules/**',
+  '**/bower_components/**',
+  '**/jspm_packages/**',
+  '**/package-lock.json',
+  '**/yarn.lock',
+  '**/pnpm-lock.yaml',
+  '**/composer.lock',
+  '**/Gemfile.lock',
+  '**/poetry.lock',
+  '**/requirements.txt',
+  '**/go.sum',
+  '**/Cargo.lock',
+  '**/vendor/**',
+  
+  // Build outputs and caches
+  '**/dist/**',
+  '**/build/**',
+  '**/out/**',
+  '**/output/**',
+  '**/.next/**',
+  '**/.nuxt/**',
+  '**/.cache/**',
+  '**/coverage/**',
+  '**/.nyc_output/**',
+  
+  // Python
+  '**/__pycache__/**',
+  '**/*.pyc',
+  '**/*.pyo',
+  '**/*.pyd',
+  '**/venv/**',
+  '**/.env/**',
+  '**/.pytest_cache/**',
+  '**/.tox/**',
+  '**/*.egg-info/**',
+  
+  // Java/Kotlin/Scala
+  '**/target/**',
+  '**/.gradle/**',
+  '**/gradle/**',
+  '**/*.class',
+  '**/classes/**',
+  '**/META-INF/**',
+  
+  // .NET
+  '**/bin/**',
+  '**/obj/**',
+  '**/packages/**',
+  '**/Debug/**',
+  '**/Release/**',
+  
+  // iOS/macOS
+  '**/Pods/**',
+  '**/*.xcworkspace/**',
+  '**/*.xcodeproj/**',
+  '**/DerivedData/**',
+  
+  // IDE and editor files
+  '**/.idea/**',
+  '**/.vscode/**',
+  '**/.vs/**',
+  '**/.project/**',
+  '**/.settings/**',
+  '**/.classpath',
+  '**/.factorypath',
+  
+  // Minified files and source maps
+  '**/*.min.js',
+  '**/*.min.css',
+  '**/*.map',
+  '**/*.bundle.*',
+  '**/*.chunk.*',
+  
+  // Generated documentation
+  '**/docs/api/**',
+  '**/docs/generated/**',
+  '**/api-docs/**',
+  '**/jsdoc/**',
+  '**/javadoc/**',
+  '**/swagger/**',
+  
+  // Common test fixtures and mocks
+  '**/fixtures/**',
+  '**/mocks/**',
+  '**/stubs/**',
+  '**/test-data/**',
+  '**/test-utils/**',
+  '**/testing-utils/**',
+  
+  // Common third-party code directories
+  '**/third-party/**',
+  '**/external/**',
+  '**/deps/**',
+  '**/lib/vendor/**',
+  '**/assets/vendor/**',
+  
+  // Temporary and backup files
+  '**/*.tmp',
+  '**/*.temp',
+  '**/*.bak',
+  '**/*.log',
+  '**/tmp/**',
+  '**/temp/**',
+  '**/logs/**',
+  
+  // Version control
+  '**/.git/**',
+  '**/.svn/**',
+  '**/.hg/**',
+  
+  // Configuration files that often contain third-party settings
+  '**/webpack.config.*',
+  '**/babel.config.*',
+  '**/tsconfig.*',
+  '**/jest.config.*',
+  '**/karma.conf.*',
+  '**/rollup.config.*',
+  '**/grunt*',
+  '**/gulpfile.*'
+];
+
+/**
+ * Gets suggestions for reducing the number of output files
+ * @param {number} currentTokenLimit
+ * @param {number} estimatedFiles
+ * @param {string[]} localBlacklist
+ * @returns {{suggestions: string[], patterns: string[]}}
+ */
+function getSuggestions(currentTokenLimit, estimatedFiles, localBlacklist) {
+  const suggestions = [];
+  const patterns = [];
+  
+  // Suggest increasing token limit if it's relatively low
+  if (currentTokenLimit < 100000) {
+    suggestions.push(
+      "- Increase `maxTokenLimit` in settings (many modern LLMs support 100k+ tokens)"
+    );
+  }
+  
+  // Common patterns to suggest if not in local blacklist
+  const commonPatterns = [
+    'test/**',
+    '**/*.test.*',
+    '**/*.spec.*',
+    'docs/**',
+    'examples/**',
+    'demo/**',
+    'samples/**',
+    '__tests__/**',
+    '__mocks__/**',
+    'coverage/**',
+    'e2e/**'
+  ];
+  
+  const missingPatterns = commonPatterns.filter(pattern => 
+    !localBlacklist.some(b => b === pattern)
+  );
+  
+  if (missingPatterns.length > 0) {
+    suggestions.push(
+      "- Add these patterns to your blacklist to exclude test and example files:",
+      ...missingPatterns.map(p => `  ${p}`)
+    );
+    patterns.push(...missingPatterns);
+  }
+  
+  return { suggestions, patterns };
+}
+
+/**
+ * Checks if a path matches any of the patterns
+ * @param {string} filePath
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function matchesPatterns(filePath, patterns) {
+  return matchesGlobs(compileGlobs(patterns), filePath);
+}
+
+/**
+ * Memory-efficient file content processing
+ * @param {string} content
+ * @param {number} maxChunkSize
+ * @returns {string}
+ */
+function processContentEfficiently(content, maxChunkSize) {
+  // If content is small enough, return as is
+  if (content.length <= maxChunkSize) {
+    return content;
+  }
+
+  // For large files, truncate and add warning
+  const truncatedContent = content.slice(0, maxChunkSize);
+  return `${truncatedContent}\n\n... Content truncated (${((content.length - maxChunkSize) / 1024).toFixed(1)}KB remaining) ...`;
+}
+
+/**
+ * Splits file content into pieces at line boundaries so that each piece fits the given token budgets.
+ * The first piece is sized to fill the space left in the current chunk, the rest use the full budget.
+ * Lines longer than a whole budget (e.g. minified code) are cut proportionally.
+ * @param {string} content
+ * @param {number} firstBudget
+ * @param {number} budget
+ * @param {(text: string) => number} countTokens
+ * @returns {Array<{content: string, startLine: number, endLine: number}>}
+ */
+function splitContentAtLines(content, firstBudget, budget, countTokens) {
+  const pieces = [];
+  let current = [];
+  let currentTokens = 0;
+  let startLine = 1;
+  let lastLine = 1;
+  let limit = firstBudget;
+  
+  content.split('\n').forEach((line, index) => {
+    const lineNumber = index + 1;
+    const lineTokens = countTokens(line);
+    const slices = [];
+    if (lineTokens > budget) {
+      const sliceLength = Math.max(1, Math.floor(line.length * budget / lineTokens));
+      for (let i = 0; i < line.length; i += sliceLength) {
+        const slice = line.slice(i, i + sliceLength);
+        slices.push({ text: slice, tokens: countTokens(slice) });
+      }
+    } else {
+      slices.push({ text: line, tokens: lineTokens });
+    }
+    
+    for (const slice of slices) {
+      // Each line also costs its newline
+      if (current.length > 0 && currentTokens + slice.tokens + 1 > limit) {
+        pieces.push({ content: current.join('\n'), startLine, endLine: lastLine });
+        current = [];
+        currentTokens = 0;
+        limit = budget;
+      }
+      if (current.length === 0) startLine = lineNumber;
+      current.push(slice.text);
+      currentTokens += slice.tokens + 1;
+      lastLine = lineNumber;
+    }
+  });
+  if (current.length > 0) {
+    pieces.push({ content: current.join('\n'), startLine, endLine: lastLine });
+  }
+  
+  return pieces;
+}
+
+/**
+ * Memory-efficient chunk creation that splits output into parts of at most maxChunkTokens tokens.
+ * Every part carries the shared directory tree, annotated with per-file token counts,
+ * and the list of files it contains; files too large for a part are split across parts at line boundaries.
+ * Files marked omitted (see fitToBudget) appear in the directory tree only.
+ * @param {Array<{rel: string, content: string, stats?: Object, score?: number, tokens?: number, omitted?: boolean}>} files 
+ * @param {number} maxChunkTokens
+ * @param {Object} [formatter] Output formatter from lib/formatters
+ * @param {{name: string, count: (text: string) => number}} [tokenizer] Tokenizer from lib/tokenizer
+ * @param {Object} [renderOptions] Extra header data passed to the formatter, e.g. changes in git-diff mode.
+ *   The list of compressed files is added from the files' compression.
+ * @returns {Array<{content: string, files: string[], tokens: number}>}
+ */
+function createChunksEfficiently(files, maxChunkTokens, formatter = getFormatter('txt'), tokenizer = getTokenizer(), renderOptions = {}) {
+  const countTokens = text => tokenizer.count(text);
+  const rendered = files.filter(f => !f.omitted);
+  rendered.forEach(f => {
+    if (typeof f.tokens !== 'number') f.tokens = countTokens(f.content);
+  });
+  
+  const allPaths = rendered.map(f => f.rel);
+  const labels = Object.fromEntries(files.map(f => [f.rel, `${f.omitted ? 'content omitted' : `${f.tokens} tokens`}${f.unsaved ? ', unsaved' : ''}`]));
+  const tree = buildDirectoryTree(files.map(f => f.rel), labels);
+  const tokens = { tokenizer: tokenizer.name, total: rendered.reduce((sum, f) => sum + f.tokens, 0) };
+  const compressed = rendered.filter(f => f.compression).map(f => ({ path: f.rel, modes: f.compression }));
+  
+  // Reserve room for the per-part header: tree, file list and formatter boilerplate.
+  // Pieces tokenized separately don't add up exactly, so keep a 5% margin as well.
+  const headerReserve = countTokens(formatter.render({
+    ...renderOptions,
+    compressed,
+    tree,
+    files: [],
+    tokens,
+    part: { index: 1, total: 1, files: allPaths }
+  }));
+  const budget = Math.max(256, Math.floor(maxChunkTokens * 0.95) - headerReserve);
+  
+  // Measure entries as rendered, since formats like JSON escape the content
+  const entryTokens = file => countTokens(formatter.renderFile(file));
+  
+  const chunks = [];
+  let current = { files: [], tokens: 0 };
+  const startNewChunk = () => {
+    if (current.files.length > 0) chunks.push(current);
+    current = { files: [], tokens: 0 };
+  };
+  
+  for (const file of rendered) {
+    const cost = entryTokens(file);
+    
+    if (current.tokens + cost <= budget) {
+      current.files.push(file);
+      current.tokens += cost;
+      continue;
+    }
+    
+    if (cost <= budget) {
+      startNewChunk();
+      current.files.push(file);
+      current.tokens = cost;
+      continue;
+    }
+    
+    // The file alone exceeds a part: split it at line boundaries, with any diff after the last piece
+    const overhead = entryTokens({ ...file, content: '', diff: undefined, segment: { index: 0, total: 0, startLine: 0, endLine: 0 } }) + 8;
+    const pieceBudget = Math.max(64, budget - overhead);
+    let firstBudget = budget - current.tokens - overhead;
+    if (firstBudget < pieceBudget / 4) {
+      startNewChunk();
+      firstBudget = pieceBudget;
+    }
+    const pieces = splitContentAtLines(file.content, firstBudget, pieceBudget, countTokens);
+    pieces.forEach((piece, index) => {
+      const segmentFile = {
+        ...file,
+        content: piece.content,
+        tokens: countTokens(piece.content),
+        diff: index === pieces.length - 1 ? file.diff : undefined,
+        segment: { index: index + 1, total: pieces.length, startLine: piece.startLine, endLine: piece.endLine }
+      };
+      const pieceCost = entryTokens(segmentFile);
+      if (current.files.length > 0 && current.tokens + pieceCost > budget) {
+        startNewChunk();
+      }
+      current.files.push(segmentFile);
+      current.tokens += pieceCost;
+    });
+  }
+  startNewChunk();
+  // Even without file contents, the header and tree make one part
+  if (chunks.length === 0) chunks.push(current);
+  
+  return chunks.map((chunk, index) => {
+    const chunkPaths = [...new Set(chunk.files.map(f => f.rel))];
+    const part = chunks.length > 1
+      ? { index: index + 1, total: chunks.length, files: chunkPaths }
+      : undefined;
+    const content = formatter.render({ ...renderOptions, compressed, tree, files: chunk.files, tokens, part });
+    return {
+      content,
+      files: chunkPaths,
+      tokens: countTokens(content)
+    };
+  });
+}
+
+/**
+ * Levels a file can be downgraded through to fit a budget, from full content to a tree entry only.
+ */
+const DOWNGRADE_LEVELS = ['full', 'compressed', 'skeleton', 'tree'];
+
+// Compression modes (see lib/compress) behind the levels that keep content
+const DOWNGRADE_MODES = { compressed: ['comments', 'whitespace'], skeleton: ['skeleton'] };
+
+/**
+ * Chooses a level per file so that the total fits a budget. Works level by level, from the
+ * least important file up: every file is compressed before any loses its bodies, and every
+ * file keeps its signatures before any is reduced to a tree entry.
+ * @param {number} count Number of files, most important first
+ * @param {(index: number, level: string) => number|null} costOf Tokens of a file at a level;
+ *   null if the level does not apply to the file, e.g. no skeleton for its language
+ * @param {number} budget
+ * @returns {{levels: string[], total: number}} total may still exceed the budget when every file is a tree entry
+ */
+function planDowngrades(count, costOf, budget) {
+  const levels = Array(count).fill(0);
+  let total = 0;
+  for (let i = 0; i < count; i++) total += costOf(i, DOWNGRADE_LEVELS[0]);
+  for (let step = 1; step < DOWNGRADE_LEVELS.length && total > budget; step++) {
+    for (let i = count - 1; i >= 0 && total > budget; i--) {
+      const cost = costOf(i, DOWNGRADE_LEVELS[step]);
+      const current = costOf(i, DOWNGRADE_LEVELS[levels[i]]);
+      if (cost === null || cost >= current) continue;
+      total += cost - current;
+      levels[i] = step;
+    }
+  }
+  return { levels: levels.map(level => DOWNGRADE_LEVELS[level]), total };
+}
+
+/**
+ * Fits files into a single output part by downgrading the least important ones instead of
+ * splitting the output: first to compressed content (comments and whitespace removed), then to
+ * a skeleton (lib/compress), then to a tree entry without content. The header lists every
+ * downgraded file.
+ * @param {Array<{file?: string, rel: string, content: string, tokens?: number, compression?: string[]}>} files Most important first
+ * @param {number} maxChunkTokens
+ * @param {Object} [formatter] Output formatter from lib/formatters
+ * @param {{name: string, count: (text: string) => number}} [tokenizer] Tokenizer from lib/tokenizer
+ * @param {Object} [renderOptions] See createChunksEfficiently
+ * @returns {{chunks: Array<{content: string, files: string[], tokens: number}>, downgrades: Array<{path: string, level: string, tokens: number, originalTokens: number}>}}
+ *   A single chunk unless even tree entries alone do not fit
+ */
+function fitToBudget(files, maxChunkTokens, formatter = getFormatter('txt'), tokenizer = getTokenizer(), renderOptions = {}) {
+  const countTokens = text => tokenizer.count(text);
+  const variants = files.map(file => ({ full: file }));
+  const variantOf = (index, level) => {
+    const cache = variants[index];
+    if (!(level in cache)) {
+      const file = files[index];
+      const { content, applied } = compressContent(file.content, file.file || file.rel, DOWNGRADE_MODES[level]);
+      const useful = level === 'skeleton' ? applied.includes('skeleton') : applied.length > 0;
+      cache[level] = useful
+        ? { ...file, content, tokens: countTokens(content), compression: [...new Set([...(file.compression || []), ...applied])] }
+        : null;
+    }
+    return cache[level];
+  };
+  const costs = new Map();
+  const costOf = (index, level) => {
+    if (level === 'tree') return 0;
+    const key = `${index}:${level}`;
+    if (!costs.has(key)) {
+      const variant = variantOf(index, level);
+      costs.set(key, variant ? countTokens(formatter.renderFile(variant)) : null);
+    }
+    return costs.get(key);
+  };
+
+  // The header grows with the list of downgrades, so shrink the budget until the result fits one part
+  let budget = Math.floor(maxChunkTokens * 0.95);
+  let result = null;
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const { levels } = planDowngrades(files.length, costOf, budget);
+    const fitted = files.map((file, i) => (levels[i] === 'tree' ? { ...file, omitted: true } : levels[i] === 'full' ? file : variantOf(i, levels[i])));
+    const downgrades = files
+      .map((file, i) => ({
+        path: file.rel,
+        level: levels[i],
+        tokens: levels[i] === 'tree' ? 0 : fitted[i].tokens,
+        originalTokens: typeof file.tokens === 'number' ? file.tokens : countTokens(file.content)
+      }))
+      .filter(d => d.level !== 'full');
+    const chunks = createChunksEfficiently(fitted, maxChunkTokens, formatter, tokenizer, { ...renderOptions, downgrades });
+    result = { chunks, downgrades };
+    if (chunks.length === 1) break;
+    const overflow = chunks.slice(1).reduce((sum, chunk) => sum + chunk.tokens, 0);
+    budget -= Math.max(overflow, Math.ceil(budget * 0.05));
+  }
+  return result;
+}
+
+/**
+ * Default contents of a newly created .flatten_ignore file
+ */
+const DEFAULT_IGNORE_CONTENT = `# .flatten_ignore
+# This file controls which files and directories are ignored or explicitly included during flattening.
+# Use glob patterns here, with the same rules as .gitignore: a pattern without a slash
+# (node_modules, *.min.js) matches at any depth, a leading or middle slash anchors it to
+# the project root (/generated/**, docs/api), a trailing slash matches directories only,
+# and matching a directory excludes everything inside it. Also supported: ** across
+# directories, [abc] character classes and {js,ts} alternatives.
+#
+# Evaluation order:
+# 1. Files ignored by .gitignore (when useGitIgnore is on) are always left out.
+# 2. Built-in library patterns, then global, then blacklist are read as one list.
+#    The last matching pattern wins, and !pattern includes a path again.
+# 3. If the whitelist has patterns, only files it matches are included, even if
+#    step 2 ignored them; !pattern in the whitelist removes files again.
+# Ignored directories are still searched when a whitelist or !pattern could
+# match something inside them.
+#
+# --------------------------
+# Global Ignore Patterns:
+# These patterns are ignored unless a later !pattern or the whitelist includes them
+global:
+# Build and dependency directories
+node_modules
+/generated/**
+bower_components
+vendor
+dist
+build
+out
+target
+tmp
+temp
+.cache
+__pycache__
+.git
+.vscode
+.idea
+.pnp
+.jest
+.mocha
+.nyc_output
+test-results
+reports
+.gradle
+android
+ios
+# Package manager files
+package-lock.json
+yarn.lock
+pnpm-lock.yaml
+composer.lock
+Gemfile.lock
+poetry.lock
+requirements.txt
+go.sum
+Cargo.lock
+# Generated files
+*.min.js
+*.min.css
+*.map
+*.bundle.*
+*.chunk.*
+# Documentation
+docs/api
+docs/generated
+api-docs
+jsdoc
+javadoc
+swagger
+# Test and example files
+test
+tests
+spec
+__tests__
+__mocks__
+fixtures
+mocks
+stubs
+test-data
+test-utils
+testing-utils
+examples
+demo
+samples
+# Environment and configuration
+.env
+.env.*
+config
+configs
+settings
+# IDE and editor files
+.vscode
+.idea
+.vs
+.project
+.settings
+.classpath
+.factorypath
+# Version control
+.git
+.svn
+.hg
+# Temporary files
+*.tmp
+*.temp
+*.bak
+*.log
+logs
+# --------------------------
+# Local Whitelist Patterns:
+# When set, only these files are included, even if they match ignore patterns
+whitelist:
+# Example:
+# src/**/*.ts
+# lib/**/*.js
+# !src/**/*.generated.ts
+# --------------------------
+# Local Blacklist Patterns:
+# These patterns are ignored in addition to global patterns
+blacklist:
+# Example:
+# test/**
+# *.spec.js
+# !test/fixtures/schema.json
+# --------------------------
+# Redaction Patterns:
+# Secrets such as AWS keys, GitHub and npm tokens, JWTs, private key blocks and
+# random-looking values assigned to *_KEY/*_SECRET/*_TOKEN/*_PASSWORD names are
+# replaced with [REDACTED:<kind>] placeholders. Add your own regular expressions
+# here, bare or as /pattern/flags; with a capture group only the group is replaced.
+redact:
+# Example:
+# /internal-[a-f0-9]{32}/i
+# connectionString=(\S+)
+# --------------------------
+# Scoring Rules:
+# Files are ordered by score, most important first. One rule per line,
+# <kind> <condition> <points>, added to the built-in rules:
+#   path {src,lib}/ +15, path {test,spec}/ -10, path {example,demo}/ -5,
+#   ext .ts,.js,.py,.java,.go,.rs +10, ext .json,.yml,.yaml,.toml +5,
+#   size <10kb +20, size 10kb-50kb +10, size >500kb -20, recency <7d +10, base 50
+# recency is days since the last commit (modification time outside git, or
+# with only the built-in rule) and churn counts commits among the last 1000. 'pin <glob>' puts files first;
+# 'defaults off' drops the built-in rules.
+scoring:
+# Example:
+# path src/core/** +20
+# churn >=10 +5
+# pin README.md
+# --------------------------
+# Compression Rules:
+# Shorten files to fit more of the project in the budget. One rule per line,
+# <glob> <mode>[,<mode>...]; the last matching rule applies. Modes:
+#   license     drop a license or copyright comment at the top of the file
+#   comments    remove comments (docstrings stay)
+#   whitespace  remove repeated blank lines, and indentation where it has no meaning
+#   skeleton    keep only imports, exports, declarations, signatures and doc comments
+#               (JS/TS, Java, Go and Python)
+#   none        leave matching files alone
+# The output header lists the files that were compressed and how.
+compress:
+# Example:
+# ** license
+# test/** skeleton
+# src/core/** none
+# --------------------------
+# Encoding Rules:
+# Files are decoded by their byte order mark, as UTF-16 or UTF-8 when they look like it,
+# else as Windows-1252 (Latin-1), and always output as UTF-8 with \n line endings.
+# Binary files (known file signatures, NUL bytes) are skipped. One rule per line,
+# <glob> <encoding>, to read matching files in that encoding (e.g. utf-16le, latin1,
+# shift_jis, gbk) or to skip them with binary; the last matching rule applies.
+encoding:
+# Example:
+# db/exports/*.sql utf-16le
+# legacy/**/*.php latin1
+# --------------------------
+# Settings:
+# Configure token limits and other processing options
+settings:
+# Target model preset. Sets the token budget (context window minus a reserve for
+# the prompt and answer) and the preferred tokenizer and format. Built-in presets:
+# claude-3-opus, claude-3-sonnet, claude-3-5-sonnet, claude-2, gpt-4o, gpt-4-turbo,
+# gpt-4-32k, gpt-4, gpt-3.5-turbo, gemini-1.5-pro, llama-3-70b
+# Add your own with the flattenRepo.modelPresets VS Code setting.
+# model: claude-3-5-sonnet
+# Token limit used when no model is set
+maxTokenLimit: 128000
+maxTokensPerFile: 25000
+# Tokenizer used for counting: cl100k, o200k or chars (~4 characters per token)
+# Defaults to the model's tokenizer, else cl100k
+# tokenizer: cl100k
+# Processing options
+useGitIgnore: true
+maxConcurrentFiles: 4
+# Also include files of these VS Code languages, found by extension, file name
+# (Dockerfile, Makefile, ...) or shebang line, on top of flattenRepo.includeExtensions
+# languages: [typescript, python, dockerfile]
+# Jupyter notebooks are read as their cells; outputs of code cells are dropped (none),
+# kept as text with images and other rich outputs summarized (text), or kept as text
+# and cut after 20 lines (truncated)
+notebookOutputs: truncated
+# Output format: txt, markdown, xml or json
+# Defaults to the model's preferred format, else txt
+# format: txt
+# Replace detected secrets with placeholders before output
+redactSecrets: true
+# List excluded files and the rule that excluded each in the output header
+reportExclusions: true
+# When the files exceed maxTokenLimit: split (numbered output parts), fit (one part;
+# the least important files are compressed, then cut to signatures, then listed in
+# the tree only) or ask (the command line splits)
+budgetMode: ask
+# Keep processed files in flattened/.flatten_cache.json so repeated runs only read
+# and process files that changed; also needed to flatten only what changed since the last output
+useCache: true
+`;
+
+/**
+ * Enhanced error handling with detailed messages
+ * @param {Error} error
+ * @returns {string}
+ */
+function getDetailedErrorMessage(error) {
+  if (error instanceof Error) {
+    return `${error.name}: ${error.message}\n${error.stack || ''}`;
+  }
+  return String(error);
+}
+
+
+// ----- Pipeline -----
+
+/**
+ * Compiles parsed .flatten_ignore rules into the glob matchers, redaction patterns, scoring and compression rules of a run.
+ * @param {{global: string[], whitelist: string[], blacklist: string[], redact?: string[], scoring?: string[], compress?: string[]}} ignoreRules
+ * @param {{ignoreDirs?: string[], globalWhitelist?: string[], globalBlacklist?: string[]}} [settings] Resolved configuration, see lib/config
+ * Built-in library patterns, the ignoreDirs and globalBlacklist settings, global and blacklist form one ordered
+ * ignore list, see isExcludedByRules; the globalWhitelist setting comes before the whitelist.
+ * Each matcher records the section it came from ('built-in', 'ignoreDirs setting', 'global', 'whitelist', ...).
+ * @returns {{ignoreMatchers: Array, whitelistMatchers: Array, redactPatterns: Array, redactErrors: string[], scoring: Object, scoringErrors: string[], compression: Object, compressionErrors: string[], encodings: Object, encodingErrors: string[]}}
+ */
+function compileIgnoreRules(ignoreRules, settings = {}) {
+  const { ignoreDirs = [], globalWhitelist = [], globalBlacklist = [] } = settings;
+  const { patterns, errors } = compileRedactPatterns(ignoreRules.redact || []);
+  const scoring = compileScoringRules(ignoreRules.scoring || []);
+  const compression = compileCompressionRules(ignoreRules.compress || []);
+  const encodings = compileEncodingRules(ignoreRules.encoding || []);
+  const compileSection = (list, section) => compileGlobs(list).map(matcher => Object.assign(matcher, { section }));
+  return {
+    ignoreMatchers: [
+      ...compileSection(DEFAULT_LIBRARY_PATTERNS, 'built-in'),
+      // Directory names match at any depth, and only directories
+      ...compileSection(ignoreDirs.map(dir => `${dir.replace(/\/+$/, '')}/`), 'ignoreDirs setting'),
+      ...compileSection(globalBlacklist, 'globalBlacklist setting'),
+      ...compileSection(ignoreRules.global, 'global'),
+      ...compileSection(ignoreRules.blacklist, 'blacklist')
+    ],
+    whitelistMatchers: [
+      ...compileSection(globalWhitelist, 'globalWhitelist setting'),
+      ...compileSection(ignoreRules.whitelist, 'whitelist')
+    ],
+    redactPatterns: patterns,
+    redactErrors: errors,
+    scoring,
+    scoringErrors: scoring.errors,
+    compression,
+    compressionErrors: compression.errors,
+    encodings,
+    encodingErrors: encodings.errors
+  };
+}
+
+/**
+ * Loads the .gitignore matcher of a folder, or returns null when .gitignore files are not used.
+ * @param {string} rootPath
+ * @param {boolean} useGitIgnore
+ * @returns {Promise<GitIgnoreMatcher|null>}
+ */
+async function loadGitIgnore(rootPath, useGitIgnore) {
+  if (!useGitIgnore) return null;
+  try {
+    return await new GitIgnoreMatcher(rootPath).init();
+  } catch (err) {
+    console.error(`Failed to load .gitignore rules: ${getDetailedErrorMessage(err)}`);
+    return null;
+  }
+}
+
+/**
+ * Loads the git history that recency and churn rules of the scoring: section need.
+ * The built-in recency rule does not count, so runs without such rules never call git log.
+ * @param {string} rootPath
+ * @param {{rules: Array<{kind: string, builtIn: boolean}>}} scoring From compileIgnoreRules
+ * @param {{onWarning?: (message: string) => void}} [options] Called when git log fails
+ * @returns {Promise<Map<string, {lastCommit: Date, commits: number}>|null>} null when no rule needs it
+ *   or the folder is not a git repository, so that scoring falls back to modification times
+ */
+async function loadFileHistory(rootPath, scoring, { onWarning = () => {} } = {}) {
+  if (!scoring.rules.some(rule => !rule.builtIn && (rule.kind === 'recency' || rule.kind === 'churn'))) return null;
+  if (!await isGitRepository(rootPath)) return null;
+  try {
+    return await getFileHistory(rootPath);
+  } catch (err) {
+    onWarning(`Could not read git history, scoring by modification time: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Checks a path (relative to its folder) against the folder's rules, in this order:
+ * 1. .gitignore files (when enabled) exclude first; nothing below re-includes those paths.
+ * 2. The ignore list (built-in library patterns, the ignoreDirs and globalBlacklist settings, then global:,
+ *    then blacklist:) is evaluated pattern by pattern; the last matching pattern wins and '!pattern' re-includes.
+ * 3. A whitelist (the globalWhitelist setting, then whitelist:) with at least one non-negated pattern: only files
+ *    it matches are included (last match wins, '!' removes), and they are included even when step 2 ignored them.
+ * A directory is only skipped when nothing inside it could still be included, so ignored
+ * directories are walked when a whitelist or '!' pattern could match beneath them.
+ * @param {{gitIgnore: GitIgnoreMatcher|null, ignoreMatchers: Array, whitelistMatchers: Array}} target
+ * @param {string} relative Platform-specific or '/'-separated
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ */
+function isExcludedByRules(target, relative, isDirectory) {
+  return evaluateRules(target, relative, isDirectory).excluded;
+}
+
+/**
+ * Describes a matcher for reports, e.g. 'global pattern "test"'.
+ * @param {{pattern: string, section: string}} matcher
+ * @returns {string}
+ */
+function describeMatcher(matcher) {
+  return `${matcher.section} pattern "${matcher.pattern}"`;
+}
+
+/**
+ * Applies the rules described at isExcludedByRules and names the rule that decided.
+ * @param {{gitIgnore: GitIgnoreMatcher|null, ignoreMatchers: Array, whitelistMatchers: Array}} target
+ * @param {string} relative Platform-specific or '/'-separated
+ * @param {boolean} isDirectory
+ * @returns {{excluded: boolean, reason: string}}
+ */
+function evaluateRules(target, relative, isDirectory) {
+  const posixPath = toPosixPath(relative);
+  const { ignoreMatchers, whitelistMatchers } = target;
+  
+  // Respect .gitignore, .git/info/exclude and nested .gitignore files
+  if (target.gitIgnore) {
+    const decision = target.gitIgnore.explain(posixPath, isDirectory);
+    if (decision.ignored) {
+      return { excluded: true, reason: `ignored by .gitignore pattern "${decision.pattern}" in ${decision.source}` };
+    }
+  }
+  
+  // A whitelist of only '!' patterns has nothing to include, so it does not restrict anything
+  const hasWhitelist = whitelistMatchers.some(m => !m.negate);
+  const ignoredBy = findLastMatch(ignoreMatchers, posixPath, isDirectory);
+  const ignored = ignoredBy !== null && !ignoredBy.negate;
+  
+  if (isDirectory) {
+    const couldInclude = matchers => matchers.some(m => m.couldMatchBeneath(posixPath));
+    const whitelisted = hasWhitelist && couldInclude(whitelistMatchers.filter(m => !m.negate));
+    if (hasWhitelist && !whitelisted) {
+      return { excluded: true, reason: 'no whitelist pattern can match inside it' };
+    }
+    if (ignored && !whitelisted && !couldInclude(ignoreMatchers.filter(m => m.negate))) {
+      return { excluded: true, reason: `ignored by ${describeMatcher(ignoredBy)}` };
+    }
+    return { excluded: false, reason: ignored ? `searched for files re-included below it despite ${describeMatcher(ignoredBy)}` : 'not ignored' };
+  }
+  
+  if (hasWhitelist) {
+    const whitelistedBy = findLastMatch(whitelistMatchers, posixPath);
+    if (!whitelistedBy) return { excluded: true, reason: 'not matched by the whitelist' };
+    if (whitelistedBy.negate) return { excluded: true, reason: `removed by ${describeMatcher(whitelistedBy)}` };
+    const despite = ignored ? ` despite ${describeMatcher(ignoredBy)}` : '';
+    return { excluded: false, reason: `included by ${describeMatcher(whitelistedBy)}${despite}` };
+  }
+  if (ignored) return { excluded: true, reason: `ignored by ${describeMatcher(ignoredBy)}` };
+  return { excluded: false, reason: ignoredBy ? `re-included by ${describeMatcher(ignoredBy)}` : 'no pattern matches' };
+}
+
+/**
+ * Walks a directory of a folder and reports every file that passes the folder's rules
+ * and is included by extension, file name, language or shebang. The /flattened output directory is skipped.
+ * @param {string} dir
+ * @param {{rootPath: string, gitIgnore: GitIgnoreMatcher|null}} target Folder root with its compiled rules, see compileIgnoreRules
+ * @param {{include: Object, onFile: (fullPath: string) => void, onExcluded?: (fullPath: string, reason: string, isDirectory: boolean) => void, isCancelled?: () => boolean}} options
+ *   onExcluded is told about every skipped file and directory; the contents of skipped directories are not visited
+ */
+async function collectFiles(dir, target, options) {
+  const { include, onFile, onExcluded, isCancelled } = options;
+  let items;
+  try {
+    items = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    console.error(`Failed to read directory ${dir}:`, err);
+    return;
+  }
+  
+  const { gitIgnore } = target;
+  if (gitIgnore) {
+    await gitIgnore.loadDirectory(toPosixPath(path.relative(target.rootPath, dir)));
+  }
+  
+  for (const item of items) {
+    if (isCancelled && isCancelled()) {
+      throw new Error('Operation cancelled by user');
+    }
+    
+    const fullPath = path.join(dir, item.name);
+    const relative = path.relative(target.rootPath, fullPath);
+    
+    // Skip the flattened directory itself
+    if (relative === 'flattened') continue;
+    
+    const decision = evaluateRules(target, relative, item.isDirectory());
+    if (decision.excluded) {
+      if (onExcluded) onExcluded(fullPath, decision.reason, item.isDirectory());
+      continue;
+    }
+    
+    if (item.isDirectory()) {
+      await collectFiles(fullPath, target, options);
+    } else {
+      const inclusion = await checkInclusion(fullPath, relative, include);
+      if (!inclusion.included) {
+        if (onExcluded) onExcluded(fullPath, inclusion.reason, false);
+        continue;
+      }
+      onFile(fullPath);
+    }
+  }
+}
+
+// What happens to an included file when the output exceeds the token budget, by budgetMode
+const BUDGET_OUTCOMES = {
+  split: 'files larger than one part are split at line boundaries, never dropped',
+  fit: 'budgetMode is fit: if the output exceeds the token budget, the least important files are compressed, cut to a skeleton or listed without content, so the budget decides',
+  ask: 'budgetMode is ask: splitting keeps every file; fitting into one part may compress it, cut it to a skeleton or list it without content, depending on the budget'
+};
+
+/**
+ * Explains whether a file would be part of the output, checking it the way a full run does:
+ * the output directory, each parent directory, the ignore rules, the inclusion rules, the size limits and the content.
+ * Every pattern that matches the path is listed in evaluation order. For a directory it tells
+ * whether the walk enters it.
+ * @param {{rootPath: string, gitIgnore: GitIgnoreMatcher|null, ignoreMatchers: Array, whitelistMatchers: Array}} target
+ * @param {string} fullPath
+ * @param {{include: Object, maxFileSize: number, maxTokensPerFile?: number, tokenizer?: Object, notebookOutputs?: string, budgetMode?: string}} options
+ *   include comes from compileIncludeRules in lib/include; budgetMode is 'split' (default), 'fit' or 'ask'
+ * @returns {Promise<{path: string, included: boolean, decidedBy: string, steps: Array<{check: string, outcome: string, excluded?: boolean}>}>}
+ */
+async function explainPath(target, fullPath, options) {
+  const relative = toPosixPath(path.relative(target.rootPath, fullPath));
+  const steps = [];
+  const exclude = (check, outcome) => {
+    steps.push({ check, outcome, excluded: true });
+    return { path: relative, included: false, decidedBy: `${check}: ${outcome}`, steps };
+  };
+  
+  if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return exclude('Location', 'not inside the folder');
+  }
+  const parts = relative.split('/');
+  if (parts[0] === 'flattened') return exclude('Location', 'inside the /flattened output directory');
+  const stats = await fs.stat(fullPath);
+  const isDirectory = stats.isDirectory();
+  
+  // The walk only reaches the file if none of its parent directories is skipped
+  if (target.gitIgnore) await target.gitIgnore.loadAncestors(relative);
+  for (let i = 1; i < parts.length; i++) {
+    // Checked without a trailing slash, as collectFiles does; .gitignore patterns only match it that way
+    const dir = parts.slice(0, i).join('/');
+    const decision = evaluateRules(target, dir, true);
+    if (decision.excluded) return exclude(`Directory ${dir}/`, decision.reason);
+    steps.push({ check: `Directory ${dir}/`, outcome: decision.reason });
+  }
+  
+  if (target.gitIgnore) {
+    const git = target.gitIgnore.explain(relative, isDirectory);
+    steps.push({
+      check: '.gitignore',
+      outcome: git.pattern ? `"${git.pattern}" in ${git.source} ${git.ignored ? 'ignores' : 're-includes'} it` : 'no pattern matches'
+    });
+  }
+  target.ignoreMatchers.filter(m => m.test(relative, isDirectory)).forEach(m => {
+    steps.push({ check: describeMatcher(m), outcome: m.negate ? 'matches, re-includes it' : 'matches, ignores it' });
+  });
+  target.whitelistMatchers.filter(m => m.test(relative, isDirectory)).forEach(m => {
+    steps.push({ check: describeMatcher(m), outcome: m.negate ? 'matches, removes it' : 'matches, includes it' });
+  });
+  const decision = evaluateRules(target, relative, isDirectory);
+  if (decision.excluded) return exclude('Rules', decision.reason);
+  steps.push({ check: 'Rules', outcome: decision.reason });
+  if (isDirectory) {
+    return { path: `${relative}/`, included: true, decidedBy: 'the walk enters it; the files inside are checked one by one', steps };
+  }
+  
+  const inclusion = await checkInclusion(fullPath, relative, options.include);
+  if (!inclusion.included) {
+    return exclude('Inclusion', inclusion.reason);
+  }
+  steps.push({ check: 'Inclusion', outcome: inclusion.reason });
+  
+  const sizeLimit = getSizeLimit(fullPath, options.maxFileSize);
+  if (stats.size > sizeLimit) {
+    return exclude('Size', `${stats.size} bytes exceeds the size limit of ${sizeLimit} bytes`);
+  }
+  steps.push({ check: 'Size', outcome: `${stats.size} bytes, limit ${sizeLimit} bytes` });
+  
+  const decoded = readContent(await fs.readFile(fullPath), fullPath, {
+    encoding: getEncodingOverride(relative, target.encodings),
+    notebookOutputs: options.notebookOutputs
+  });
+  if (decoded.binary) {
+    return exclude('Content', decoded.binary);
+  }
+  const text = decoded.encoding === 'utf-8' ? 'UTF-8 text' : `${decoded.encoding} text, transcoded to UTF-8`;
+  steps.push({ check: 'Content', outcome: decoded.language ? `${text}, a notebook read as its cells` : text });
+  
+  if (options.tokenizer && options.maxTokensPerFile) {
+    const tokens = options.tokenizer.count(decoded.content);
+    if (tokens > options.maxTokensPerFile) {
+      return exclude('Tokens', `${tokens} tokens exceeds maxTokensPerFile of ${options.maxTokensPerFile}`);
+    }
+    steps.push({ check: 'Tokens', outcome: `${tokens} tokens, limit ${options.maxTokensPerFile}` });
+  }
+  
+  steps.push({ check: 'Output parts', outcome: BUDGET_OUTCOMES[options.budgetMode] || BUDGET_OUTCOMES.split });
+  return { path: relative, included: true, decidedBy: 'passes every check', steps };
+}
+
+/**
+ * Renders an explanation from explainPath as plain text.
+ * @param {{path: string, included: boolean, decidedBy: string, steps: Array<{check: string, outcome: string, excluded?: boolean}>}} explanation
+ * @returns {string}
+ */
+function formatExplanation(explanation) {
+  const lines = [`${explanation.included ? '✅' : '❌'} ${explanation.path} is ${explanation.included ? 'included' : 'excluded'}`];
+  explanation.steps.forEach(step => lines.push(`  ${step.excluded ? '✗' : '•'} ${step.check}: ${step.outcome}`));
+  lines.push(`Decided by: ${explanation.decidedBy}`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Replaces secrets in processed files (and their diffs) with placeholders, updating token counts.
+ * @param {Array<{rel: string, content: string, diff?: string, tokens?: number, redaction?: Object}>} results
+ * @param {{tokenizer: {count: (text: string) => number}, patternsFor?: (result: Object) => Array}} options
+ *   patternsFor returns the custom redaction patterns that apply to a file
+ * @returns {Array<{path: string, total: number, counts: Object<string, number>}>} One entry per file with redactions
+ */
+function redactFiles(results, { tokenizer, patternsFor = () => [] }) {
+  const redactions = [];
+  for (const r of results) {
+    const patterns = patternsFor(r);
+    // Content redacted while reading (see processFilesInParallel) only adds its counts
+    const redacted = r.redaction ? { content: r.content, ...r.redaction } : redactSecrets(r.content, patterns);
+    const redactedDiff = r.diff ? redactSecrets(r.diff, patterns) : null;
+    const total = redacted.total + (redactedDiff ? redactedDiff.total : 0);
+    if (total === 0) continue;
+    
+    const counts = { ...redacted.counts };
+    if (redactedDiff) {
+      Object.entries(redactedDiff.counts).forEach(([kind, count]) => { counts[kind] = (counts[kind] || 0) + count; });
+      r.diff = redactedDiff.content;
+    }
+    if (!r.redaction) {
+      r.content = redacted.content;
+      r.tokens = tokenizer.count(r.content);
+    }
+    redactions.push({ path: r.rel, total, counts });
+  }
+  return redactions;
+}
+
+/**
+ * Walks candidate files in output order and marks those past the token budget of one part;
+ * a run would put them into further parts. Unchecked files and files dropped for exceeding
+ * maxTokensPerFile do not count.
+ * @param {Array<{tokens: number|null, checked: boolean, dropped?: string|null}>} candidates Highest score first; overBudget is set on each
+ * @param {number} maxTokenLimit
+ * @returns {{total: number, overBudget: number}} Tokens of the counted files, and how many are over budget
+ */
+function planTokenBudget(candidates, maxTokenLimit) {
+  let total = 0;
+  let overBudget = 0;
+  for (const candidate of candidates) {
+    candidate.overBudget = false;
+    if (!candidate.checked || candidate.dropped || typeof candidate.tokens !== 'number') continue;
+    total += candidate.tokens;
+    if (total > maxTokenLimit) {
+      candidate.overBudget = true;
+      overBudget++;
+    }
+  }
+  return { total, overBudget };
+}
+
+module.exports = {
+  toPosixPath,
+  parseFlattenIgnore,
+  parseFlattenIgnoreContent,
+  addPatternsToSection,
+  matchesAny,
+  buildDirectoryTree,
+  scoreFile,
+  getScoreBreakdown,
+  processFilesInParallel,
+  getContentStats,
+  estimateOutputFiles,
+  DEFAULT_LIBRARY_PATTERNS,
+  getSuggestions,
+  matchesPatterns,
+  processContentEfficiently,
+  splitContentAtLines,
+  createChunksEfficiently,
+  DEFAULT_IGNORE_CONTENT,
+  getDetailedErrorMessage,
+  compileIgnoreRules,
+  loadGitIgnore,
+  loadFileHistory,
+  isExcludedByRules,
+  evaluateRules,
+  collectFiles,
+  explainPath,
+  formatExplanation,
+  redactFiles,
+  planTokenBudget,
+  DOWNGRADE_LEVELS,
+  planDowngrades,
+  fitToBudget
+};
@@ -0,0 +1,226 @@
+const fs = require('fs').promises;
+const { compileGlob } = require('./glob');
+
+/**
+ * Content sniffing for file reading: tells binaries from text, detects the encoding of text
+ * and decodes it to UTF-8 with '\n' line endings.
+ *
+ * Without an override, a file is decoded by its byte order mark (UTF-8, UTF-16LE/BE), else as
+ * UTF-16 when its NUL bytes alternate like UTF-16 text, else as UTF-8 when it is valid UTF-8,
+ * else as Windows-1252, the superset of Latin-1 that legacy Western files use. Files starting with
+ * a known magic number, other NUL bytes or many control characters are binary.
+ *
+ * Each line of the encoding: section in .flatten_ignore is `<glob> <encoding>`; the last matching
+ * line decides. The encoding is any WHATWG label Node knows (e.g. utf-16le, latin1, shift_jis,
+ * gbk), which skips detection and reads matching files as text, or `binary` to always skip them.
+ */
+
+// Bytes examined for magic numbers, NUL bytes and control characters
+const SNIFF_LENGTH = 8000;
+
+const BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' }
+];
+
+// Signatures of common binary formats; offset defaults to 0
+const MAGIC_NUMBERS = [
+  { name: 'PNG image', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { name: 'JPEG image', bytes: [0xFF, 0xD8, 0xFF] },
+  { name: 'GIF image', bytes: 'GIF8' },
+  { name: 'PDF document', bytes: '%PDF-' },
+  { name: 'ZIP archive', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { name: 'gzip archive', bytes: [0x1F, 0x8B] },
+  { name: '7z archive', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+  { name: 'RAR archive', bytes: 'Rar!\x1A\x07' },
+  { name: 'ELF executable', bytes: [0x7F, 0x45, 0x4C, 0x46] },
+  { name: 'Mach-O executable', bytes: [0xCF, 0xFA, 0xED, 0xFE] },
+  { name: 'Mach-O or Java class file', bytes: [0xCA, 0xFE, 0xBA, 0xBE] },
+  { name: 'WebAssembly module', bytes: [0x00, 0x61, 0x73, 0x6D] },
+  { name: 'SQLite database', bytes: 'SQLite format 3\x00' },
+  { name: 'WOFF font', bytes: 'wOFF' },
+  { name: 'WOFF2 font', bytes: 'wOF2' },
+  { name: 'RIFF media file', bytes: 'RIFF' },
+  { name: 'Ogg media file', bytes: 'OggS' },
+  { name: 'FLAC audio', bytes: 'fLaC' },
+  { name: 'MP3 audio', bytes: 'ID3' },
+  { name: 'MP4 media file', bytes: 'ftyp', offset: 4 }
+].map(magic => ({
+  ...magic,
+  bytes: typeof magic.bytes === 'string' ? [...magic.bytes].map(c => c.charCodeAt(0)) : magic.bytes
+}));
+
+const LEGACY_ENCODING = 'windows-1252';
+
+// Characters of Windows-1252 bytes 0x80-0x9F; some Node versions decode these as Latin-1 control characters
+const WINDOWS_1252_C1 = '€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8DŽ\x8F\x90‘’“”•–—˜™š›œ\x9DžŸ';
+
+/**
+ * Tells whether a buffer starts with the given bytes at an offset.
+ * @param {Buffer} buffer
+ * @param {number[]} bytes
+ * @param {number} [offset]
+ * @returns {boolean}
+ */
+function startsWithBytes(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+/**
+ * Returns the encoding given by a byte order mark.
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function detectBom(buffer) {
+  const bom = BOMS.find(candidate => startsWithBytes(buffer, candidate.bytes));
+  return bom ? bom.encoding : null;
+}
+
+/**
+ * Recognizes UTF-16 without a byte order mark: ASCII-range text has a NUL in every other byte.
+ * @param {Buffer} sample
+ * @returns {string|null} 'utf-16le', 'utf-16be' or null
+ */
+function detectUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) return null;
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < pairs * 2; i += 2) {
+    if (sample[i] === 0) evenNuls++;
+    if (sample[i + 1] === 0) oddNuls++;
+  }
+  if (oddNuls / pairs > 0.4 && evenNuls / pairs < 0.05) return 'utf-16le';
+  if (evenNuls / pairs > 0.4 && oddNuls / pairs < 0.05) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Tells why a buffer without a byte order mark looks binary.
+ * @param {Buffer} sample The start of the file
+ * @returns {string|null} The reason, or null for text
+ */
+function sniffBinary(sample) {
+  const magic = MAGIC_NUMBERS.find(candidate => startsWithBytes(sample, candidate.bytes, candidate.offset));
+  if (magic) return `binary file (${magic.name})`;
+  if (sample.includes(0)) return 'binary file (contains NUL bytes)';
+  // Control characters other than tab, line feed, vertical tab, form feed, carriage return and escape
+  let controls = 0;
+  for (const byte of sample) {
+    if (byte < 0x20 && !(byte >= 0x09 && byte <= 0x0D) && byte !== 0x1B) controls++;
+  }
+  return sample.length > 0 && controls / sample.length > 0.1 ? 'binary file (mostly control characters)' : null;
+}
+
+/**
+ * Tells whether a buffer is valid UTF-8.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Converts CRLF and lone CR line endings to LF.
+ * @param {string} content
+ * @returns {string}
+ */
+function normalizeLineEndings(content) {
+  return content.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Decodes file content, detecting binaries and the encoding unless one is given.
+ * @param {Buffer} buffer
+ * @param {string|null} [encoding] Override from the encoding: rules; 'binary' always skips
+ * @returns {{content: string, encoding: string, binary: string|null}} binary is the reason a file is
+ *   skipped, in which case content is empty; encoding is the canonical name of the one used
+ */
+function decodeContent(buffer, encoding = null) {
+  if (encoding === 'binary') {
+    return { content: '', encoding, binary: 'binary file (encoding: rule)' };
+  }
+  let detected = encoding || detectBom(buffer);
+  if (!detected) {
+    const sample = buffer.subarray(0, SNIFF_LENGTH);
+    detected = detectUtf16(sample);
+    if (!detected) {
+      const binary = sniffBinary(sample);
+      if (binary) return { content: '', encoding: 'binary', binary };
+      detected = isUtf8(buffer) ? 'utf-8' : LEGACY_ENCODING;
+    }
+  }
+  // Byte order marks matching the encoding are dropped
+  const decoder = new TextDecoder(detected);
+  let content = decoder.decode(buffer);
+  if (decoder.encoding === 'windows-1252') {
+    content = content.replace(/[\x80-\x9F]/g, c => WINDOWS_1252_C1[c.charCodeAt(0) - 0x80]);
+  }
+  return { content: normalizeLineEndings(content), encoding: decoder.encoding, binary: null };
+}
+
+/**
+ * Reads a file as text; see decodeContent.
+ * @param {string} filePath
+ * @param {string|null} [encoding]
+ * @returns {Promise<{content: string, encoding: string, binary: string|null}>}
+ */
+async function readTextFile(filePath, encoding = null) {
+  return decodeContent(await fs.readFile(filePath), encoding);
+}
+
+// ----- Rules -----
+
+/**
+ * Compiles the lines of an encoding: section.
+ * @param {string[]} [lines]
+ * @returns {{rules: Array<{matcher: Object, encoding: string}>, errors: string[]}}
+ */
+function compileEncodingRules(lines = []) {
+  const rules = [];
+  const errors = [];
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    const matcher = parts.length === 2 ? compileGlob(parts[0]) : null;
+    let encoding = parts.length === 2 ? parts[1].toLowerCase() : null;
+    try {
+      if (encoding && encoding !== 'binary') encoding = new TextDecoder(encoding).encoding;
+    } catch (_) {
+      encoding = null;
+    }
+    if (!matcher || matcher.negate || !encoding) {
+      errors.push(`Invalid encoding rule "${line}"`);
+      continue;
+    }
+    rules.push({ matcher, encoding });
+  }
+  return { rules, errors };
+}
+
+/**
+ * Returns the encoding override for a file: that of the last matching rule.
+ * @param {string} relative Path relative to the folder root, '/' separators
+ * @param {ReturnType<typeof compileEncodingRules>} encodings
+ * @returns {string|null} null if no rule matches
+ */
+function getEncodingOverride(relative, encodings) {
+  for (let i = encodings.rules.length - 1; i >= 0; i--) {
+    if (encodings.rules[i].matcher.test(relative)) return encodings.rules[i].encoding;
+  }
+  return null;
+}
+
+module.exports = {
+  decodeContent,
+  readTextFile,
+  normalizeLineEndings,
+  compileEncodingRules,
+  getEncodingOverride
+};
@@ -0,0 +1,387 @@
+const { getLanguageId, getFenceTag } = require('./languages');
+const { describeCompression } = require('./compress');
+
+/**
+ * Output formatters.
+ *
+ * Each formatter renders a list of processed files into a single document:
+ * - renderFile(file) returns the text a single file contributes, used for size budgeting
+ * - render({ tree, files, tokens, part, changes, redactions, compressed, downgrades, excluded }) returns the complete document
+ * Files have the shape { rel, content, stats, score, tokens } plus an optional
+ * segment { index, total, startLine, endLine } when a large file is split
+ * across output parts, optional status and diff in git-diff mode, an optional
+ * scoreBreakdown listing the { rule, points } behind the score (rendered by JSON), an
+ * optional compression listing the lib/compress modes that shortened the content and an
+ * optional encoding naming the encoding a file was transcoded from (XML and JSON), an optional
+ * language overriding the one inferred from the path and an optional unsaved flag for files
+ * read from an editor with unsaved changes.
+ * tokens is { tokenizer, total } for the whole output, part is { index, total, files }
+ * for multi-part output, changes is { base, staged, stat } in git-diff mode and
+ * redactions lists { path, total, counts } for files that had secrets replaced,
+ * compressed lists { path, modes } for compressed files, downgrades lists
+ * { path, level, tokens, originalTokens } for files reduced to fit the budget (level is
+ * 'compressed', 'skeleton' or 'tree' for a tree entry without content) and excluded lists
+ * { path, reason } for files and directories left out of the output.
+ */
+
+/**
+ * Builds the metadata record shared by the structured formats.
+ * @param {{rel: string, content: string, stats?: Object, score?: number}} file
+ * @returns {{path: string, size: number, score: number|null, tokens: number|null, mtime: string|null, language: string}}
+ */
+function getFileMetadata(file) {
+  const meta = {
+    path: file.rel,
+    size: file.stats ? file.stats.size : Buffer.byteLength(file.content, 'utf8'),
+    score: typeof file.score === 'number' ? file.score : null,
+    tokens: typeof file.tokens === 'number' ? file.tokens : null,
+    mtime: file.stats && file.stats.mtime ? new Date(file.stats.mtime).toISOString() : null,
+    language: file.language || getLanguageId(file.rel, file.content)
+  };
+  if (file.status) {
+    meta.status = file.status;
+  }
+  if (file.encoding) {
+    meta.encoding = file.encoding;
+  }
+  if (file.unsaved) {
+    meta.unsaved = true;
+  }
+  if (file.segment) {
+    meta.segment = `${file.segment.index}/${file.segment.total}`;
+    meta.lines = `${file.segment.startLine}-${file.segment.endLine}`;
+  }
+  return meta;
+}
+
+/**
+ * Describes which piece of a split file an entry holds, e.g. " (lines 1-200, segment 1/3)".
+ * @param {{segment?: {index: number, total: number, startLine: number, endLine: number}}} file
+ * @returns {string} Empty string for files that were not split
+ */
+function describeSegment(file) {
+  if (!file.segment) return '';
+  const { index, total, startLine, endLine } = file.segment;
+  return ` (lines ${startLine}-${endLine}, segment ${index}/${total})`;
+}
+
+/**
+ * Marks a compressed file, e.g. " [compressed: comments, whitespace]".
+ * @param {{compression?: string[]}} file
+ * @returns {string} Empty string for files that were not compressed
+ */
+function describeCompressionMarker(file) {
+  return file.compression ? ` [compressed: ${file.compression.join(', ')}]` : '';
+}
+
+/**
+ * Marks a file read from an editor with unsaved changes, for the txt and markdown headers.
+ * @param {{unsaved?: boolean}} file
+ * @returns {string}
+ */
+function describeUnsavedMarker(file) {
+  return file.unsaved ? ' [unsaved]' : '';
+}
+
+/**
+ * Explains the compression modes used across files, e.g. "skeleton (function bodies elided, ...)".
+ * @param {Array<{modes: string[]}>} compressed
+ * @returns {string}
+ */
+function describeCompressionModes(compressed) {
+  return describeCompression([...new Set(compressed.flatMap(c => c.modes))]);
+}
+
+/**
+ * Names the level a file was kept at after fitting the budget.
+ * @param {string} level 'compressed', 'skeleton' or 'tree'
+ * @returns {string}
+ */
+function describeLevel(level) {
+  return level === 'tree' ? 'tree only' : level;
+}
+
+/**
+ * Lays out the downgrade summary as a plain text table.
+ * @param {Array<{path: string, level: string, tokens: number, originalTokens: number}>} downgrades
+ * @returns {string}
+ */
+function formatDowngradeTable(downgrades) {
+  const rows = [['File', 'Kept as', 'Tokens'], ...downgrades.map(d => [d.path, describeLevel(d.level), `${d.originalTokens} -> ${d.tokens}`])];
+  const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => `${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`).join('\n');
+}
+
+/**
+ * Describes what a git-diff run compared, e.g. "working tree vs. main".
+ * @param {{base: string, staged?: boolean}} changes
+ * @returns {string}
+ */
+function describeChanges(changes) {
+  return `${changes.staged ? 'staged changes' : 'working tree'} vs. ${changes.base}`;
+}
+
+/**
+ * Lists the kinds of secrets redacted from a file, e.g. "aws-access-key x2, jwt".
+ * @param {{counts: Object<string, number>}} redaction
+ * @returns {string}
+ */
+function describeRedaction(redaction) {
+  return Object.entries(redaction.counts)
+    .map(([kind, count]) => (count > 1 ? `${kind} x${count}` : kind))
+    .join(', ');
+}
+
+/**
+ * Returns a backtick fence long enough not to collide with fences inside the content.
+ * @param {string} content
+ * @returns {string}
+ */
+function getFence(content) {
+  const runs = content.match(/`{3,}/g) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+  return '`'.repeat(longest + 1);
+}
+
+/**
+ * Escapes a string for use in an XML attribute value.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXmlAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Wraps text in a CDATA section, splitting any embedded terminators.
+ * @param {string} value
+ * @returns {string}
+ */
+function toCData(value) {
+  return `<![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+const txtFormatter = {
+  name: 'txt',
+  languageId: 'plaintext',
+  label: 'Plain text',
+  extension: '.txt',
+  renderFile(file) {
+    let output = `\n\n=== FILE: ${file.rel}${describeSegment(file)}${describeUnsavedMarker(file)}${describeCompressionMarker(file)} ===\n${file.content}`;
+    if (file.diff) {
+      output += `\n\n=== DIFF: ${file.rel} (${file.status}) ===\n${file.diff}`;
+    }
+    return output;
+  },
+  render({ tree, files, tokens, part, changes, redactions = [], compressed = [], downgrades = [], excluded = [] }) {
+    let output = '';
+    if (part) {
+      output += `=== Part ${part.index} of ${part.total} ===\nFiles in this part:\n${part.files.join('\n')}\n\n`;
+    }
+    if (tokens) {
+      output += `=== Total Tokens: ${tokens.total} (${tokens.tokenizer}) ===\n\n`;
+    }
+    if (changes) {
+      output += `=== Diffstat: ${describeChanges(changes)} ===\n${changes.stat}\n`;
+    }
+    output += `=== Directory Tree ===\n${tree}\n\n`;
+    if (redactions.length > 0) {
+      output += `=== Redacted Secrets ===\n${redactions.map(r => `${r.path}: ${r.total} (${describeRedaction(r)})`).join('\n')}\n\n`;
+    }
+    if (compressed.length > 0) {
+      output += `=== Compressed Files ===\n${compressed.map(c => `${c.path}: ${c.modes.join(', ')}`).join('\n')}\nModes: ${describeCompressionModes(compressed)}\n\n`;
+    }
+    if (downgrades.length > 0) {
+      output += `=== Downgraded to Fit the Token Budget ===\n${formatDowngradeTable(downgrades)}\n\n`;
+    }
+    if (excluded.length > 0) {
+      output += `=== Excluded Files ===\n${excluded.map(e => `${e.path}: ${e.reason}`).join('\n')}\n\n`;
+    }
+    return output + files.map(f => this.renderFile(f)).join('');
+  }
+};
+
+const markdownFormatter = {
+  name: 'markdown',
+  languageId: 'markdown',
+  label: 'Markdown',
+  extension: '.md',
+  renderFile(file) {
+    const fence = getFence(file.content);
+    let output = `\n\n## ${file.rel}${describeSegment(file)}${describeUnsavedMarker(file)}${describeCompressionMarker(file)}\n\n${fence}${getFenceTag(file.rel, file.content, file.language)}\n${file.content}\n${fence}\n`;
+    if (file.diff) {
+      const diffFence = getFence(file.diff);
+      output += `\nDiff (${file.status}):\n\n${diffFence}diff\n${file.diff}${diffFence}\n`;
+    }
+    return output;
+  },
+  render({ tree, files, tokens, part, changes, redactions = [], compressed = [], downgrades = [], excluded = [] }) {
+    let output = '';
+    if (part) {
+      output += `# Part ${part.index} of ${part.total}\n\nFiles in this part:\n\n`;
+      output += part.files.map(rel => `- \`${rel}\``).join('\n') + '\n\n';
+    }
+    output += '# Directory Tree\n\n';
+    if (tokens) {
+      output += `Total tokens: **${tokens.total}** (${tokens.tokenizer})\n\n`;
+    }
+    output += `\`\`\`text\n${tree}\`\`\`\n`;
+    if (changes) {
+      output += `\n# Diffstat (${describeChanges(changes)})\n\n\`\`\`text\n${changes.stat}\`\`\`\n`;
+    }
+    if (redactions.length > 0) {
+      output += '\n# Redacted Secrets\n\n';
+      output += redactions.map(r => `- \`${r.path}\`: ${r.total} (${describeRedaction(r)})`).join('\n') + '\n';
+    }
+    if (compressed.length > 0) {
+      output += '\n# Compressed Files\n\n';
+      output += compressed.map(c => `- \`${c.path}\`: ${c.modes.join(', ')}`).join('\n') + '\n';
+      output += `\nModes: ${describeCompressionModes(compressed)}\n`;
+    }
+    if (downgrades.length > 0) {
+      output += '\n# Downgraded to Fit the Token Budget\n\n| File | Kept as | Tokens |\n| --- | --- | --- |\n';
+      output += downgrades.map(d => `| \`${d.path}\` | ${describeLevel(d.level)} | ${d.originalTokens} → ${d.tokens} |`).join('\n') + '\n';
+    }
+    if (excluded.length > 0) {
+      output += '\n# Excluded Files\n\n';
+      output += excluded.map(e => `- \`${e.path}\`: ${e.reason}`).join('\n') + '\n';
+    }
+    output += '\n# Files\n';
+    return output + files.map(f => this.renderFile(f)).join('');
+  }
+};
+
+const xmlFormatter = {
+  name: 'xml',
+  languageId: 'xml',
+  label: 'XML tags',
+  extension: '.xml',
+  renderFile(file) {
+    const meta = getFileMetadata(file);
+    const segment = meta.segment ? ` segment="${meta.segment}" lines="${meta.lines}"` : '';
+    const tokens = meta.tokens !== null ? ` tokens="${meta.tokens}"` : '';
+    const status = meta.status ? ` status="${meta.status}"` : '';
+    const encoding = meta.encoding ? ` encoding="${meta.encoding}"` : '';
+    const unsaved = meta.unsaved ? ' unsaved="true"' : '';
+    const compression = file.compression ? ` compression="${file.compression.join(',')}"` : '';
+    const diff = file.diff ? `<diff>\n${toCData(file.diff)}\n</diff>\n` : '';
+    return `<file path="${escapeXmlAttribute(meta.path)}" language="${meta.language}"${tokens}${status}${encoding}${unsaved}${segment}${compression}>\n${toCData(file.content)}\n${diff}</file>\n`;
+  },
+  render({ tree, files, tokens, part, changes, redactions = [], compressed = [], downgrades = [], excluded = [] }) {
+    let output = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    output += part ? `<repository part="${part.index}" parts="${part.total}">\n` : '<repository>\n';
+    if (tokens) {
+      output += `<token_count tokenizer="${tokens.tokenizer}" total="${tokens.total}"/>\n`;
+    }
+    output += `<directory_tree>\n${toCData(tree)}\n</directory_tree>\n`;
+    if (changes) {
+      output += `<diffstat base="${escapeXmlAttribute(changes.base)}" staged="${Boolean(changes.staged)}">\n${toCData(changes.stat)}\n</diffstat>\n`;
+    }
+    if (redactions.length > 0) {
+      output += '<redactions>\n';
+      output += redactions.map(r => `<file path="${escapeXmlAttribute(r.path)}" count="${r.total}" kinds="${escapeXmlAttribute(describeRedaction(r))}"/>\n`).join('');
+      output += '</redactions>\n';
+    }
+    if (compressed.length > 0) {
+      output += `<compressed modes="${escapeXmlAttribute(describeCompressionModes(compressed))}">\n`;
+      output += compressed.map(c => `<file path="${escapeXmlAttribute(c.path)}" modes="${c.modes.join(',')}"/>\n`).join('');
+      output += '</compressed>\n';
+    }
+    if (downgrades.length > 0) {
+      output += '<downgraded reason="token budget">\n';
+      output += downgrades.map(d => `<file path="${escapeXmlAttribute(d.path)}" level="${d.level}" tokens="${d.tokens}" original_tokens="${d.originalTokens}"/>\n`).join('');
+      output += '</downgraded>\n';
+    }
+    if (excluded.length > 0) {
+      output += '<excluded>\n';
+      output += excluded.map(e => `<file path="${escapeXmlAttribute(e.path)}" reason="${escapeXmlAttribute(e.reason)}"/>\n`).join('');
+      output += '</excluded>\n';
+    }
+    output += files.map(f => this.renderFile(f)).join('');
+    return output + '</repository>\n';
+  }
+};
+
+const jsonFormatter = {
+  name: 'json',
+  languageId: 'json',
+  label: 'JSON manifest',
+  extension: '.json',
+  renderFile(file) {
+    // As the entry appears in the manifest: pretty-printed inside the files array
+    const entry = JSON.stringify(this.toEntry(file), null, 2).replace(/^/gm, '    ');
+    return `${entry},\n`;
+  },
+  toEntry(file) {
+    const entry = { ...getFileMetadata(file), content: file.content };
+    if (file.scoreBreakdown) entry.scoreBreakdown = file.scoreBreakdown;
+    if (file.compression) entry.compression = file.compression;
+    if (file.diff) entry.diff = file.diff;
+    return entry;
+  },
+  render({ tree, files, tokens, part, changes, redactions = [], compressed = [], downgrades = [], excluded = [] }) {
+    const manifest = {
+      generatedAt: new Date().toISOString(),
+      ...(part ? { part: part.index, parts: part.total } : {}),
+      ...(tokens ? { tokenizer: tokens.tokenizer, totalTokens: tokens.total } : {}),
+      ...(changes ? { changes: { base: changes.base, staged: Boolean(changes.staged), diffstat: changes.stat } } : {}),
+      tree,
+      ...(redactions.length > 0 ? { redactions: redactions.map(r => ({ path: r.path, count: r.total, kinds: r.counts })) } : {}),
+      ...(compressed.length > 0 ? { compressed, compressionModes: describeCompressionModes(compressed) } : {}),
+      ...(downgrades.length > 0 ? { downgraded: downgrades } : {}),
+      files: files.map(f => this.toEntry(f)),
+      ...(excluded.length > 0 ? { excluded } : {})
+    };
+    return JSON.stringify(manifest, null, 2) + '\n';
+  }
+};
+
+/**
+ * Registered formatters, keyed by name.
+ */
+const FORMATTERS = {
+  txt: txtFormatter,
+  markdown: markdownFormatter,
+  xml: xmlFormatter,
+  json: jsonFormatter
+};
+
+/**
+ * Alternative names accepted in settings.
+ */
+const FORMAT_ALIASES = {
+  text: 'txt',
+  plain: 'txt',
+  md: 'markdown'
+};
+
+/**
+ * Looks up a formatter by name or alias.
+ * @param {string} [name]
+ * @returns {Object|null} null if the name is not a known format
+ */
+function getFormatter(name) {
+  if (!name) return FORMATTERS.txt;
+  const key = String(name).trim().toLowerCase();
+  return FORMATTERS[FORMAT_ALIASES[key] || key] || null;
+}
+
+/**
+ * Registers an additional formatter, replacing any existing one with the same name.
+ * @param {{name: string, label: string, extension: string, languageId: string, renderFile: Function, render: Function}} formatter
+ */
+function registerFormatter(formatter) {
+  FORMATTERS[formatter.name] = formatter;
+}
+
+module.exports = {
+  FORMATTERS,
+  getFormatter,
+  registerFormatter,
+  getFileMetadata,
+  formatDowngradeTable
+};
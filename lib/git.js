@@ -0,0 +1,177 @@
+const { execFile } = require('child_process');
+
+/**
+ * Thin wrappers around the local git binary. Nothing here touches the network.
+ * All paths are relative to the directory git runs in (usually a workspace folder).
+ */
+
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Runs git with the given arguments.
+ * @param {string} cwd
+ * @param {string[]} args
+ * @param {{allowExitCodes?: number[]}} [options] Exit codes other than 0 that are not errors
+ * @returns {Promise<string>} stdout
+ */
+function runGit(cwd, args, options = {}) {
+  const allowExitCodes = options.allowExitCodes || [];
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: MAX_BUFFER, windowsHide: true }, (error, stdout, stderr) => {
+      if (error && !allowExitCodes.includes(error.code)) {
+        const message = (stderr || error.message).trim();
+        reject(new Error(`git ${args[0]} failed: ${message}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Returns true if the directory is inside a git work tree.
+ * @param {string} cwd
+ * @returns {Promise<boolean>}
+ */
+async function isGitRepository(cwd) {
+  try {
+    return (await runGit(cwd, ['rev-parse', '--is-inside-work-tree'])).trim() === 'true';
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Lists local and remote-tracking branches, most recently committed first.
+ * @param {string} cwd
+ * @returns {Promise<string[]>}
+ */
+async function listBranches(cwd) {
+  const output = await runGit(cwd, [
+    'for-each-ref',
+    '--sort=-committerdate',
+    '--format=%(refname:short)',
+    'refs/heads',
+    'refs/remotes'
+  ]);
+  return output.split('\n').map(line => line.trim()).filter(line => line && !line.endsWith('/HEAD'));
+}
+
+/**
+ * Resolves a user-supplied ref to the commit it names.
+ * @param {string} cwd
+ * @param {string} ref Branch, tag, commit or any other revision
+ * @returns {Promise<string|null>} The commit hash, null if the ref does not name a commit here
+ */
+async function resolveCommit(cwd, ref) {
+  // --end-of-options keeps a ref starting with '-' from being read as an option
+  const output = await runGit(cwd, ['rev-parse', '--verify', '--quiet', '--end-of-options', `${ref}^{commit}`], { allowExitCodes: [1] });
+  return output.trim() || null;
+}
+
+/**
+ * Returns the diff arguments comparing the working tree or the index with a base ref.
+ * @param {string} base
+ * @param {boolean} staged
+ * @param {string[]} [options] More options for git diff, which must come before the ref
+ * @returns {string[]}
+ */
+function diffArgs(base, staged, options = []) {
+  return ['diff', ...(staged ? ['--cached'] : []), '--relative', ...options, '--end-of-options', base];
+}
+
+/**
+ * Lists files changed between the working tree (or the index) and a base ref.
+ * In working tree mode untracked files that are not ignored count as added.
+ * @param {string} cwd
+ * @param {{base: string, staged?: boolean}} options
+ * @returns {Promise<Array<{path: string, status: string, oldPath?: string, untracked?: boolean}>>}
+ *   status is one of 'added', 'modified', 'deleted', 'renamed', 'copied' or 'typechange'
+ */
+async function getChangedFiles(cwd, { base, staged = false }) {
+  const statusNames = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'copied', T: 'typechange' };
+  const output = await runGit(cwd, diffArgs(base, staged, ['-M', '--name-status', '-z']));
+  const fields = output.split('\0');
+  const changes = [];
+  for (let i = 0; i < fields.length - 1;) {
+    const code = fields[i++].charAt(0);
+    if (code === 'R' || code === 'C') {
+      const oldPath = fields[i++];
+      changes.push({ path: fields[i++], status: statusNames[code], oldPath });
+    } else if (statusNames[code]) {
+      changes.push({ path: fields[i++], status: statusNames[code] });
+    } else {
+      i++;
+    }
+  }
+
+  if (!staged) {
+    const untracked = await runGit(cwd, ['ls-files', '--others', '--exclude-standard', '-z']);
+    untracked.split('\0').filter(Boolean).forEach(file => changes.push({ path: file, status: 'added', untracked: true }));
+  }
+  return changes;
+}
+
+/**
+ * Returns the unified diff of one changed file.
+ * @param {string} cwd
+ * @param {{path: string, status: string, oldPath?: string, untracked?: boolean}} change
+ * @param {{base: string, staged?: boolean}} options
+ * @returns {Promise<string>}
+ */
+async function getFileDiff(cwd, change, { base, staged = false }) {
+  if (change.untracked) {
+    // --no-index exits with 1 when the files differ, which they always do here
+    return runGit(cwd, ['diff', '--no-index', '--', '/dev/null', change.path], { allowExitCodes: [1] });
+  }
+  const paths = change.oldPath ? [change.oldPath, change.path] : [change.path];
+  return runGit(cwd, [...diffArgs(base, staged, ['-M']), '--', ...paths]);
+}
+
+/**
+ * Returns the diffstat summary between the working tree (or the index) and a base ref.
+ * Untracked files are not part of git's diffstat.
+ * @param {string} cwd
+ * @param {{base: string, staged?: boolean}} options
+ * @returns {Promise<string>}
+ */
+async function getDiffStat(cwd, { base, staged = false }) {
+  return runGit(cwd, diffArgs(base, staged, ['--stat=120']));
+}
+
+/**
+ * Returns when each file was last committed and how many commits touched it,
+ * looking at the most recent commits only.
+ * @param {string} cwd
+ * @param {{maxCommits?: number}} [options]
+ * @returns {Promise<Map<string, {lastCommit: Date, commits: number}>>} Keyed by path relative to cwd
+ */
+async function getFileHistory(cwd, { maxCommits = 1000 } = {}) {
+  const output = await runGit(cwd, ['log', '-n', String(maxCommits), '--format=%x01%ct', '--name-only', '--no-renames', '-z', '--relative']);
+  const history = new Map();
+  // Each commit is \x01<timestamp>\0 followed by its file names, newest commit first
+  for (const commit of output.split('\x01').slice(1)) {
+    const [timestamp, ...files] = commit.split('\0');
+    const lastCommit = new Date(Number(timestamp) * 1000);
+    for (const file of files.map(f => f.replace(/^\n/, '')).filter(Boolean)) {
+      const entry = history.get(file);
+      if (entry) {
+        entry.commits++;
+      } else {
+        history.set(file, { lastCommit, commits: 1 });
+      }
+    }
+  }
+  return history;
+}
+
+module.exports = {
+  runGit,
+  isGitRepository,
+  listBranches,
+  resolveCommit,
+  getChangedFiles,
+  getFileDiff,
+  getDiffStat,
+  getFileHistory
+};
@@ -0,0 +1,181 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { segmentToRegex } = require('./glob');
+
+// ----- Pattern Compilation -----
+
+/**
+ * Parses one line of a .gitignore file into a rule.
+ * Returns null for blank lines and comments.
+ * @param {string} rawLine
+ * @returns {{pattern: string, negate: boolean, dirOnly: boolean, regex: RegExp}|null}
+ */
+function parseGitIgnoreLine(rawLine) {
+  // Trailing whitespace is ignored unless escaped with a backslash.
+  let line = rawLine.replace(/\r$/, '').replace(/(^|[^\\])\s+$/, '$1');
+  if (line === '' || line.startsWith('#')) return null;
+
+  let negate = false;
+  if (line.startsWith('!')) {
+    negate = true;
+    line = line.slice(1);
+  }
+
+  let dirOnly = false;
+  if (line.endsWith('/')) {
+    dirOnly = true;
+    line = line.replace(/\/+$/, '');
+  }
+  if (line === '') return null;
+
+  // A slash at the beginning or middle anchors the pattern to the .gitignore's directory.
+  const anchored = line.includes('/');
+  if (line.startsWith('/')) line = line.slice(1);
+
+  const segments = line.split('/');
+  let source = '';
+  segments.forEach((seg, index) => {
+    const isLast = index === segments.length - 1;
+    if (seg === '**') {
+      source += isLast ? '.*' : '(?:.*/)?';
+    } else {
+      source += segmentToRegex(seg) + (isLast ? '' : '/');
+    }
+  });
+
+  const regex = new RegExp((anchored ? '^' : '^(?:.*/)?') + source + '$');
+  return { pattern: rawLine.trim(), negate, dirOnly, regex };
+}
+
+/**
+ * Parses the full contents of a .gitignore (or .git/info/exclude) file.
+ * @param {string} content
+ * @returns {Array<{pattern: string, negate: boolean, dirOnly: boolean, regex: RegExp}>}
+ */
+function parseGitIgnore(content) {
+  return content
+    .split('\n')
+    .map(parseGitIgnoreLine)
+    .filter(rule => rule !== null);
+}
+
+// ----- Matcher -----
+
+const NO_MATCH = { ignored: false, pattern: null, source: null };
+
+/**
+ * Evaluates paths against the .gitignore files of a repository.
+ *
+ * Rules are loaded per directory as the tree is walked, so nested .gitignore
+ * files only apply beneath the directory that contains them. Within and across
+ * files the last matching rule wins, with deeper files taking precedence over
+ * shallower ones and .git/info/exclude having the lowest precedence.
+ * Paths passed in are relative to the root and use '/' as separator.
+ */
+class GitIgnoreMatcher {
+  /**
+   * @param {string} rootPath
+   */
+  constructor(rootPath) {
+    this.rootPath = rootPath;
+    this.excludeRules = [];
+    this.rulesByDir = new Map();
+  }
+
+  /**
+   * Loads .git/info/exclude and the root .gitignore.
+   * @returns {Promise<GitIgnoreMatcher>}
+   */
+  async init() {
+    this.excludeRules = await this._readRules(path.join(this.rootPath, '.git', 'info', 'exclude'));
+    await this.loadDirectory('');
+    return this;
+  }
+
+  /**
+   * Loads the .gitignore of a directory (relative to the root), if any.
+   * Safe to call more than once for the same directory.
+   * @param {string} relDir
+   */
+  async loadDirectory(relDir) {
+    if (this.rulesByDir.has(relDir)) return;
+    const filePath = path.join(this.rootPath, ...relDir.split('/').filter(Boolean), '.gitignore');
+    this.rulesByDir.set(relDir, await this._readRules(filePath));
+  }
+
+  /**
+   * Loads the .gitignore files of every directory above a path (relative to the root).
+   * Needed for paths that are reached without walking the tree from the root.
+   * @param {string} relPath
+   */
+  async loadAncestors(relPath) {
+    const parts = relPath.split('/').filter(Boolean);
+    let base = '';
+    await this.loadDirectory(base);
+    for (let i = 0; i < parts.length - 1; i++) {
+      base = base ? `${base}/${parts[i]}` : parts[i];
+      await this.loadDirectory(base);
+    }
+  }
+
+  /**
+   * Returns true if the given path is ignored by the loaded rules.
+   * Only the path itself is tested; callers walking the tree top-down
+   * never reach children of ignored directories.
+   * @param {string} relPath
+   * @param {boolean} isDirectory
+   * @returns {boolean}
+   */
+  isIgnored(relPath, isDirectory) {
+    return this.explain(relPath, isDirectory).ignored;
+  }
+
+  /**
+   * Like isIgnored, but also returns the rule that decided and the ignore file it came from.
+   * @param {string} relPath
+   * @param {boolean} isDirectory
+   * @returns {{ignored: boolean, pattern: string|null, source: string|null}}
+   *   source is relative to the root, e.g. 'src/.gitignore' or '.git/info/exclude'
+   */
+  explain(relPath, isDirectory) {
+    let decision = this._applyRules(this.excludeRules, relPath, isDirectory, NO_MATCH, '.git/info/exclude');
+
+    const parts = relPath.split('/');
+    let base = '';
+    for (let i = 0; i < parts.length; i++) {
+      const rules = this.rulesByDir.get(base);
+      if (rules && rules.length) {
+        const subPath = base ? relPath.slice(base.length + 1) : relPath;
+        decision = this._applyRules(rules, subPath, isDirectory, decision, base ? `${base}/.gitignore` : '.gitignore');
+      }
+      base = base ? `${base}/${parts[i]}` : parts[i];
+    }
+    return decision;
+  }
+
+  _applyRules(rules, subPath, isDirectory, current, source) {
+    let decision = current;
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.regex.test(subPath)) {
+        decision = { ignored: !rule.negate, pattern: rule.pattern, source };
+      }
+    }
+    return decision;
+  }
+
+  async _readRules(filePath) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      return parseGitIgnore(content);
+    } catch (_) {
+      // Missing ignore files are the common case.
+      return [];
+    }
+  }
+}
+
+module.exports = {
+  GitIgnoreMatcher,
+  parseGitIgnore
+};
@@ -0,0 +1,285 @@
+/**
+ * Glob matching with gitignore-like semantics, used for every .flatten_ignore pattern.
+ *
+ * - '*' and '?' match within a path segment, '**' matches across segments
+ * - '[abc]', '[a-z]' and '[!abc]' character classes, '\' escapes
+ * - '{js,ts}' brace alternatives, which may be nested
+ * - a pattern without a slash matches a file or directory name at any depth;
+ *   a leading or middle slash anchors it to the root ('/generated/**', 'docs/api')
+ * - a trailing slash matches directories only; 'dir/**' is treated as 'dir/'
+ * - a pattern that matches a directory also matches everything inside it
+ * - a leading '!' negates the pattern, see matchesGlobs
+ * Paths are relative to the root; backslashes are treated as separators.
+ */
+
+// ----- Pattern Compilation -----
+
+/**
+ * Escapes a literal character for use inside a regular expression.
+ * @param {string} ch
+ * @returns {string}
+ */
+function escapeRegex(ch) {
+  return ch.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+}
+
+/**
+ * Converts a single path segment of a pattern to a regex source string.
+ * Handles '*', '?', bracket expressions ('[abc]', '[!a-z]') and backslash escapes.
+ * @param {string} segment
+ * @returns {string}
+ */
+function segmentToRegex(segment) {
+  let out = '';
+  for (let i = 0; i < segment.length; i++) {
+    const ch = segment[i];
+    if (ch === '\\' && i + 1 < segment.length) {
+      out += escapeRegex(segment[++i]);
+    } else if (ch === '*') {
+      // Consecutive stars inside a segment behave like one
+      while (segment[i + 1] === '*') i++;
+      out += '[^/]*';
+    } else if (ch === '?') {
+      out += '[^/]';
+    } else if (ch === '[') {
+      const close = segment.indexOf(']', i + 2);
+      if (close === -1) {
+        out += '\\[';
+        continue;
+      }
+      let body = segment.slice(i + 1, close);
+      if (body.startsWith('!') || body.startsWith('^')) {
+        body = '^' + body.slice(1);
+      }
+      out += '[' + body.replace(/\\/g, '\\\\') + ']';
+      i = close;
+    } else {
+      out += escapeRegex(ch);
+    }
+  }
+  return out;
+}
+
+/**
+ * Splits a string on a separator that is not nested in braces or escaped.
+ * @param {string} value
+ * @param {string} separator
+ * @returns {string[]}
+ */
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === '\\' && i + 1 < value.length) {
+      current += ch + value[++i];
+      continue;
+    }
+    if (ch === '{') depth++;
+    if (ch === '}') depth--;
+    if (ch === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Expands brace alternatives, e.g. 'src/*.{js,ts}' into 'src/*.js' and 'src/*.ts'.
+ * Braces without a comma are kept literally.
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+function expandBraces(pattern) {
+  let depth = 0;
+  let start = -1;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+      if (depth > 0) continue;
+      const alternatives = splitTopLevel(pattern.slice(start + 1, i), ',');
+      if (alternatives.length < 2) continue;
+      const before = pattern.slice(0, start);
+      const after = pattern.slice(i + 1);
+      return alternatives.flatMap(alt => expandBraces(before + alt + after));
+    }
+  }
+  return [pattern];
+}
+
+/**
+ * Compiles one brace-free pattern body into a regex that matches the path itself,
+ * capturing any remainder below it in group 1, plus what couldMatchBeneath needs.
+ * @param {string} body Pattern without negation or trailing slash
+ * @param {boolean} [anchored] Whether the pattern had a slash before its trailing part was removed
+ * @returns {{regex: RegExp, anchored: boolean, segments: Array<RegExp|string>}}
+ *   segments holds one regex per path segment, or '**'
+ */
+function compileBody(body, anchored = false) {
+  // A slash at the beginning or middle anchors the pattern to the root
+  anchored = anchored || body.includes('/');
+  const segments = body.replace(/^\//, '').split('/');
+
+  let source = '';
+  segments.forEach((seg, index) => {
+    const isLast = index === segments.length - 1;
+    if (seg === '**') {
+      source += isLast ? '.*' : '(?:.*/)?';
+    } else {
+      source += segmentToRegex(seg) + (isLast ? '' : '/');
+    }
+  });
+  return {
+    regex: new RegExp((anchored ? '^' : '^(?:.*/)?') + source + '(/.*)?$'),
+    anchored,
+    segments: segments.map(seg => (seg === '**' ? seg : new RegExp(`^${segmentToRegex(seg)}$`)))
+  };
+}
+
+/**
+ * Returns true if a compiled pattern body could match a path below a directory.
+ * Patterns without a slash match names at any depth, so they always could.
+ * @param {{anchored: boolean, segments: Array<RegExp|string>}} compiled
+ * @param {string[]} dirParts Segments of the directory path
+ * @returns {boolean}
+ */
+function couldMatchBelow(compiled, dirParts) {
+  if (!compiled.anchored) return true;
+  for (let i = 0; i < dirParts.length; i++) {
+    // Matching the directory or one of its ancestors covers everything inside
+    if (i >= compiled.segments.length) return true;
+    const seg = compiled.segments[i];
+    if (seg === '**') return true;
+    if (!seg.test(dirParts[i])) return false;
+  }
+  return true;
+}
+
+/**
+ * Normalizes a relative path for matching: '/' separators, no leading './' or slashes.
+ * @param {string} relPath
+ * @returns {string}
+ */
+function normalizePath(relPath) {
+  return relPath.replace(/\\/g, '/').replace(/^(?:\.\/)+/, '').replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Compiles a pattern into a reusable matcher.
+ * @param {string} pattern
+ * @returns {{pattern: string, negate: boolean, dirOnly: boolean, test: (relPath: string, isDirectory?: boolean) => boolean, couldMatchBeneath: (dirPath: string) => boolean}|null}
+ *   null for blank patterns. couldMatchBeneath tells whether a path inside the directory could match,
+ *   so that directory walks only skip directories when nothing inside them can match.
+ */
+function compileGlob(pattern) {
+  let body = pattern.trim();
+  let negate = false;
+  if (body.startsWith('!')) {
+    negate = true;
+    body = body.slice(1);
+  } else if (body.startsWith('\\!')) {
+    body = body.slice(1);
+  }
+
+  let dirOnly = false;
+  if (body.endsWith('/')) {
+    dirOnly = true;
+    body = body.replace(/\/+$/, '');
+  }
+  // 'dir/**' matches what 'dir/' matches, still anchored; a directory can then be skipped as a whole
+  const anchored = /.\/\*\*$/.test(body);
+  if (anchored) {
+    dirOnly = true;
+    body = body.slice(0, -3);
+  }
+  if (body === '' || body === '/') return null;
+
+  const alternatives = expandBraces(body).map(alt => compileBody(alt, anchored));
+  return {
+    pattern,
+    negate,
+    dirOnly,
+    test(relPath, isDirectory = false) {
+      const normalized = normalizePath(relPath);
+      return alternatives.some(({ regex }) => {
+        const match = regex.exec(normalized);
+        if (!match) return false;
+        // A match on an ancestor directory always counts; on the path itself only if it fits dirOnly
+        return match[1] !== undefined || !dirOnly || isDirectory;
+      });
+    },
+    couldMatchBeneath(dirPath) {
+      const dirParts = normalizePath(dirPath).split('/').filter(Boolean);
+      return alternatives.some(compiled => couldMatchBelow(compiled, dirParts));
+    }
+  };
+}
+
+/**
+ * Turns a relative path into a pattern that matches exactly that path from the root,
+ * escaping glob characters and the comment character of .flatten_ignore.
+ * @param {string} relPath
+ * @returns {string} e.g. '/src/\[id\].js' for 'src/[id].js'
+ */
+function toLiteralPattern(relPath) {
+  return '/' + normalizePath(relPath).replace(/[*?[\]{}!#\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a list of patterns, skipping blank ones.
+ * @param {string[]} patterns
+ * @returns {Array<ReturnType<typeof compileGlob>>}
+ */
+function compileGlobs(patterns) {
+  return patterns.map(compileGlob).filter(Boolean);
+}
+
+/**
+ * Evaluates a path against a list of matchers. The last matching pattern wins,
+ * so a later '!pattern' takes back paths matched by earlier patterns.
+ * @param {Array<ReturnType<typeof compileGlob>>} matchers
+ * @param {string} relPath
+ * @param {boolean} [isDirectory]
+ * @returns {boolean}
+ */
+function matchesGlobs(matchers, relPath, isDirectory = false) {
+  const decisive = findLastMatch(matchers, relPath, isDirectory);
+  return decisive !== null && !decisive.negate;
+}
+
+/**
+ * Returns the last matcher that matches a path, i.e. the one that decides matchesGlobs.
+ * @param {Array<ReturnType<typeof compileGlob>>} matchers
+ * @param {string} relPath
+ * @param {boolean} [isDirectory]
+ * @returns {ReturnType<typeof compileGlob>|null}
+ */
+function findLastMatch(matchers, relPath, isDirectory = false) {
+  for (let i = matchers.length - 1; i >= 0; i--) {
+    if (matchers[i].test(relPath, isDirectory)) return matchers[i];
+  }
+  return null;
+}
+
+module.exports = {
+  compileGlob,
+  compileGlobs,
+  matchesGlobs,
+  findLastMatch,
+  expandBraces,
+  normalizePath,
+  toLiteralPattern,
+  segmentToRegex,
+  escapeRegex
+};
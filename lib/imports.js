@@ -0,0 +1,246 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Import graph for dependency-aware file selection.
+ *
+ * Parses require(), import, import() and export ... from in JS/TS and import / from ... import
+ * in Python, resolves the specifiers to files (relative paths, tsconfig/jsconfig baseUrl and
+ * paths aliases, Python packages), and measures how many imports away each file is from an entry file.
+ * Package imports that do not resolve to a file in the project are ignored.
+ */
+
+const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+const PYTHON_EXTENSIONS = ['.py', '.pyi'];
+
+// Extensions tried, in order, for a JS/TS specifier without one
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+
+// ----- Parsing -----
+
+/**
+ * Removes comments from JS/TS or JSONC source, leaving string literals intact.
+ * @param {string} source
+ * @returns {string}
+ */
+function stripComments(source) {
+  return source.replace(/("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g,
+    (match, literal) => literal || (match.startsWith('/*') ? match.replace(/[^\n]/g, '') : ''));
+}
+
+/**
+ * Returns the modules a JS/TS file imports, as written.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function parseJsImports(content) {
+  const source = stripComments(content);
+  const patterns = [
+    // import x from 'a', import { y } from 'a', import type T from 'a', import 'a'
+    /\bimport\s+(?:[\w$*{}\s,]+?\s+from\s+)?['"]([^'"\n]+)['"]/g,
+    // export * from 'a', export { y } from 'a'
+    /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s+from\s+['"]([^'"\n]+)['"]/g,
+    // require('a'), import('a')
+    /\b(?:require|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g
+  ];
+  const specifiers = new Set();
+  for (const pattern of patterns) {
+    for (const match of source.matchAll(pattern)) {
+      specifiers.add(match[1]);
+    }
+  }
+  return [...specifiers];
+}
+
+/**
+ * Returns the modules a Python file imports, in dotted form with leading dots for relative
+ * imports. 'from a import b' yields both 'a' and 'a.b', since b may be a submodule.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function parsePythonImports(content) {
+  const specifiers = new Set();
+  const source = content.replace(/#[^\n]*/g, '');
+  for (const match of source.matchAll(/^[ \t]*from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n]+)/gm)) {
+    const [, dots, module, names] = match;
+    const base = dots + module;
+    if (module) specifiers.add(base);
+    names.replace(/[()\\]/g, ' ').split(',').forEach(name => {
+      const imported = name.trim().split(/\s+/)[0];
+      if (imported && imported !== '*') {
+        specifiers.add(module ? `${base}.${imported}` : `${dots}${imported}`);
+      }
+    });
+    if (!module) specifiers.add(dots);
+  }
+  for (const match of source.matchAll(/^[ \t]*import[ \t]+([^\n]+)/gm)) {
+    match[1].split(',').forEach(name => {
+      const module = name.trim().split(/\s+/)[0];
+      if (/^[\w.]+$/.test(module)) specifiers.add(module);
+    });
+  }
+  return [...specifiers];
+}
+
+/**
+ * Returns the modules a file imports, picking the parser from its extension.
+ * @param {string} content
+ * @param {string} fileName
+ * @returns {string[]} Empty for languages without a parser
+ */
+function parseImports(content, fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  if (JS_EXTENSIONS.includes(ext)) return parseJsImports(content);
+  if (PYTHON_EXTENSIONS.includes(ext)) return parsePythonImports(content);
+  return [];
+}
+
+// ----- Resolution -----
+
+/**
+ * Reads baseUrl and paths aliases from tsconfig.json, else jsconfig.json, in the root.
+ * Comments and trailing commas are allowed; "extends" is not followed.
+ * @param {string} rootPath
+ * @returns {Promise<{baseUrl: string|null, paths: Array<{pattern: string, targets: string[]}>}>}
+ *   Absolute baseUrl and target patterns
+ */
+async function loadPathAliases(rootPath) {
+  for (const name of ['tsconfig.json', 'jsconfig.json']) {
+    let config;
+    try {
+      const content = await fs.readFile(path.join(rootPath, name), 'utf8');
+      config = JSON.parse(stripComments(content).replace(/,(\s*[}\]])/g, '$1'));
+    } catch (_) {
+      continue;
+    }
+    const options = (config && config.compilerOptions) || {};
+    const baseUrl = typeof options.baseUrl === 'string' ? path.resolve(rootPath, options.baseUrl) : null;
+    const paths = Object.entries(options.paths || {})
+      .filter(([, targets]) => Array.isArray(targets))
+      .map(([pattern, targets]) => ({ pattern, targets: targets.map(t => path.resolve(baseUrl || rootPath, t)) }));
+    return { baseUrl, paths };
+  }
+  return { baseUrl: null, paths: [] };
+}
+
+/**
+ * Returns the first existing file a JS/TS module path refers to: the path itself, with an
+ * added extension, a .ts source for a .js specifier, or an index file in the directory.
+ * @param {string} base Absolute path without resolution applied
+ * @param {(fullPath: string) => boolean} exists
+ * @returns {string|null}
+ */
+function resolveJsFile(base, exists) {
+  const tries = [base, ...RESOLVE_EXTENSIONS.map(ext => base + ext)];
+  // TypeScript projects import compiled names: './a.js' refers to './a.ts'
+  const jsExt = path.extname(base).match(/^\.([mc]?)jsx?$/);
+  if (jsExt) {
+    const stem = base.slice(0, -path.extname(base).length);
+    tries.push(`${stem}.${jsExt[1]}ts`, `${stem}.tsx`);
+  }
+  tries.push(...RESOLVE_EXTENSIONS.map(ext => path.join(base, `index${ext}`)));
+  return tries.find(exists) || null;
+}
+
+/**
+ * Resolves an import specifier to a project file.
+ * @param {string} specifier As returned by parseImports
+ * @param {string} fromFile Absolute path of the importing file
+ * @param {{rootPath: string, aliases?: {baseUrl: string|null, paths: Array<{pattern: string, targets: string[]}>}, exists: (fullPath: string) => boolean}} options
+ *   exists decides which files count, e.g. only those that pass the ignore rules
+ * @returns {string|null} Absolute path, or null for packages and unknown modules
+ */
+function resolveImport(specifier, fromFile, options) {
+  const { rootPath, aliases = { baseUrl: null, paths: [] }, exists } = options;
+  const fromDir = path.dirname(fromFile);
+
+  if (PYTHON_EXTENSIONS.includes(path.extname(fromFile).toLowerCase())) {
+    const [, dots, module] = specifier.match(/^(\.*)(.*)$/);
+    // Relative imports start in the file's package, one level up per extra dot; absolute
+    // imports from the root or a src/ layout
+    const bases = dots
+      ? [path.resolve(fromDir, ...Array(dots.length - 1).fill('..'))]
+      : [rootPath, path.join(rootPath, 'src')];
+    const parts = module ? module.split('.') : [];
+    for (const base of bases) {
+      const modulePath = path.join(base, ...parts);
+      // 'from . import x' names the package itself
+      const tries = parts.length > 0
+        ? [`${modulePath}.py`, `${modulePath}.pyi`, path.join(modulePath, '__init__.py')]
+        : [path.join(modulePath, '__init__.py')];
+      const found = tries.find(exists);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  if (specifier.startsWith('.')) {
+    return resolveJsFile(path.resolve(fromDir, specifier), exists);
+  }
+  for (const { pattern, targets } of aliases.paths) {
+    const star = pattern.indexOf('*');
+    let rest = null;
+    if (star === -1) {
+      if (specifier === pattern) rest = '';
+    } else {
+      const prefix = pattern.slice(0, star);
+      const suffix = pattern.slice(star + 1);
+      if (specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length) {
+        rest = specifier.slice(prefix.length, specifier.length - suffix.length);
+      }
+    }
+    if (rest === null) continue;
+    for (const target of targets) {
+      const resolved = resolveJsFile(target.replace('*', rest), exists);
+      if (resolved) return resolved;
+    }
+  }
+  if (aliases.baseUrl) {
+    return resolveJsFile(path.resolve(aliases.baseUrl, specifier), exists);
+  }
+  return null;
+}
+
+// ----- Graph -----
+
+/**
+ * Walks the import graph breadth-first from an entry file and returns each reachable
+ * file's distance, i.e. the fewest imports needed to get there. Only files accepted by
+ * exists are followed; files that cannot be read are reported to onWarning and not followed further.
+ * @param {string} entryFile Absolute path
+ * @param {{rootPath: string, aliases?: Object, exists: (fullPath: string) => boolean, onWarning?: (message: string) => void}} options See resolveImport
+ * @returns {Promise<Map<string, number>>} Files in breadth-first order, the entry file at distance 0
+ */
+async function getImportDistances(entryFile, options) {
+  const { onWarning = () => {} } = options;
+  const distances = new Map([[entryFile, 0]]);
+  let frontier = [entryFile];
+  for (let distance = 1; frontier.length > 0; distance++) {
+    const next = [];
+    for (const file of frontier) {
+      let content;
+      try {
+        content = await fs.readFile(file, 'utf8');
+      } catch (err) {
+        onWarning(`Could not read ${file} for imports: ${err.message}`);
+        continue;
+      }
+      for (const specifier of parseImports(content, file)) {
+        const resolved = resolveImport(specifier, file, options);
+        if (resolved && !distances.has(resolved)) {
+          distances.set(resolved, distance);
+          next.push(resolved);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return distances;
+}
+
+module.exports = {
+  parseImports,
+  loadPathAliases,
+  resolveImport,
+  getImportDistances
+};
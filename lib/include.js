@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { compileGlob } = require('./glob');
+const { EXTENSION_LANGUAGES, getLanguageId, getShebangLanguage } = require('./languages');
+
+/**
+ * Decides which files a run includes, once they pass the ignore rules.
+ *
+ * Entries of the includeExtensions list are read as:
+ * - '.ts'               an extension; entries like '.gitignore' also match dotfiles of that name
+ * - 'Dockerfile'        an exact file name at any depth
+ * - '*.config.js'       a file name glob, or a path glob when it contains a slash (see lib/glob)
+ * Languages are VS Code language identifiers such as 'typescript', 'python' or 'dockerfile',
+ * matched by extension and by well-known file names (see lib/languages).
+ * Files without an extension are also included when their shebang line names an interpreter
+ * of an included language, e.g. '#!/bin/bash' when '.sh' or 'shellscript' is included.
+ */
+
+const GLOB_CHARS = /[*?[{]/;
+
+// Bytes read from extensionless files to find a shebang line
+const SHEBANG_LENGTH = 256;
+
+/**
+ * Parses a list setting from .flatten_ignore, e.g. '[typescript, python]' or 'typescript python'.
+ * @param {string|number|undefined} value
+ * @returns {string[]}
+ */
+function parseListSetting(value) {
+  if (value === undefined || value === null) return [];
+  return String(value).replace(/^\[|\]$/g, '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Compiles the inclusion rules of a run.
+ * @param {string[]} [entries] The includeExtensions list: extensions, file names and file name globs
+ * @param {string[]} [languages] VS Code language identifiers
+ * @returns {{extensions: Set<string>, names: Set<string>, globs: Array<{entry: string, matcher: Object, byName: boolean}>, languages: Set<string>, scriptLanguages: Set<string>}}
+ *   scriptLanguages are the languages whose shebang scripts are included: the given ones and those of included extensions
+ */
+function compileIncludeRules(entries = [], languages = []) {
+  const include = { extensions: new Set(), names: new Set(), globs: [], languages: new Set(languages), scriptLanguages: new Set(languages) };
+  for (const raw of entries) {
+    const entry = String(raw).trim();
+    if (entry === '') continue;
+    if (GLOB_CHARS.test(entry)) {
+      const matcher = compileGlob(entry);
+      if (matcher) include.globs.push({ entry, matcher, byName: !entry.includes('/') });
+    } else if (entry.startsWith('.')) {
+      include.extensions.add(entry);
+      if (EXTENSION_LANGUAGES[entry.toLowerCase()]) include.scriptLanguages.add(EXTENSION_LANGUAGES[entry.toLowerCase()]);
+    } else {
+      include.names.add(entry);
+    }
+  }
+  return include;
+}
+
+/**
+ * Reads the first line of a file if it is a shebang.
+ * @param {string} fullPath
+ * @returns {Promise<string|null>}
+ */
+async function readShebang(fullPath) {
+  let handle;
+  try {
+    handle = await fs.open(fullPath, 'r');
+    const buffer = Buffer.alloc(SHEBANG_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, SHEBANG_LENGTH, 0);
+    const firstLine = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0];
+    return firstLine.startsWith('#!') ? firstLine : null;
+  } catch (_) {
+    return null;
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+/**
+ * Tells whether a file is included and why.
+ * @param {string} fullPath
+ * @param {string} relative Path relative to the folder root
+ * @param {ReturnType<typeof compileIncludeRules>} include
+ * @returns {Promise<{included: boolean, reason: string}>}
+ */
+async function checkInclusion(fullPath, relative, include) {
+  const name = path.basename(fullPath);
+  const ext = path.extname(name);
+  if (ext && include.extensions.has(ext)) {
+    return { included: true, reason: `extension "${ext}" is in includeExtensions` };
+  }
+  if (include.names.has(name) || (name.startsWith('.') && include.extensions.has(name))) {
+    return { included: true, reason: `file name "${name}" is in includeExtensions` };
+  }
+  const posixRelative = relative.split(path.sep).join('/');
+  const glob = include.globs.find(({ matcher, byName }) => matcher.test(byName ? name : posixRelative));
+  if (glob) {
+    return { included: true, reason: `"${glob.entry}" in includeExtensions matches` };
+  }
+  const language = getLanguageId(name);
+  if (include.languages.has(language)) {
+    return { included: true, reason: `language "${language}" is in includeLanguages` };
+  }
+  // Only extensionless files are opened, to keep the walk cheap
+  if (!ext && include.scriptLanguages.size > 0) {
+    const shebang = await readShebang(fullPath);
+    const scriptLanguage = shebang ? getShebangLanguage(shebang) : null;
+    if (scriptLanguage && include.scriptLanguages.has(scriptLanguage)) {
+      return { included: true, reason: `shebang "${shebang}" makes it a ${scriptLanguage} script` };
+    }
+  }
+  return {
+    included: false,
+    reason: ext
+      ? `extension "${ext}" is not in includeExtensions`
+      : `"${name}" has no extension and no included file name, language or shebang`
+  };
+}
+
+module.exports = {
+  parseListSetting,
+  compileIncludeRules,
+  checkInclusion
+};
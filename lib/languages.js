@@ -0,0 +1,168 @@
+const path = require('path');
+
+/**
+ * Maps file extensions to VS Code language identifiers.
+ * The identifiers double as Markdown code fence tags.
+ */
+const EXTENSION_LANGUAGES = {
+  '.c': 'c',
+  '.h': 'c',
+  '.cpp': 'cpp',
+  '.hpp': 'cpp',
+  '.cc': 'cpp',
+  '.cs': 'csharp',
+  '.java': 'java',
+  '.kt': 'kotlin',
+  '.kts': 'kotlin',
+  '.py': 'python',
+  '.rb': 'ruby',
+  '.rs': 'rust',
+  '.go': 'go',
+  '.php': 'php',
+  '.swift': 'swift',
+  '.m': 'objective-c',
+  '.mm': 'objective-cpp',
+  '.ts': 'typescript',
+  '.tsx': 'typescriptreact',
+  '.js': 'javascript',
+  '.jsx': 'javascriptreact',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.lua': 'lua',
+  '.sh': 'shellscript',
+  '.bash': 'shellscript',
+  '.zsh': 'shellscript',
+  '.ps1': 'powershell',
+  '.pl': 'perl',
+  '.r': 'r',
+  '.sql': 'sql',
+  '.dart': 'dart',
+  '.scala': 'scala',
+  '.groovy': 'groovy',
+  '.gradle': 'groovy',
+  '.html': 'html',
+  '.htm': 'html',
+  '.css': 'css',
+  '.scss': 'scss',
+  '.sass': 'sass',
+  '.less': 'less',
+  '.json': 'json',
+  '.yml': 'yaml',
+  '.yaml': 'yaml',
+  '.xml': 'xml',
+  '.ini': 'ini',
+  '.toml': 'toml',
+  '.md': 'markdown',
+  '.rst': 'restructuredtext',
+  '.txt': 'plaintext',
+  '.dockerfile': 'dockerfile',
+  '.mk': 'makefile',
+  '.cmake': 'cmake'
+};
+
+/**
+ * Maps file names without a telling extension to VS Code language identifiers.
+ */
+const FILENAME_LANGUAGES = {
+  'Dockerfile': 'dockerfile',
+  'Containerfile': 'dockerfile',
+  'Makefile': 'makefile',
+  'makefile': 'makefile',
+  'GNUmakefile': 'makefile',
+  'CMakeLists.txt': 'cmake',
+  'Jenkinsfile': 'groovy',
+  'Gemfile': 'ruby',
+  'Rakefile': 'ruby',
+  'Vagrantfile': 'ruby',
+  'Podfile': 'ruby',
+  '.bashrc': 'shellscript',
+  '.bash_profile': 'shellscript',
+  '.zshrc': 'shellscript',
+  '.profile': 'shellscript'
+};
+
+/**
+ * Maps script interpreters named in a shebang line to VS Code language identifiers.
+ */
+const INTERPRETER_LANGUAGES = {
+  sh: 'shellscript',
+  bash: 'shellscript',
+  zsh: 'shellscript',
+  dash: 'shellscript',
+  ksh: 'shellscript',
+  node: 'javascript',
+  deno: 'typescript',
+  bun: 'javascript',
+  'ts-node': 'typescript',
+  tsx: 'typescript',
+  python: 'python',
+  ruby: 'ruby',
+  perl: 'perl',
+  php: 'php',
+  lua: 'lua',
+  Rscript: 'r',
+  pwsh: 'powershell',
+  groovy: 'groovy'
+};
+
+/**
+ * Code fence tags for language identifiers that Markdown renderers don't know.
+ */
+const FENCE_ALIASES = {
+  shellscript: 'bash',
+  typescriptreact: 'tsx',
+  javascriptreact: 'jsx',
+  plaintext: 'text'
+};
+
+/**
+ * Returns the language of a script from its shebang line, e.g. 'python' for '#!/usr/bin/env python3'.
+ * @param {string} content The file content, or at least its first line
+ * @returns {string|null} null without a shebang or for an unknown interpreter
+ */
+function getShebangLanguage(content) {
+  const match = /^#!\s*(\S+)(?:[ \t]+(.*))?/.exec(content);
+  if (!match) return null;
+  let interpreter = path.posix.basename(match[1]);
+  if (interpreter === 'env') {
+    // The first argument that is not an option, e.g. '#!/usr/bin/env -S node --harmony'
+    interpreter = (match[2] || '').split(/\s+/).find(arg => arg && !arg.startsWith('-')) || '';
+  }
+  // Versioned interpreters such as python3.11 or php8
+  return INTERPRETER_LANGUAGES[interpreter] || INTERPRETER_LANGUAGES[interpreter.replace(/[\d.]+$/, '')] || null;
+}
+
+/**
+ * Returns the VS Code language identifier for a file, or 'plaintext' if unknown.
+ * The extension decides, then the file name (Dockerfile, Makefile, ...), then the shebang line if content is given.
+ * @param {string} filePath
+ * @param {string} [content]
+ * @returns {string}
+ */
+function getLanguageId(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (EXTENSION_LANGUAGES[ext]) return EXTENSION_LANGUAGES[ext];
+  const name = path.basename(filePath);
+  if (FILENAME_LANGUAGES[name]) return FILENAME_LANGUAGES[name];
+  if (/^(Dockerfile|Containerfile)\./.test(name)) return 'dockerfile';
+  return (content && getShebangLanguage(content)) || 'plaintext';
+}
+
+/**
+ * Returns the Markdown code fence tag for a file.
+ * @param {string} filePath
+ * @param {string} [content] See getLanguageId
+ * @param {string} [languageId] Known language of the file, e.g. of an untitled editor; detected when omitted
+ * @returns {string}
+ */
+function getFenceTag(filePath, content, languageId = getLanguageId(filePath, content)) {
+  return FENCE_ALIASES[languageId] || languageId;
+}
+
+module.exports = {
+  EXTENSION_LANGUAGES,
+  FILENAME_LANGUAGES,
+  getShebangLanguage,
+  getLanguageId,
+  getFenceTag
+};
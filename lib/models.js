@@ -0,0 +1,86 @@
+/**
+ * Context budget presets for common LLMs.
+ *
+ * contextWindow is the model's total context in tokens; reserve is the part of it
+ * kept free for the prompt and the answer, so the flattened output gets
+ * contextWindow - reserve tokens. format and tokenizer are the preferred output
+ * format and the closest bundled tokenizer.
+ */
+const MODEL_PRESETS = {
+  'claude-3-opus': { label: 'Claude 3 Opus', contextWindow: 200000, reserve: 8000, format: 'xml', tokenizer: 'cl100k' },
+  'claude-3-sonnet': { label: 'Claude 3 Sonnet', contextWindow: 200000, reserve: 8000, format: 'xml', tokenizer: 'cl100k' },
+  'claude-3-5-sonnet': { label: 'Claude 3.5 Sonnet', contextWindow: 200000, reserve: 8000, format: 'xml', tokenizer: 'cl100k' },
+  'claude-2': { label: 'Claude 2', contextWindow: 100000, reserve: 4000, format: 'xml', tokenizer: 'cl100k' },
+  'gpt-4o': { label: 'GPT-4o', contextWindow: 128000, reserve: 16000, format: 'markdown', tokenizer: 'o200k' },
+  'gpt-4-turbo': { label: 'GPT-4 Turbo', contextWindow: 128000, reserve: 4000, format: 'markdown', tokenizer: 'cl100k' },
+  'gpt-4-32k': { label: 'GPT-4 32K', contextWindow: 32768, reserve: 4000, format: 'markdown', tokenizer: 'cl100k' },
+  'gpt-4': { label: 'GPT-4', contextWindow: 8192, reserve: 2000, format: 'markdown', tokenizer: 'cl100k' },
+  'gpt-3.5-turbo': { label: 'GPT-3.5 Turbo', contextWindow: 16385, reserve: 4000, format: 'markdown', tokenizer: 'cl100k' },
+  'gemini-1.5-pro': { label: 'Gemini 1.5 Pro', contextWindow: 1000000, reserve: 8000, format: 'markdown', tokenizer: 'cl100k' },
+  'llama-3-70b': { label: 'Llama 3 70B', contextWindow: 8192, reserve: 2000, format: 'markdown', tokenizer: 'cl100k' }
+};
+
+/**
+ * Merges user-defined presets (from the flattenRepo.modelPresets setting) over the built-in table.
+ * Invalid entries are skipped and listed in errors.
+ * @param {Object<string, Object>} [customPresets]
+ * @param {string} [source] Where the presets were set, for the errors
+ * @returns {{presets: Object<string, {label: string, contextWindow: number, reserve: number, format?: string, tokenizer?: string}>, errors: string[]}}
+ */
+function compileModelPresets(customPresets = {}, source = 'flattenRepo.modelPresets') {
+  const presets = { ...MODEL_PRESETS };
+  const errors = [];
+  for (const [name, preset] of Object.entries(customPresets || {})) {
+    if (!preset || typeof preset.contextWindow !== 'number' || preset.contextWindow <= 0) {
+      errors.push(`Ignoring model preset "${name}" in ${source}: contextWindow must be a positive number`);
+      continue;
+    }
+    presets[name.toLowerCase()] = {
+      label: preset.label || name,
+      contextWindow: preset.contextWindow,
+      reserve: typeof preset.reserve === 'number' && preset.reserve >= 0 ? preset.reserve : 0,
+      format: preset.format,
+      tokenizer: preset.tokenizer
+    };
+  }
+  return { presets, errors };
+}
+
+/**
+ * Returns the built-in presets merged with the valid user-defined ones; see compileModelPresets.
+ * @param {Object<string, Object>} [customPresets]
+ * @returns {Object<string, {label: string, contextWindow: number, reserve: number, format?: string, tokenizer?: string}>}
+ */
+function getModelPresets(customPresets) {
+  return compileModelPresets(customPresets).presets;
+}
+
+/**
+ * Looks up a model preset by name (case-insensitive).
+ * @param {string} name
+ * @param {Object<string, Object>} [customPresets]
+ * @returns {{name: string, label: string, contextWindow: number, reserve: number, format?: string, tokenizer?: string}|null}
+ */
+function getModelPreset(name, customPresets) {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase();
+  const preset = getModelPresets(customPresets)[key];
+  return preset ? { name: key, ...preset } : null;
+}
+
+/**
+ * Returns the number of tokens available for flattened output under a preset.
+ * @param {{contextWindow: number, reserve: number}} preset
+ * @returns {number}
+ */
+function getOutputBudget(preset) {
+  return Math.max(1, preset.contextWindow - preset.reserve);
+}
+
+module.exports = {
+  MODEL_PRESETS,
+  compileModelPresets,
+  getModelPresets,
+  getModelPreset,
+  getOutputBudget
+};
@@ -0,0 +1,117 @@
+const path = require('path');
+
+/**
+ * Jupyter notebook conversion for the read stage.
+ *
+ * A notebook's JSON is turned into its cells in order, each introduced by a `# %% [code]`,
+ * `# %% [markdown]` or `# %% [raw]` line, as in the percent format of Jupytext and VS Code.
+ * Execution counts and metadata are dropped. Outputs of code cells follow the cell as
+ * `# Out:` comment lines, depending on the notebookOutputs setting:
+ * - none       drops outputs
+ * - text       keeps text outputs (streams, plain-text results and errors) and replaces images,
+ *              HTML and other rich outputs with a one-line summary
+ * - truncated  like text, but cuts every output after MAX_OUTPUT_LINES lines (the default)
+ */
+
+const OUTPUT_MODES = ['none', 'text', 'truncated'];
+const DEFAULT_OUTPUT_MODE = 'truncated';
+const MAX_OUTPUT_LINES = 20;
+
+// Notebooks are mostly base64 outputs, so their size on disk says little about the converted size;
+// they are only skipped unread above this size
+const MAX_NOTEBOOK_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Tells whether a file is a Jupyter notebook.
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isNotebook(filePath) {
+  return path.extname(filePath).toLowerCase() === '.ipynb';
+}
+
+/**
+ * Resolves the notebookOutputs setting.
+ * @param {string|undefined} value
+ * @returns {string|null} One of OUTPUT_MODES, DEFAULT_OUTPUT_MODE when unset, null when invalid
+ */
+function getOutputMode(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_OUTPUT_MODE;
+  const mode = String(value).toLowerCase();
+  return OUTPUT_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * Joins a notebook text field, which is either a string or a list of lines.
+ * @param {string|string[]|undefined} source
+ * @returns {string}
+ */
+function joinSource(source) {
+  return (Array.isArray(source) ? source.join('') : source || '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Renders one output of a code cell as text lines.
+ * @param {Object} output
+ * @returns {string[]}
+ */
+function renderOutput(output) {
+  if (output.output_type === 'stream') {
+    return joinSource(output.text).replace(/\n$/, '').split('\n');
+  }
+  if (output.output_type === 'error') {
+    // Tracebacks repeat the error with terminal colours; the name and message are what matter
+    return [`${output.ename}: ${output.evalue}`];
+  }
+  const data = output.data || {};
+  if (data['text/plain'] !== undefined) {
+    return joinSource(data['text/plain']).replace(/\n$/, '').split('\n');
+  }
+  const types = Object.keys(data);
+  return types.length > 0 ? [`[${types.join(', ')} output omitted]`] : [];
+}
+
+/**
+ * Converts notebook JSON into its cells.
+ * @param {string} content The .ipynb file content
+ * @param {{outputs?: string}} [options] outputs is one of OUTPUT_MODES
+ * @returns {{content: string, cells: number, language: string}} language is the kernel's, e.g. 'python'
+ * @throws {SyntaxError} If the content is not notebook JSON
+ */
+function convertNotebook(content, options = {}) {
+  const outputs = options.outputs || DEFAULT_OUTPUT_MODE;
+  const notebook = JSON.parse(content);
+  if (!notebook || !Array.isArray(notebook.cells)) {
+    throw new SyntaxError('not a Jupyter notebook: no cells');
+  }
+  const metadata = notebook.metadata || {};
+  const language = (metadata.kernelspec && metadata.kernelspec.language) || (metadata.language_info && metadata.language_info.name) || 'python';
+
+  const sections = notebook.cells.map(cell => {
+    const type = ['code', 'markdown', 'raw'].includes(cell.cell_type) ? cell.cell_type : 'raw';
+    const lines = [`# %% [${type}]`];
+    const source = joinSource(cell.source).replace(/\n+$/, '');
+    if (source) lines.push(source);
+    if (type === 'code' && outputs !== 'none' && Array.isArray(cell.outputs)) {
+      for (const output of cell.outputs) {
+        let text = renderOutput(output);
+        if (text.length === 0) continue;
+        if (outputs === 'truncated' && text.length > MAX_OUTPUT_LINES) {
+          text = [...text.slice(0, MAX_OUTPUT_LINES), `... (${text.length - MAX_OUTPUT_LINES} more lines)`];
+        }
+        lines.push('# Out:', ...text.map(line => (line ? `# ${line}` : '#')));
+      }
+    }
+    return lines.join('\n');
+  });
+  return { content: sections.join('\n\n') + '\n', cells: notebook.cells.length, language };
+}
+
+module.exports = {
+  OUTPUT_MODES,
+  DEFAULT_OUTPUT_MODE,
+  MAX_NOTEBOOK_BYTES,
+  isNotebook,
+  getOutputMode,
+  convertNotebook
+};
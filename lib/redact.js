@@ -0,0 +1,114 @@
+/**
+ * Secret redaction for flattened output.
+ *
+ * Detects common credential shapes and replaces them with placeholders such as
+ * [REDACTED:github-token], so that output pasted into third-party tools does not
+ * leak keys. Custom patterns come from the redact: section of .flatten_ignore.
+ */
+
+/**
+ * Built-in secret patterns, applied in order. PEM blocks come first so the keys
+ * inside them are not matched piecemeal by the later patterns.
+ * When valueGroup is set only that capture group is replaced, keeping the variable name.
+ */
+const SECRET_PATTERNS = [
+  {
+    name: 'private-key',
+    regex: /-----BEGIN ((?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?)-----[\s\S]*?-----END \1-----/g
+  },
+  { name: 'aws-access-key', regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/g },
+  { name: 'github-token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { name: 'npm-token', regex: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { name: 'slack-token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { name: 'stripe-key', regex: /\b[sr]k_live_[A-Za-z0-9]{24,}\b/g },
+  { name: 'google-api-key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  {
+    // KEY=..., apiSecret: "...", _authToken=... with a random-looking value
+    name: 'secret-assignment',
+    regex: /\b([A-Za-z0-9_.-]*(?:key|secret|token|password|passwd|pwd))(["']?\s*[:=]\s*["']?)([A-Za-z0-9+/=_.~-]{16,})/gi,
+    valueGroup: 3,
+    minEntropy: 3.5
+  }
+];
+
+/**
+ * Returns the Shannon entropy of a string in bits per character.
+ * @param {string} value
+ * @returns {number}
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const ch of value) {
+    counts.set(ch, (counts.get(ch) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Compiles the lines of a redact: section into patterns.
+ * Each line is a regular expression, either bare or as /source/flags. When the
+ * expression has a capture group only the first group is replaced.
+ * @param {string[]} lines
+ * @returns {{patterns: Array<{name: string, regex: RegExp, valueGroup?: number}>, errors: string[]}}
+ */
+function compileRedactPatterns(lines = []) {
+  const patterns = [];
+  const errors = [];
+  for (const line of lines) {
+    const literal = line.match(/^\/(.+)\/([a-z]*)$/);
+    const source = literal ? literal[1] : line;
+    const flags = new Set((literal ? literal[2] : '').split('').filter(Boolean));
+    flags.add('g');
+    try {
+      const regex = new RegExp(source, [...flags].join(''));
+      const groups = new RegExp(`${source}|`).exec('').length - 1;
+      patterns.push({ name: 'custom', regex, valueGroup: groups > 0 ? 1 : undefined });
+    } catch (err) {
+      errors.push(`Invalid redact pattern "${line}": ${err.message}`);
+    }
+  }
+  return { patterns, errors };
+}
+
+/**
+ * Replaces secrets in a text with [REDACTED:<name>] placeholders.
+ * @param {string} content
+ * @param {Array<{name: string, regex: RegExp, valueGroup?: number}>} [customPatterns] From compileRedactPatterns
+ * @returns {{content: string, total: number, counts: Object<string, number>}}
+ */
+function redactSecrets(content, customPatterns = []) {
+  const counts = {};
+  let total = 0;
+  let output = content;
+  for (const pattern of [...SECRET_PATTERNS, ...customPatterns]) {
+    const placeholder = `[REDACTED:${pattern.name}]`;
+    output = output.replace(pattern.regex, (match, ...args) => {
+      let replacement = placeholder;
+      if (pattern.valueGroup) {
+        const value = args[pattern.valueGroup - 1];
+        if (typeof value !== 'string' || value === '') return match;
+        if (pattern.minEntropy && shannonEntropy(value) < pattern.minEntropy) return match;
+        // Keep the text around the secret, e.g. the variable name; values usually end the match
+        const index = match.lastIndexOf(value);
+        replacement = match.slice(0, index) + placeholder + match.slice(index + value.length);
+      }
+      counts[pattern.name] = (counts[pattern.name] || 0) + 1;
+      total++;
+      return replacement;
+    });
+  }
+  return { content: output, total, counts };
+}
+
+module.exports = {
+  SECRET_PATTERNS,
+  compileRedactPatterns,
+  redactSecrets,
+  shannonEntropy
+};
@@ -0,0 +1,162 @@
+const { compileGlob } = require('./glob');
+
+/**
+ * File scoring rules, used to put the most important files first.
+ *
+ * Each line of the scoring: section in .flatten_ignore is one rule, `<kind> <condition> <points>`:
+ * - path <glob> +15          files matching a glob pattern
+ * - ext .ts,.js +10          files with one of the extensions
+ * - size <10kb +20           size bands: <n, <=n, >n, >=n or n-m (n included, m not), in b, kb or mb
+ * - recency <7d +10          last commit (or modification, outside git) less than n days ago
+ * - churn >20 +5             commits touching the file among the most recent 1000
+ * The git history is only read for recency and churn rules of the scoring: section; the built-in
+ * recency rule alone goes by modification time, so that a default run does not run git log.
+ * - pin <glob>               always first, in the order of the pin rules
+ * - base 50                  score before any rule applies
+ * - defaults off             drop the built-in DEFAULT_SCORING_RULES
+ * Points of all matching rules add up; scores are clamped to 0-100.
+ */
+
+const DEFAULT_SCORING_RULES = [
+  'base 50',
+  'size <10kb +20',
+  'size 10kb-50kb +10',
+  'size >500kb -20',
+  'path {src,lib}/ +15',
+  'path {test,spec}/ -10',
+  'path {example,demo}/ -5',
+  'ext .ts,.js,.py,.java,.go,.rs +10',
+  'ext .json,.yml,.yaml,.toml +5',
+  'recency <7d +10'
+];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+/**
+ * Parses a numeric condition such as '<10kb', '>20' or '10kb-50kb' into a test.
+ * @param {string} condition
+ * @param {Object<string, number>} units Multipliers by suffix; '' is always allowed
+ * @returns {((value: number) => boolean)|null} null if the condition is invalid
+ */
+function parseRange(condition, units) {
+  const toNumber = text => {
+    const match = text.toLowerCase().match(/^(\d+(?:\.\d+)?)([a-z]*)$/);
+    if (!match || (match[2] && !(match[2] in units))) return NaN;
+    return Number(match[1]) * (match[2] ? units[match[2]] : 1);
+  };
+  const bound = condition.match(/^(<=|>=|<|>)(.+)$/);
+  if (bound) {
+    const limit = toNumber(bound[2]);
+    if (isNaN(limit)) return null;
+    return {
+      '<': value => value < limit,
+      '<=': value => value <= limit,
+      '>': value => value > limit,
+      '>=': value => value >= limit
+    }[bound[1]];
+  }
+  // n-m includes n but not m, so that adjacent bands do not overlap
+  const range = condition.match(/^([^-]+)-([^-]+)$/);
+  if (!range) return null;
+  const min = toNumber(range[1]);
+  const max = toNumber(range[2]);
+  return isNaN(min) || isNaN(max) ? null : value => value >= min && value < max;
+}
+
+/**
+ * Compiles one rule line.
+ * @param {string} line
+ * @returns {{rule?: Object, base?: number, pin?: Object, defaultsOff?: boolean}|null} null if the line is invalid
+ */
+function compileRule(line) {
+  const [kind, ...args] = line.trim().split(/\s+/);
+  const key = (kind || '').toLowerCase();
+  if (key === 'defaults' && args.length === 1 && /^(off|false)$/i.test(args[0])) return { defaultsOff: true };
+  if (key === 'base' && args.length === 1 && !isNaN(Number(args[0]))) return { base: Number(args[0]) };
+  if (key === 'pin' && args.length === 1) {
+    const matcher = compileGlob(args[0]);
+    return matcher ? { pin: matcher } : null;
+  }
+  if (args.length !== 2 || !/^[+-]?\d+(?:\.\d+)?$/.test(args[1])) return null;
+
+  const [condition, weight] = args;
+  const points = Number(weight);
+  let test = null;
+  if (key === 'path') {
+    const matcher = compileGlob(condition);
+    if (matcher) test = file => matcher.test(file.relative);
+  } else if (key === 'ext') {
+    const extensions = condition.toLowerCase().split(',').filter(Boolean).map(ext => (ext.startsWith('.') ? ext : `.${ext}`));
+    test = file => extensions.some(ext => file.relative.toLowerCase().endsWith(ext));
+  } else if (key === 'size') {
+    const inRange = parseRange(condition, SIZE_UNITS);
+    if (inRange) test = file => inRange(file.size);
+  } else if (key === 'recency') {
+    const inRange = parseRange(condition, { d: 1 });
+    if (inRange) test = file => inRange(file.ageDays);
+  } else if (key === 'churn') {
+    const inRange = parseRange(condition, {});
+    if (inRange) test = file => inRange(file.commits);
+  }
+  return test ? { rule: { text: line.trim(), kind: key, points, test } } : null;
+}
+
+/**
+ * Compiles the lines of a scoring: section, after the built-in rules unless it says 'defaults off'.
+ * @param {string[]} [lines]
+ * @returns {{base: number, rules: Array<{text: string, kind: string, points: number, test: Function, builtIn: boolean}>, pins: Array<Object>, errors: string[]}}
+ */
+function compileScoringRules(lines = []) {
+  const useDefaults = !lines.some(line => /^defaults\s+(off|false)$/i.test(line.trim()));
+  const scoring = { base: 50, rules: [], pins: [], errors: [] };
+  const builtIn = useDefaults ? DEFAULT_SCORING_RULES : [];
+  for (const [index, line] of [...builtIn, ...lines].entries()) {
+    const compiled = compileRule(line);
+    if (!compiled) {
+      scoring.errors.push(`Invalid scoring rule "${line}"`);
+    } else if (compiled.rule) {
+      scoring.rules.push({ ...compiled.rule, builtIn: index < builtIn.length });
+    } else if (compiled.base !== undefined) {
+      scoring.base = compiled.base;
+    } else if (compiled.pin) {
+      scoring.pins.push(compiled.pin);
+    }
+  }
+  return scoring;
+}
+
+/**
+ * Scores a file and lists the rules that contributed.
+ * @param {{relative: string, size: number, ageDays: number, commits: number}} file relative uses '/' separators
+ * @param {ReturnType<typeof compileScoringRules>} scoring
+ * @returns {{score: number, pinned: number|null, breakdown: Array<{rule: string, points: number}>}}
+ *   pinned is the index of the first matching pin rule
+ */
+function computeScore(file, scoring) {
+  const breakdown = [{ rule: `base ${scoring.base}`, points: scoring.base }];
+  for (const rule of scoring.rules) {
+    if (rule.test(file)) breakdown.push({ rule: rule.text, points: rule.points });
+  }
+  const total = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  const pinned = scoring.pins.findIndex(matcher => matcher.test(file.relative));
+  if (pinned !== -1) breakdown.push({ rule: `pin ${scoring.pins[pinned].pattern}`, points: 0 });
+  return { score: Math.max(0, Math.min(100, total)), pinned: pinned === -1 ? null : pinned, breakdown };
+}
+
+/**
+ * Sort comparator: pinned files first in pin order, then by score, highest first.
+ * @param {{score: number, pinned?: number|null}} a
+ * @param {{score: number, pinned?: number|null}} b
+ * @returns {number}
+ */
+function compareScores(a, b) {
+  const rank = f => (typeof f.pinned === 'number' ? f.pinned : Number.MAX_SAFE_INTEGER);
+  return rank(a) - rank(b) || b.score - a.score;
+}
+
+module.exports = {
+  DEFAULT_SCORING_RULES,
+  compileScoringRules,
+  computeScore,
+  compareScores
+};
@@ -0,0 +1,98 @@
+/**
+ * Offline token counting.
+ *
+ * BPE vocabularies ship with the gpt-tokenizer package and are loaded lazily,
+ * so only the encoding that is actually selected is held in memory.
+ */
+
+/**
+ * Characters per token for the approximate counter.
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Available tokenizers, keyed by the name used in the `tokenizer:` setting.
+ */
+const TOKENIZERS = {
+  cl100k: { label: 'cl100k_base (GPT-4, GPT-3.5)', module: 'gpt-tokenizer/encoding/cl100k_base' },
+  o200k: { label: 'o200k_base (GPT-4o and newer)', module: 'gpt-tokenizer/encoding/o200k_base' },
+  chars: { label: `Approximate (${CHARS_PER_TOKEN} characters per token)`, module: null }
+};
+
+const DEFAULT_TOKENIZER = 'cl100k';
+
+/**
+ * Alternative names accepted in settings.
+ */
+const TOKENIZER_ALIASES = {
+  cl100k_base: 'cl100k',
+  o200k_base: 'o200k',
+  approximate: 'chars',
+  heuristic: 'chars'
+};
+
+// Special token markers such as <|endoftext|> are counted as ordinary text.
+const COUNT_OPTIONS = { disallowedSpecial: new Set() };
+
+const loaded = new Map();
+
+/**
+ * Returns the approximate token count of a string.
+ * @param {string} text
+ * @returns {number}
+ */
+function approximateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Returns a tokenizer by name or alias.
+ * Falls back to the approximate counter if the encoding cannot be loaded; the returned tokenizer
+ * is then named 'chars' and its fallback says which one was asked for and why it failed, for the caller to report.
+ * @param {string} [name]
+ * @returns {{name: string, label: string, count: (text: string) => number, fallback?: {requested: string, reason: string}}|null}
+ *   null if the name is unknown
+ */
+function getTokenizer(name) {
+  const key = name ? String(name).trim().toLowerCase() : DEFAULT_TOKENIZER;
+  const resolved = TOKENIZER_ALIASES[key] || key;
+  const definition = TOKENIZERS[resolved];
+  if (!definition) return null;
+
+  if (loaded.has(resolved)) return loaded.get(resolved);
+
+  let tokenizer = { name: 'chars', label: TOKENIZERS.chars.label, count: approximateTokens };
+  if (definition.module) {
+    try {
+      const encoding = require(definition.module);
+      tokenizer = {
+        name: resolved,
+        label: definition.label,
+        count: text => encoding.countTokens(text, COUNT_OPTIONS)
+      };
+    } catch (err) {
+      tokenizer.fallback = { requested: resolved, reason: err.message };
+    }
+  }
+  loaded.set(resolved, tokenizer);
+  return tokenizer;
+}
+
+/**
+ * Describes why a tokenizer from getTokenizer is the approximate counter instead of the one asked for.
+ * @param {{fallback?: {requested: string, reason: string}}} tokenizer
+ * @returns {string|null} null if the tokenizer is the one asked for
+ */
+function describeFallback(tokenizer) {
+  if (!tokenizer.fallback) return null;
+  return `Could not load the ${tokenizer.fallback.requested} tokenizer (${tokenizer.fallback.reason}); token counts are approximate (${CHARS_PER_TOKEN} characters per token)`;
+}
+
+module.exports = {
+  TOKENIZERS,
+  DEFAULT_TOKENIZER,
+  CHARS_PER_TOKEN,
+  getTokenizer,
+  describeFallback,
+  approximateTokens
+};
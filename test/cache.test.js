@@ -0,0 +1,82 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileCache, hashContent } = require('../lib/cache');
+
+suite('Cache Test Suite', () => {
+	let root;
+	const file = name => path.join(root, name);
+	const write = (name, content) => {
+		fs.writeFileSync(file(name), content);
+		return fs.statSync(file(name));
+	};
+	const upper = buffer => ({ content: buffer.toString().toUpperCase() });
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-cache-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('processes a file again only when its content or variant changes', async () => {
+		const cache = new FileCache(root);
+		let stats = write('a.js', 'a');
+		assert.deepStrictEqual(await cache.process(file('a.js'), stats, 'v1', upper), { content: 'A', hash: hashContent('a') });
+		assert.strictEqual((await cache.process(file('a.js'), stats, 'v1', upper)).content, 'A');
+		assert.strictEqual(cache.hits, 1);
+
+		// Touched but unchanged content is read and hashed, not processed
+		stats = { size: stats.size, mtimeMs: stats.mtimeMs + 1000 };
+		await cache.process(file('a.js'), stats, 'v1', () => assert.fail('processed again'));
+		assert.strictEqual(cache.hits, 2);
+
+		assert.strictEqual((await cache.process(file('a.js'), stats, 'v2', buffer => ({ content: `${buffer}!` }))).content, 'a!');
+		stats = write('a.js', 'bb');
+		assert.strictEqual((await cache.process(file('a.js'), stats, 'v2', upper)).content, 'BB');
+		assert.strictEqual(cache.misses, 3);
+	});
+
+	test('saves, loads and prunes entries', async () => {
+		const cache = new FileCache(root);
+		await cache.process(file('a.js'), write('a.js', 'a'), 'v1', upper);
+		await cache.process(file('b.js'), write('b.js', 'b'), 'v1', upper);
+		assert.strictEqual(cache.score(file('a.js'), 'k1', () => 70), 70);
+		await cache.save();
+
+		const loaded = await new FileCache(root).load();
+		assert.deepStrictEqual(Object.keys(loaded.files), ['a.js', 'b.js']);
+		assert.strictEqual(loaded.score(file('a.js'), 'k1', () => assert.fail('scored again')), 70);
+		assert.strictEqual(loaded.score(file('a.js'), 'k2', () => 40), 40);
+		await loaded.save({ prune: true });
+		assert.deepStrictEqual(Object.keys((await new FileCache(root).load()).files), ['a.js']);
+	});
+
+	test('tells what changed since the last output', async () => {
+		const cache = new FileCache(root);
+		const a = await cache.process(file('a.js'), write('a.js', 'a'), 'v1', upper);
+		const b = await cache.process(file('b.js'), write('b.js', 'b'), 'v1', upper);
+		assert.strictEqual(cache.lastOutput, null);
+		cache.recordOutput([{ file: file('a.js'), ...a }, { file: file('b.js'), ...b }]);
+
+		fs.unlinkSync(file('b.js'));
+		assert.strictEqual(cache.changeSinceLastOutput(file('a.js'), a.hash), null);
+		assert.strictEqual(cache.changeSinceLastOutput(file('a.js'), hashContent('changed')), 'modified');
+		assert.strictEqual(cache.changeSinceLastOutput(file('c.js'), hashContent('c')), 'added');
+		assert.deepStrictEqual(await cache.removedSinceLastOutput(), ['b.js']);
+
+		cache.recordOutput([], ['b.js']);
+		assert.deepStrictEqual(Object.keys(cache.lastOutput.hashes), ['a.js']);
+	});
+
+	test('variant keys change with the processing options', () => {
+		const patterns = [{ name: 'custom', regex: /secret/g }];
+		const base = FileCache.variantOf({ compression: ['comments'], tokenizer: { name: 'cl100k' }, redactPatterns: patterns });
+		assert.strictEqual(FileCache.variantOf({ compression: ['comments'], tokenizer: { name: 'cl100k' }, redactPatterns: [...patterns] }), base);
+		assert.notStrictEqual(FileCache.variantOf({ compression: ['comments'], tokenizer: { name: 'o200k' }, redactPatterns: patterns }), base);
+		assert.notStrictEqual(FileCache.variantOf({ compression: ['comments'], tokenizer: { name: 'cl100k' }, redactPatterns: null }), base);
+		assert.notStrictEqual(FileCache.variantOf({ tokenizer: { name: 'cl100k' }, redactPatterns: patterns }), base);
+	});
+});
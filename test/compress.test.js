@@ -0,0 +1,112 @@
+const assert = require('assert');
+const { compileCompressionRules, getCompressionModes, compressContent } = require('../lib/compress');
+
+suite('Compression Test Suite', () => {
+	const js = [
+		'/*',
+		' * Copyright (c) 2024 Example Corp. MIT License.',
+		' */',
+		'',
+		"const re = /[{]/g; // a brace in a regex",
+		'',
+		'/**',
+		' * Adds two numbers.',
+		' */',
+		'function add(a, b) {',
+		'  // not a doc comment',
+		'  const label = `sum ${a + b} {`;',
+		'  return a + b;',
+		'}',
+		'',
+		'class Box extends Base {',
+		'  constructor(x) {',
+		'    this.x = x;',
+		'  }',
+		'  get value() { return this.x; }',
+		'}',
+		''
+	].join('\n');
+
+	test('removes license headers, comments and whitespace but not strings', () => {
+		const license = compressContent(js, 'a.js', ['license']);
+		assert.deepStrictEqual(license.applied, ['license']);
+		assert.ok(license.content.startsWith('const re = /[{]/g; // a brace in a regex\n'));
+
+		const result = compressContent(js, 'a.js', ['comments', 'whitespace']);
+		assert.deepStrictEqual(result.applied, ['license', 'comments', 'whitespace']);
+		assert.ok(!result.content.includes('//') && !result.content.includes('Adds two'));
+		assert.ok(result.content.includes('const re = /[{]/g;\n\nfunction add(a, b) {\nconst label = `sum ${a + b} {`;\nreturn a + b;\n}'));
+
+		const yaml = 'key: value # note\nurl: "http://x#y"\n\n\n  nested: 1   \n';
+		assert.strictEqual(compressContent(yaml, 'a.yml', ['comments', 'whitespace']).content, 'key: value\nurl: "http://x#y"\n\n  nested: 1\n');
+	});
+
+	test('skeleton keeps signatures, declarations and doc comments of brace languages', () => {
+		const result = compressContent(js, 'a.js', ['skeleton']);
+		assert.strictEqual(result.content, [
+			"const re = /[{]/g;",
+			'',
+			'/**',
+			' * Adds two numbers.',
+			' */',
+			'function add(a, b) { ... }',
+			'',
+			'class Box extends Base {',
+			'  constructor(x) { ... }',
+			'  get value() { return this.x; }',
+			'}',
+			''
+		].join('\n'));
+
+		const go = '// Server serves.\ntype Server struct {\n\tAddr string\n}\n\n// Start starts.\nfunc (s *Server) Start() error {\n\tfmt.Println(`raw \\`)\n\treturn nil\n}\n';
+		assert.strictEqual(compressContent(go, 'main.go', ['skeleton']).content,
+			'// Server serves.\ntype Server struct {\n\tAddr string\n}\n\n// Start starts.\nfunc (s *Server) Start() error { ... }\n');
+	});
+
+	test('skeleton keeps Python docstrings and elides function bodies', () => {
+		const py = [
+			'import os',
+			'',
+			'@cached',
+			'def load(path,',
+			'         mode="r"):',
+			'    """Loads a file."""',
+			'    # read it',
+			'    with open(path, mode) as f:',
+			'        return f.read()',
+			'',
+			'class Store:',
+			'    size = 10',
+			'',
+			'    def get(self, key):',
+			'        return self.items[key]',
+			''
+		].join('\n');
+		assert.strictEqual(compressContent(py, 'store.py', ['skeleton']).content, [
+			'import os',
+			'',
+			'@cached',
+			'def load(path,',
+			'         mode="r"):',
+			'    """Loads a file."""',
+			'    ...',
+			'',
+			'class Store:',
+			'    size = 10',
+			'',
+			'    def get(self, key):',
+			'        ...',
+			''
+		].join('\n'));
+		assert.deepStrictEqual(compressContent('x = 1\n', 'notes.txt', ['skeleton']).applied, []);
+	});
+
+	test('the last matching rule decides the modes', () => {
+		const compression = compileCompressionRules(['** comments', 'test/** skeleton,whitespace', 'test/fixtures/** none', 'src/*.js fast', 'lib']);
+		assert.deepStrictEqual(compression.errors, ['Invalid compression rule "src/*.js fast"', 'Invalid compression rule "lib"']);
+		assert.deepStrictEqual(getCompressionModes('src/a.js', compression), ['comments']);
+		assert.deepStrictEqual(getCompressionModes('test/a.test.js', compression), ['skeleton', 'whitespace']);
+		assert.deepStrictEqual(getCompressionModes('test/fixtures/data.js', compression), []);
+		assert.deepStrictEqual(getCompressionModes('a.js', compileCompressionRules()), []);
+	});
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { CONFIG_KEYS, fromFlattenIgnore, fromVSCodeSettings, resolveConfig, getPartTokenLimit, formatConfig } = require('../lib/config');
+
+suite('Config Test Suite', () => {
+	test('later layers override earlier ones and name their source', () => {
+		const config = resolveConfig([
+			fromVSCodeSettings('user settings', { maxChunkSize: 8000, useGitIgnore: false }),
+			fromVSCodeSettings('workspace settings', { maxChunkSize: 4000, useGitIgnore: undefined }),
+			fromFlattenIgnore({ maxTokenLimit: 1000, languages: '[python, rust]', useGitIgnore: 'true' })
+		]);
+		assert.deepStrictEqual(config.errors, []);
+		assert.strictEqual(config.values.maxChunkSize, 4000);
+		assert.strictEqual(config.sources.maxChunkSize, 'workspace settings');
+		assert.strictEqual(config.values.useGitIgnore, true);
+		assert.strictEqual(config.sources.useGitIgnore, '.flatten_ignore');
+		assert.deepStrictEqual(config.values.languages, ['python', 'rust']);
+		assert.strictEqual(config.values.budgetMode, CONFIG_KEYS.budgetMode.default);
+		assert.strictEqual(config.sources.budgetMode, 'default');
+		assert.deepStrictEqual(config.layers, ['default', 'user settings', 'workspace settings', '.flatten_ignore']);
+	});
+
+	test('reports invalid and unknown values and keeps the layer below', () => {
+		const config = resolveConfig([
+			fromVSCodeSettings('user settings', { maxChunkSize: 2000 }),
+			fromVSCodeSettings('workspace settings', { modelPresets: { mine: { contextWindow: 'big' } } }),
+			fromFlattenIgnore({ maxChunkSize: 'lots', budgetMode: 'Fit', notebookOutputs: 'all', maxTokensPerFiles: 10, includeExtensions: '.py' })
+		]);
+		assert.strictEqual(config.values.maxChunkSize, 2000);
+		assert.strictEqual(config.values.budgetMode, 'fit');
+		assert.strictEqual(config.values.notebookOutputs, 'truncated');
+		assert.deepStrictEqual(config.errors, [
+			'Invalid maxChunkSize "lots" in .flatten_ignore: expected a number of characters, 0 for no limit; using the user settings value',
+			'Invalid notebookOutputs "all" in .flatten_ignore: expected none, text, truncated; using the default value',
+			'Unknown setting "maxTokensPerFiles" in .flatten_ignore',
+			'Unknown setting "includeExtensions" in .flatten_ignore',
+			'Ignoring model preset "mine" in workspace settings: contextWindow must be a positive number'
+		]);
+	});
+
+	test('caps the tokens per part by maxChunkSize and lists the configuration', () => {
+		assert.strictEqual(getPartTokenLimit(50000, 0), 50000);
+		assert.strictEqual(getPartTokenLimit(50000, 8000), 2000);
+		assert.strictEqual(getPartTokenLimit(1000, 8000), 1000);
+		assert.strictEqual(getPartTokenLimit(1000, 2), 1);
+
+		const text = formatConfig(resolveConfig([fromFlattenIgnore({ format: 'xml', useCache: 'yes' })]));
+		assert.ok(/^format +xml {2}\[\.flatten_ignore\]$/m.test(text));
+		assert.ok(/^model +\(not set\) {2}\[default\]$/m.test(text));
+		assert.ok(text.includes('Sources, later ones overriding earlier ones: default, .flatten_ignore'));
+		assert.ok(text.includes('Problems:\n- Invalid useCache "yes" in .flatten_ignore'));
+	});
+});
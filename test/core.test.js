@@ -0,0 +1,171 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFlattenIgnore, parseFlattenIgnoreContent, DEFAULT_IGNORE_CONTENT, compileIgnoreRules, collectFiles, isExcludedByRules, evaluateRules, addPatternsToSection, planTokenBudget, planDowngrades, fitToBudget, processFilesInParallel, createChunksEfficiently } = require('../lib/core');
+const { getTokenizer } = require('../lib/tokenizer');
+const { getFormatter } = require('../lib/formatters');
+const { compileIncludeRules } = require('../lib/include');
+
+suite('Core Test Suite', () => {
+	const target = rules => ({
+		gitIgnore: null,
+		...compileIgnoreRules({ global: [], whitelist: [], blacklist: [], ...rules })
+	});
+
+	test('the last matching ignore pattern wins', () => {
+		const rules = target({ global: ['build'], blacklist: ['!build/keep.js'] });
+		assert.ok(isExcludedByRules(rules, 'build/out.js', false));
+		assert.ok(!isExcludedByRules(rules, 'build/keep.js', false));
+		// The ignored directory is still walked because of the negation
+		assert.ok(!isExcludedByRules(rules, 'build', true));
+		assert.ok(isExcludedByRules(target({ global: ['build'] }), 'build', true));
+	});
+
+	test('whitelisted files are included even when ignored', () => {
+		const rules = target({ global: ['test'], whitelist: ['src/**/*.ts', '!src/**/*.d.ts'] });
+		assert.ok(!isExcludedByRules(rules, 'src', true));
+		assert.ok(!isExcludedByRules(rules, 'src/test', true));
+		assert.ok(!isExcludedByRules(rules, 'src/test/util.ts', false));
+		assert.ok(isExcludedByRules(rules, 'src/types.d.ts', false));
+		assert.ok(isExcludedByRules(rules, 'src/index.js', false));
+		assert.ok(isExcludedByRules(rules, 'docs', true));
+	});
+
+	test('built-in library patterns come first', () => {
+		assert.ok(isExcludedByRules(target({}), 'node_modules', true));
+		assert.ok(!isExcludedByRules(target({ global: ['!node_modules/my-fork/**'] }), 'node_modules/my-fork/index.js', false));
+	});
+
+	test('setting patterns come before those of .flatten_ignore', () => {
+		const rules = {
+			gitIgnore: null,
+			...compileIgnoreRules({ global: ['!/keep.snap'], whitelist: [], blacklist: [] }, { ignoreDirs: ['vendor'], globalBlacklist: ['*.snap'] })
+		};
+		assert.strictEqual(evaluateRules(rules, 'src/vendor', true).reason, 'ignored by ignoreDirs setting pattern "vendor/"');
+		assert.strictEqual(evaluateRules(rules, 'src/a.snap', false).reason, 'ignored by globalBlacklist setting pattern "*.snap"');
+		assert.ok(!isExcludedByRules(rules, 'keep.snap', false));
+
+		const whitelisted = { gitIgnore: null, ...compileIgnoreRules({ global: [], whitelist: [], blacklist: [] }, { globalWhitelist: ['src/**'] }) };
+		assert.ok(!isExcludedByRules(whitelisted, 'src/index.js', false));
+		assert.ok(isExcludedByRules(whitelisted, 'docs/index.md', false));
+	});
+
+	test('uses the default rules when .flatten_ignore is missing', async () => {
+		const rules = await parseFlattenIgnore('/nonexistent/flattened/.flatten_ignore');
+		assert.deepStrictEqual(rules, parseFlattenIgnoreContent(DEFAULT_IGNORE_CONTENT));
+		assert.ok(rules.global.includes('test'));
+		assert.strictEqual(rules.settings.maxTokensPerFile, 25000);
+		assert.ok(isExcludedByRules(target(rules), 'test', true));
+	});
+
+	test('selects the same files before and after .flatten_ignore is created', async () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-core-'));
+		try {
+			for (const rel of ['src/index.js', 'test/index.test.js', 'examples/demo.js']) {
+				fs.mkdirSync(path.join(root, path.dirname(rel)), { recursive: true });
+				fs.writeFileSync(path.join(root, rel), 'module.exports = 1;\n');
+			}
+			const ignorePath = path.join(root, 'flattened', '.flatten_ignore');
+			const collect = async () => {
+				const files = [];
+				await collectFiles(root, { rootPath: root, ...target(await parseFlattenIgnore(ignorePath)) }, {
+					include: compileIncludeRules(['.js']),
+					onFile: file => files.push(path.relative(root, file).split(path.sep).join('/'))
+				});
+				return files.sort();
+			};
+			// A preview runs before the file exists; generating from it writes the default rules first
+			const previewed = await collect();
+			fs.mkdirSync(path.dirname(ignorePath));
+			fs.writeFileSync(ignorePath, DEFAULT_IGNORE_CONTENT);
+			assert.deepStrictEqual(await collect(), previewed);
+			assert.deepStrictEqual(previewed, ['src/index.js']);
+		} finally {
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+
+	test('names the rule that decided', () => {
+		const rules = target({ global: ['*.log'], blacklist: ['!keep.log'], whitelist: [] });
+		assert.strictEqual(evaluateRules(rules, 'debug.log', false).reason, 'ignored by global pattern "*.log"');
+		assert.strictEqual(evaluateRules(rules, 'keep.log', false).reason, 're-included by blacklist pattern "!keep.log"');
+		assert.ok(evaluateRules(target({}), 'node_modules', true).reason.startsWith('ignored by built-in pattern'));
+	});
+
+	test('adds patterns to the end of a section', () => {
+		const content = 'global:\nnode_modules\n\n# Blacklist\nblacklist:\n*.map\n\nsettings:\nformat: txt\n';
+		assert.strictEqual(
+			addPatternsToSection(content, 'blacklist', ['/a.js', '*.map']),
+			'global:\nnode_modules\n\n# Blacklist\nblacklist:\n*.map\n/a.js\n\nsettings:\nformat: txt\n'
+		);
+		assert.strictEqual(addPatternsToSection('global:\nnode_modules\n', 'whitelist', ['!/a.js']), 'global:\nnode_modules\n\nwhitelist:\n!/a.js\n');
+	});
+
+	test('marks checked files past the token budget', () => {
+		const candidates = [
+			{ tokens: 60, checked: true },
+			{ tokens: 500, checked: true, dropped: 'too large' },
+			{ tokens: 30, checked: false },
+			{ tokens: 50, checked: true }
+		];
+		assert.deepStrictEqual(planTokenBudget(candidates, 100), { total: 110, overBudget: 1 });
+		assert.deepStrictEqual(candidates.map(c => c.overBudget), [false, false, false, true]);
+	});
+
+	test('downgrades the least important files one level at a time', () => {
+		const costs = [
+			{ full: 100, compressed: 80, skeleton: 20 },
+			{ full: 100, compressed: 90, skeleton: null },
+			{ full: 100, compressed: 70, skeleton: 30 }
+		];
+		const costOf = (i, level) => (level === 'tree' ? 0 : costs[i][level]);
+		assert.deepStrictEqual(planDowngrades(3, costOf, 300), { levels: ['full', 'full', 'full'], total: 300 });
+		assert.deepStrictEqual(planDowngrades(3, costOf, 270), { levels: ['full', 'full', 'compressed'], total: 270 });
+		assert.deepStrictEqual(planDowngrades(3, costOf, 250), { levels: ['compressed', 'compressed', 'compressed'], total: 240 });
+		assert.deepStrictEqual(planDowngrades(3, costOf, 150), { levels: ['skeleton', 'compressed', 'skeleton'], total: 140 });
+		assert.deepStrictEqual(planDowngrades(3, costOf, 90), { levels: ['skeleton', 'tree', 'tree'], total: 20 });
+	});
+
+	test('fits files into one part and lists what was downgraded', () => {
+		const body = Array.from({ length: 40 }, (_, i) => `  // step ${i}\n  total += values[${i}] * ${i};`).join('\n');
+		const files = ['a', 'b', 'c', 'd'].map(name => ({
+			file: `/repo/src/${name}.js`,
+			rel: `src/${name}.js`,
+			content: `/** Sums ${name}. */\nfunction ${name}(values) {\n  let total = 0;\n${body}\n  return total;\n}\n`
+		}));
+		const tokenizer = getTokenizer('chars');
+		const { chunks, downgrades } = fitToBudget(files, 1200, undefined, tokenizer);
+		assert.strictEqual(chunks.length, 1);
+		assert.ok(chunks[0].tokens <= 1200);
+		// Everything is compressed before the least important files lose their bodies
+		assert.deepStrictEqual(downgrades.map(d => d.level), ['compressed', 'compressed', 'skeleton', 'skeleton']);
+		assert.ok(downgrades.every(d => d.tokens < d.originalTokens));
+		assert.ok(chunks[0].content.includes('src/d.js  skeleton    421 -> 11'));
+		assert.ok(chunks[0].content.includes('/** Sums d. */\nfunction d(values) { ... }'));
+	});
+
+	test('keeps pretty-printed JSON parts within the token limit', () => {
+		const files = Array.from({ length: 150 }, (_, i) => ({ rel: `src/m${i}.js`, content: `export const v${i} = ${i};\n`.repeat(12), stats: { size: 10, mtime: new Date(0) }, score: 1 }));
+		const chunks = createChunksEfficiently(files, 8000, getFormatter('json'), getTokenizer('chars'));
+		assert.ok(chunks.length > 1);
+		assert.ok(chunks.every(chunk => chunk.tokens <= 8000));
+		assert.strictEqual(chunks.reduce((sum, chunk) => sum + JSON.parse(chunk.content).files.length, 0), 150);
+	});
+
+	test('reads unsaved editor content instead of the disk and marks it', async () => {
+		const tokenizer = getTokenizer('chars');
+		const unsaved = new Map([['/repo/untitled:Untitled-1', 'const draft = 1;\r\n']]);
+		const [result] = await processFilesInParallel([...unsaved.keys()], '/repo', 1000, 4, {
+			tokenizer,
+			contentFor: file => unsaved.get(file)
+		});
+		assert.strictEqual(result.content, 'const draft = 1;\n');
+		assert.strictEqual(result.unsaved, true);
+		assert.strictEqual(result.stats.size, 18);
+		assert.match(result.hash, /^[0-9a-f]{40}$/);
+		const [chunk] = createChunksEfficiently([{ ...result, rel: 'Untitled-1' }], 1000, undefined, tokenizer);
+		assert.ok(chunk.content.includes('Untitled-1 (5 tokens, unsaved)'));
+		assert.ok(chunk.content.includes('=== FILE: Untitled-1 [unsaved] ===\nconst draft = 1;\n'));
+	});
+});
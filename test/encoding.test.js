@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { decodeContent, compileEncodingRules, getEncodingOverride } = require('../lib/encoding');
+
+suite('Encoding Test Suite', () => {
+	const utf16 = (text, bom = true) => Buffer.concat([Buffer.from(bom ? [0xFF, 0xFE] : []), Buffer.from(text, 'utf16le')]);
+
+	test('decodes UTF-8, byte order marks and UTF-16 with normalized line endings', () => {
+		assert.deepStrictEqual(decodeContent(Buffer.from('const café = 1;\r\nold();\r')), { content: 'const café = 1;\nold();\n', encoding: 'utf-8', binary: null });
+		assert.strictEqual(decodeContent(Buffer.from('\uFEFFbom\n')).content, 'bom\n');
+		assert.deepStrictEqual(decodeContent(utf16('SELECT 1;\r\n')), { content: 'SELECT 1;\n', encoding: 'utf-16le', binary: null });
+		assert.deepStrictEqual(decodeContent(utf16('SELECT 1;\r\n', false)), { content: 'SELECT 1;\n', encoding: 'utf-16le', binary: null });
+		const be = Buffer.from(utf16('GO', false)).swap16();
+		assert.strictEqual(decodeContent(be).encoding, 'utf-16be');
+	});
+
+	test('falls back to Windows-1252 for text that is not UTF-8', () => {
+		const latin1 = Buffer.from('<?php echo "Größe: 5€";', 'latin1');
+		latin1[latin1.length - 3] = 0x80;
+		assert.deepStrictEqual(decodeContent(latin1), { content: '<?php echo "Größe: 5€";', encoding: 'windows-1252', binary: null });
+	});
+
+	test('detects binaries by magic number, NUL bytes and control characters', () => {
+		assert.strictEqual(decodeContent(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00])).binary, 'binary file (PNG image)');
+		assert.strictEqual(decodeContent(Buffer.from('%PDF-1.7\n')).binary, 'binary file (PDF document)');
+		assert.strictEqual(decodeContent(Buffer.from('abc\x00\x00\x00\x01def')).binary, 'binary file (contains NUL bytes)');
+		assert.strictEqual(decodeContent(Buffer.from('\x01\x02\x03\x04abc')).binary, 'binary file (mostly control characters)');
+		assert.deepStrictEqual(decodeContent(Buffer.from('')), { content: '', encoding: 'utf-8', binary: null });
+	});
+
+	test('encoding rules override detection, the last match winning', () => {
+		const encodings = compileEncodingRules(['**/*.sql utf-16le', 'legacy/** latin1', 'legacy/*.dat binary', 'src/** klingon', '*.txt']);
+		assert.deepStrictEqual(encodings.errors, ['Invalid encoding rule "src/** klingon"', 'Invalid encoding rule "*.txt"']);
+		assert.strictEqual(getEncodingOverride('db/dump.sql', encodings), 'utf-16le');
+		assert.strictEqual(getEncodingOverride('legacy/index.php', encodings), 'windows-1252');
+		assert.strictEqual(getEncodingOverride('legacy/blob.dat', encodings), 'binary');
+		assert.strictEqual(getEncodingOverride('src/index.js', encodings), null);
+
+		// An explicit encoding reads the file as text even when it would look binary
+		assert.strictEqual(decodeContent(Buffer.from('a\x00b'), 'windows-1252').content, 'a\x00b');
+		assert.strictEqual(decodeContent(Buffer.from('text'), 'binary').binary, 'binary file (encoding: rule)');
+	});
+});
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const { getFormatter } = require('../lib/formatters');
+
+suite('Formatters Test Suite', () => {
+	const files = [
+		{ rel: 'src/index.ts', content: 'export const a = 1;', stats: { size: 19, mtime: new Date(0) }, score: 80 },
+		{ rel: 'README.md', content: 'Use ```js``` fences', stats: { size: 19, mtime: new Date(0) }, score: 60 }
+	];
+
+	test('resolves names and aliases', () => {
+		assert.strictEqual(getFormatter('md').name, 'markdown');
+		assert.strictEqual(getFormatter().name, 'txt');
+		assert.strictEqual(getFormatter('docx'), null);
+	});
+
+	test('markdown tags fences with the language and avoids collisions', () => {
+		const output = getFormatter('markdown').render({ tree: 'tree\n', files });
+		assert.ok(output.includes('```typescript\nexport const a = 1;\n```'));
+		assert.ok(output.includes('````markdown\nUse ```js``` fences\n````'));
+	});
+
+	test('xml wraps content in file elements', () => {
+		const output = getFormatter('xml').render({ tree: 'tree\n', files });
+		assert.ok(output.includes('<file path="src/index.ts" language="typescript">'));
+		assert.ok(output.endsWith('</repository>\n'));
+		const redacted = getFormatter('xml').render({ tree: 'tree\n', files, redactions: [{ path: 'a.js', total: 1, counts: { 'db "prod" & more': 1 } }] });
+		assert.ok(redacted.includes('<file path="a.js" count="1" kinds="db &quot;prod&quot; &amp; more"/>'));
+	});
+
+	test('json manifest carries per-file metadata', () => {
+		const manifest = JSON.parse(getFormatter('json').render({ tree: 'tree\n', files }));
+		assert.deepStrictEqual(manifest.files[0], {
+			path: 'src/index.ts',
+			size: 19,
+			score: 80,
+			tokens: null,
+			mtime: '1970-01-01T00:00:00.000Z',
+			language: 'typescript',
+			content: 'export const a = 1;'
+		});
+		assert.strictEqual(manifest.skipped, undefined);
+	});
+
+	test('marks unsaved files and prefers a known language', () => {
+		const draft = { rel: 'Untitled-1', content: 'x = 1', language: 'python', unsaved: true };
+		assert.ok(getFormatter('markdown').renderFile(draft).includes('## Untitled-1 [unsaved]\n\n```python\nx = 1'));
+		assert.ok(getFormatter('xml').renderFile(draft).startsWith('<file path="Untitled-1" language="python" unsaved="true">'));
+		assert.strictEqual(getFormatter('json').toEntry(draft).unsaved, true);
+	});
+});
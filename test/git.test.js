@@ -0,0 +1,74 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getChangedFiles, getFileDiff, getDiffStat, isGitRepository, getFileHistory, resolveCommit } = require('../lib/git');
+
+suite('Git Test Suite', () => {
+	let root;
+	const git = (...args) => execFileSync('git', args, { cwd: root, stdio: 'pipe' });
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-git-'));
+		git('init', '-q');
+		git('config', 'user.email', 'test@example.com');
+		git('config', 'user.name', 'Test');
+		fs.writeFileSync(path.join(root, 'keep.js'), 'const a = 1;\n');
+		fs.writeFileSync(path.join(root, 'gone.js'), 'const b = 2;\n');
+		fs.writeFileSync(path.join(root, 'old.js'), 'module.exports = "a fairly long line so rename detection works";\n');
+		git('add', '.');
+		git('commit', '-q', '-m', 'initial');
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('detects repositories', async () => {
+		assert.strictEqual(await isGitRepository(root), true);
+		assert.strictEqual(await isGitRepository(os.tmpdir()), false);
+	});
+
+	test('lists working tree changes including untracked files', async () => {
+		fs.writeFileSync(path.join(root, 'keep.js'), 'const a = 2;\n');
+		fs.unlinkSync(path.join(root, 'gone.js'));
+		fs.writeFileSync(path.join(root, 'new.js'), 'new\n');
+		const changes = await getChangedFiles(root, { base: 'HEAD' });
+		const byPath = Object.fromEntries(changes.map(c => [c.path, c]));
+		assert.strictEqual(byPath['keep.js'].status, 'modified');
+		assert.strictEqual(byPath['gone.js'].status, 'deleted');
+		assert.strictEqual(byPath['new.js'].untracked, true);
+
+		const diff = await getFileDiff(root, byPath['new.js'], { base: 'HEAD' });
+		assert.ok(diff.includes('+new'));
+		assert.ok((await getDiffStat(root, { base: 'HEAD' })).includes('2 files changed'));
+	});
+
+	test('staged mode only sees the index and reports renames', async () => {
+		git('mv', 'old.js', 'renamed.js');
+		fs.writeFileSync(path.join(root, 'keep.js'), 'unstaged\n');
+		const changes = await getChangedFiles(root, { base: 'HEAD', staged: true });
+		assert.deepStrictEqual(changes, [{ path: 'renamed.js', status: 'renamed', oldPath: 'old.js' }]);
+	});
+
+	test('never reads a base ref as an option', async () => {
+		assert.match(await resolveCommit(root, 'HEAD'), /^[0-9a-f]{40}$/);
+		assert.strictEqual(await resolveCommit(root, 'no-such-branch'), null);
+		const output = path.join(root, 'written.txt');
+		assert.strictEqual(await resolveCommit(root, `--output=${output}`), null);
+		await assert.rejects(getChangedFiles(root, { base: `--output=${output}` }));
+		assert.ok(!fs.existsSync(output));
+	});
+
+	test('reports last commit and churn per file', async () => {
+		fs.writeFileSync(path.join(root, 'keep.js'), 'const a = 3;\n');
+		git('commit', '-q', '-am', 'second');
+		const history = await getFileHistory(root);
+		assert.strictEqual(history.get('keep.js').commits, 2);
+		assert.strictEqual(history.get('gone.js').commits, 1);
+		assert.ok(history.get('keep.js').lastCommit instanceof Date);
+		assert.ok(Date.now() - history.get('keep.js').lastCommit < 60 * 60 * 1000);
+		assert.strictEqual((await getFileHistory(root, { maxCommits: 1 })).has('gone.js'), false);
+	});
+});
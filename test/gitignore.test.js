@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GitIgnoreMatcher, parseGitIgnore } = require('../lib/gitignore');
+
+suite('GitIgnore Test Suite', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-gitignore-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('parses comments, negation and directory-only rules', () => {
+		const rules = parseGitIgnore('# comment\n\n!keep.log\nbuild/\n\\#literal\n');
+		assert.strictEqual(rules.length, 3);
+		assert.strictEqual(rules[0].negate, true);
+		assert.strictEqual(rules[1].dirOnly, true);
+		assert.ok(rules[2].regex.test('#literal'));
+	});
+
+	test('unanchored patterns match at any depth, anchored only at the base', async () => {
+		fs.writeFileSync(path.join(root, '.gitignore'), '*.log\n/generated\ndocs/*.md\n');
+		const matcher = await new GitIgnoreMatcher(root).init();
+		assert.ok(matcher.isIgnored('a/b/debug.log', false));
+		assert.ok(matcher.isIgnored('generated', true));
+		assert.ok(!matcher.isIgnored('src/generated', true));
+		assert.ok(matcher.isIgnored('docs/intro.md', false));
+		assert.ok(!matcher.isIgnored('docs/api/intro.md', false));
+	});
+
+	test('trailing slash only matches directories', async () => {
+		fs.writeFileSync(path.join(root, '.gitignore'), 'out/\n');
+		const matcher = await new GitIgnoreMatcher(root).init();
+		assert.ok(matcher.isIgnored('out', true));
+		assert.ok(!matcher.isIgnored('out', false));
+	});
+
+	test('negation and nested .gitignore files, last match wins', async () => {
+		fs.mkdirSync(path.join(root, 'pkg'));
+		fs.writeFileSync(path.join(root, '.gitignore'), '*.gen.js\n');
+		fs.writeFileSync(path.join(root, 'pkg', '.gitignore'), '!keep.gen.js\n/local\n');
+		const matcher = await new GitIgnoreMatcher(root).init();
+		await matcher.loadDirectory('pkg');
+		assert.ok(matcher.isIgnored('pkg/other.gen.js', false));
+		assert.ok(!matcher.isIgnored('pkg/keep.gen.js', false));
+		assert.ok(matcher.isIgnored('pkg/local', true));
+		assert.ok(!matcher.isIgnored('local', true));
+	});
+
+	test('honors .git/info/exclude with lower precedence', async () => {
+		fs.mkdirSync(path.join(root, '.git', 'info'), { recursive: true });
+		fs.writeFileSync(path.join(root, '.git', 'info', 'exclude'), 'scratch/\n*.tmp\n');
+		fs.writeFileSync(path.join(root, '.gitignore'), '!important.tmp\n');
+		const matcher = await new GitIgnoreMatcher(root).init();
+		assert.ok(matcher.isIgnored('scratch', true));
+		assert.ok(matcher.isIgnored('a.tmp', false));
+		assert.ok(!matcher.isIgnored('important.tmp', false));
+	});
+
+	test('supports ** and character classes', async () => {
+		fs.writeFileSync(path.join(root, '.gitignore'), 'a/**/z.txt\nlog[0-9].txt\n');
+		const matcher = await new GitIgnoreMatcher(root).init();
+		assert.ok(matcher.isIgnored('a/z.txt', false));
+		assert.ok(matcher.isIgnored('a/b/c/z.txt', false));
+		assert.ok(matcher.isIgnored('x/log3.txt', false));
+		assert.ok(!matcher.isIgnored('x/logA.txt', false));
+	});
+});
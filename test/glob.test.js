@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { compileGlob, compileGlobs, matchesGlobs, expandBraces, toLiteralPattern } = require('../lib/glob');
+
+suite('Glob Test Suite', () => {
+	const matches = (pattern, relPath, isDirectory = false) => compileGlob(pattern).test(relPath, isDirectory);
+
+	test('patterns without a slash match names at any depth', () => {
+		assert.ok(matches('*.min.js', 'public/js/app.min.js'));
+		assert.ok(matches('node_modules', 'packages/a/node_modules/x/index.js'));
+		assert.ok(!matches('*.min.js', 'app.js'));
+	});
+
+	test('a leading or middle slash anchors to the root', () => {
+		assert.ok(matches('/generated/**', 'generated/api/client.ts'));
+		assert.ok(matches('/generated/**', 'generated', true));
+		assert.ok(!matches('/generated/**', 'src/generated/client.ts'));
+		assert.ok(matches('docs/api', 'docs/api/index.md'));
+		assert.ok(!matches('docs/api', 'site/docs/api/index.md'));
+		assert.ok(matches('src/**', 'src/index.js'));
+		assert.ok(!matches('src/**', 'lib/src/index.js'));
+	});
+
+	test('supports braces, character classes, ** and directory-only patterns', () => {
+		assert.deepStrictEqual(expandBraces('src/*.{js,{ts,tsx}}'), ['src/*.js', 'src/*.ts', 'src/*.tsx']);
+		assert.ok(matches('*.{js,ts}', 'lib/index.ts'));
+		assert.ok(!matches('*.{js,ts}', 'lib/index.tsx'));
+		assert.ok(matches('test[0-9].js', 'test7.js'));
+		assert.ok(!matches('test[!0-9].js', 'test7.js'));
+		assert.ok(matches('a/**/b.js', 'a/b.js'));
+		assert.ok(matches('a/**/b.js', 'a/x/y/b.js'));
+		assert.ok(!matches('build/', 'build'));
+		assert.ok(matches('build/', 'build', true));
+		assert.ok(matches('build/', 'build/out.js'));
+	});
+
+	test('tells whether a pattern could match inside a directory', () => {
+		assert.ok(compileGlob('src/**/*.ts').couldMatchBeneath('src/a'));
+		assert.ok(!compileGlob('src/**/*.ts').couldMatchBeneath('lib'));
+		assert.ok(compileGlob('*.md').couldMatchBeneath('docs'));
+	});
+
+	test('normalizes Windows separators', () => {
+		assert.ok(matches('src/*.js', 'src\\index.js'));
+		assert.ok(matches('node_modules', 'a\\node_modules\\b.js'));
+	});
+
+	test('the last matching pattern wins', () => {
+		const matchers = compileGlobs(['build', '!build/keep.js', '']);
+		assert.strictEqual(matchers.length, 2);
+		assert.ok(matchesGlobs(matchers, 'build/out.js'));
+		assert.ok(!matchesGlobs(matchers, 'build/keep.js'));
+	});
+
+	test('literal patterns match exactly one path', () => {
+		const pattern = toLiteralPattern('src/[id]/*.{js}');
+		assert.strictEqual(pattern, '/src/\\[id\\]/\\*.\\{js\\}');
+		assert.ok(compileGlob(pattern).test('src/[id]/*.{js}'));
+		assert.ok(!compileGlob(pattern).test('src/i/a.js'));
+		assert.ok(!compileGlob(toLiteralPattern('a.js')).test('lib/a.js'));
+	});
+});
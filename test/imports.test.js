@@ -0,0 +1,93 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseImports, loadPathAliases, resolveImport, getImportDistances } = require('../lib/imports');
+
+suite('Imports Test Suite', () => {
+	let root;
+
+	const write = (rel, content) => {
+		const fullPath = path.join(root, rel);
+		fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+		fs.writeFileSync(fullPath, content);
+		return fullPath;
+	};
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-imports-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('parses JS/TS imports, re-exports and requires but not comments', () => {
+		const source = [
+			"import React, { useState } from 'react';",
+			"import type { User } from './types';",
+			"import './styles.css';",
+			"export * from './util';",
+			"export { a,\n  b } from '../lib';",
+			"const fs = require('fs');",
+			"const lazy = await import('./lazy.js');",
+			"// import nope from './commented';",
+			"const url = 'http://example.com'; // require('./also-commented')"
+		].join('\n');
+		assert.deepStrictEqual(parseImports(source, 'a.tsx').sort(), ['../lib', './lazy.js', './styles.css', './types', './util', 'fs', 'react']);
+	});
+
+	test('parses Python imports', () => {
+		const source = 'import os, pkg.sub as s\nfrom . import helpers\nfrom ..core import (models,\n  views)\nfrom app.db import *\n# import hidden\n';
+		assert.deepStrictEqual(parseImports(source, 'a.py').sort(), ['.', '..core', '..core.models', '..core.views', '.helpers', 'app.db', 'os', 'pkg.sub']);
+		assert.deepStrictEqual(parseImports(source, 'notes.txt'), []);
+	});
+
+	test('resolves relative paths, index files, .js specifiers of .ts sources and aliases', async () => {
+		const entry = write('src/main.ts', '');
+		const files = new Set([
+			write('src/util/index.ts', ''),
+			write('src/model.ts', ''),
+			write('src/components/Button.tsx', '')
+		]);
+		write('tsconfig.json', '{\n  // comments are allowed\n  "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"] }, },\n}');
+		const options = { rootPath: root, aliases: await loadPathAliases(root), exists: p => files.has(p) };
+		assert.strictEqual(resolveImport('./util', entry, options), path.join(root, 'src/util/index.ts'));
+		assert.strictEqual(resolveImport('./model.js', entry, options), path.join(root, 'src/model.ts'));
+		assert.strictEqual(resolveImport('@/components/Button', entry, options), path.join(root, 'src/components/Button.tsx'));
+		assert.strictEqual(resolveImport('src/model', entry, options), path.join(root, 'src/model.ts'));
+		assert.strictEqual(resolveImport('react', entry, options), null);
+	});
+
+	test('measures import distance breadth-first', async () => {
+		const entry = write('app/main.py', 'from .views import index\nimport app.db\n');
+		const files = new Set([
+			entry,
+			write('app/__init__.py', ''),
+			write('app/views.py', 'from . import models\n'),
+			write('app/db.py', ''),
+			write('app/models.py', 'from .views import index\n'),
+			write('app/unused.py', '')
+		]);
+		const distances = await getImportDistances(entry, { rootPath: root, exists: p => files.has(p) });
+		const byRel = Object.fromEntries([...distances].map(([file, d]) => [path.relative(root, file).split(path.sep).join('/'), d]));
+		assert.deepStrictEqual(byRel, {
+			'app/main.py': 0,
+			'app/views.py': 1,
+			'app/db.py': 1,
+			'app/__init__.py': 2,
+			'app/models.py': 2
+		});
+	});
+
+	test('reports files it cannot read instead of following them', async () => {
+		const entry = write('src/index.js', "import { run } from './gone';\n");
+		const gone = write('src/gone.js', '');
+		fs.unlinkSync(gone);
+		const warnings = [];
+		const distances = await getImportDistances(entry, { rootPath: root, exists: p => p === entry || p === gone, onWarning: message => warnings.push(message) });
+		assert.deepStrictEqual([...distances.values()], [0, 1]);
+		assert.strictEqual(warnings.length, 1);
+		assert.ok(warnings[0].startsWith(`Could not read ${gone} for imports:`));
+	});
+});
@@ -0,0 +1,55 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseListSetting, compileIncludeRules, checkInclusion } = require('../lib/include');
+const { getLanguageId, getShebangLanguage } = require('../lib/languages');
+
+suite('Inclusion Test Suite', () => {
+	let root;
+	const check = async (name, include, content = '') => {
+		const fullPath = path.join(root, ...name.split('/'));
+		fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+		fs.writeFileSync(fullPath, content);
+		return checkInclusion(fullPath, name, include);
+	};
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-include-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('matches extensions, file names, dotfiles and globs', async () => {
+		const include = compileIncludeRules(['.js', '.gitignore', 'Dockerfile', 'CHANGELOG', '*.config.mjs', 'scripts/*.tpl']);
+		assert.deepStrictEqual(await check('src/a.js', include), { included: true, reason: 'extension ".js" is in includeExtensions' });
+		assert.deepStrictEqual(await check('docker/Dockerfile', include), { included: true, reason: 'file name "Dockerfile" is in includeExtensions' });
+		assert.strictEqual((await check('.gitignore', include)).included, true);
+		assert.strictEqual((await check('CHANGELOG', include)).included, true);
+		assert.deepStrictEqual(await check('vite.config.mjs', include), { included: true, reason: '"*.config.mjs" in includeExtensions matches' });
+		assert.strictEqual((await check('scripts/run.tpl', include)).included, true);
+		assert.strictEqual((await check('other/run.tpl', include)).included, false);
+		assert.deepStrictEqual(await check('logo.png', include), { included: false, reason: 'extension ".png" is not in includeExtensions' });
+	});
+
+	test('includes languages by extension, file name and shebang', async () => {
+		const include = compileIncludeRules(['.sh'], parseListSetting('[dockerfile, python]'));
+		assert.deepStrictEqual(await check('Dockerfile.prod', include), { included: true, reason: 'language "dockerfile" is in includeLanguages' });
+		assert.strictEqual((await check('tool.py', include)).included, true);
+		assert.deepStrictEqual(await check('bin/deploy', include, '#!/bin/bash\necho hi\n'), { included: true, reason: 'shebang "#!/bin/bash" makes it a shellscript script' });
+		assert.strictEqual((await check('bin/migrate', include, '#!/usr/bin/env python3\n')).included, true);
+		assert.deepStrictEqual(await check('bin/serve', include, '#!/usr/bin/env node\n'), { included: false, reason: '"serve" has no extension and no included file name, language or shebang' });
+		assert.strictEqual((await check('Makefile', include)).included, false);
+	});
+
+	test('detects languages from file names and shebangs', () => {
+		assert.strictEqual(getLanguageId('build/Makefile'), 'makefile');
+		assert.strictEqual(getLanguageId('Jenkinsfile'), 'groovy');
+		assert.strictEqual(getLanguageId('bin/cli', '#!/usr/bin/env -S node --no-warnings\n'), 'javascript');
+		assert.strictEqual(getLanguageId('bin/cli', 'no shebang'), 'plaintext');
+		assert.strictEqual(getShebangLanguage('#!/usr/local/bin/python3.11'), 'python');
+		assert.strictEqual(getShebangLanguage('#!/usr/bin/awk -f'), null);
+	});
+});
@@ -0,0 +1,24 @@
+const assert = require('assert');
+const { getModelPreset, getModelPresets, compileModelPresets, getOutputBudget } = require('../lib/models');
+
+suite('Model Presets Test Suite', () => {
+	test('looks up built-in presets case-insensitively', () => {
+		const preset = getModelPreset('GPT-4o');
+		assert.strictEqual(preset.name, 'gpt-4o');
+		assert.strictEqual(preset.tokenizer, 'o200k');
+		assert.strictEqual(getOutputBudget(preset), 112000);
+		assert.strictEqual(getModelPreset('unknown-model'), null);
+	});
+
+	test('user presets extend and override the table', () => {
+		const custom = {
+			'Internal-LLM': { contextWindow: 64000, reserve: 4000, format: 'xml' },
+			'gpt-4': { contextWindow: 16000 },
+			broken: { reserve: 10 }
+		};
+		assert.strictEqual(getOutputBudget(getModelPreset('internal-llm', custom)), 60000);
+		assert.strictEqual(getModelPreset('gpt-4', custom).contextWindow, 16000);
+		assert.ok(!('broken' in getModelPresets(custom)));
+		assert.deepStrictEqual(compileModelPresets(custom).errors, ['Ignoring model preset "broken" in flattenRepo.modelPresets: contextWindow must be a positive number']);
+	});
+});
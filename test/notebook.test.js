@@ -0,0 +1,51 @@
+const assert = require('assert');
+const { getOutputMode, isNotebook, convertNotebook } = require('../lib/notebook');
+
+suite('Notebook Test Suite', () => {
+	const notebook = JSON.stringify({
+		cells: [
+			{ cell_type: 'markdown', metadata: {}, source: ['# Analysis\n', 'Loads the data.'] },
+			{
+				cell_type: 'code',
+				execution_count: 3,
+				metadata: { collapsed: false },
+				source: 'import pandas as pd\nprint(len(df))\n',
+				outputs: [
+					{ output_type: 'stream', name: 'stdout', text: ['42\n'] },
+					{ output_type: 'display_data', data: { 'image/png': 'iVBORw0KGgo=' }, metadata: {} },
+					{ output_type: 'execute_result', execution_count: 3, data: { 'text/plain': Array.from({ length: 25 }, (_, i) => `row ${i}\n`) } },
+					{ output_type: 'error', ename: 'KeyError', evalue: "'x'", traceback: ['\u001b[31mKeyError\u001b[0m'] }
+				]
+			}
+		],
+		metadata: { kernelspec: { name: 'ir', language: 'R' } },
+		nbformat: 4,
+		nbformat_minor: 5
+	});
+
+	test('converts cells in order and drops metadata', () => {
+		const converted = convertNotebook(notebook, { outputs: 'none' });
+		assert.strictEqual(converted.content, '# %% [markdown]\n# Analysis\nLoads the data.\n\n# %% [code]\nimport pandas as pd\nprint(len(df))\n');
+		assert.strictEqual(converted.cells, 2);
+		assert.strictEqual(converted.language, 'R');
+		assert.ok(isNotebook('notebooks/Analysis.IPYNB'));
+		assert.throws(() => convertNotebook('{"name": "package"}'), SyntaxError);
+	});
+
+	test('keeps text outputs and summarizes rich ones', () => {
+		const text = convertNotebook(notebook, { outputs: 'text' }).content;
+		assert.ok(text.includes('print(len(df))\n# Out:\n# 42\n# Out:\n# [image/png output omitted]\n# Out:\n# row 0\n'));
+		assert.ok(text.includes('# row 24\n# Out:\n# KeyError: \'x\'\n'));
+		assert.ok(!text.includes('iVBORw0KGgo') && !text.includes('execution_count'));
+
+		const truncated = convertNotebook(notebook).content;
+		assert.ok(truncated.includes('# row 19\n# ... (5 more lines)\n# Out:\n# KeyError'));
+		assert.ok(!truncated.includes('row 20'));
+	});
+
+	test('resolves the notebookOutputs setting', () => {
+		assert.strictEqual(getOutputMode(undefined), 'truncated');
+		assert.strictEqual(getOutputMode('Text'), 'text');
+		assert.strictEqual(getOutputMode('all'), null);
+	});
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const path = require('path');
+const { compileScoringRules, computeScore, compareScores } = require('../lib/scoring');
+const { loadFileHistory } = require('../lib/core');
+
+suite('Scoring Test Suite', () => {
+	const file = overrides => ({ relative: 'src/index.ts', size: 2048, ageDays: 30, commits: 1, ...overrides });
+
+	test('built-in rules match the original heuristic', () => {
+		const scoring = compileScoringRules();
+		assert.strictEqual(computeScore(file(), scoring).score, 95);
+		assert.strictEqual(computeScore(file({ relative: 'test/a.spec.js', size: 20 * 1024 }), scoring).score, 60);
+		assert.strictEqual(computeScore(file({ relative: 'big.bin', size: 600 * 1024, ageDays: 1 }), scoring).score, 40);
+		assert.deepStrictEqual(computeScore(file({ relative: 'README.md' }), scoring).breakdown, [
+			{ rule: 'base 50', points: 50 },
+			{ rule: 'size <10kb +20', points: 20 }
+		]);
+	});
+
+	test('custom rules add to the defaults or replace them', () => {
+		const scoring = compileScoringRules(['path docs/** +5', 'churn >=10 +8', 'recency <=2d +1', 'base 40']);
+		const result = computeScore(file({ relative: 'docs/guide.md', commits: 12, ageDays: 1 }), scoring);
+		assert.strictEqual(result.score, 40 + 20 + 10 + 5 + 8 + 1);
+
+		const replaced = compileScoringRules(['defaults off', 'ext md +30']);
+		assert.strictEqual(computeScore(file({ relative: 'docs/guide.md' }), replaced).score, 80);
+		assert.strictEqual(computeScore(file(), replaced).score, 50);
+	});
+
+	test('reads the git history only for recency and churn rules of the scoring section', async () => {
+		const repoRoot = path.join(__dirname, '..');
+		assert.strictEqual(await loadFileHistory(repoRoot, compileScoringRules()), null);
+		assert.ok((await loadFileHistory(repoRoot, compileScoringRules(['churn >5 +5']))) instanceof Map);
+	});
+
+	test('reports invalid rules', () => {
+		const { errors, rules } = compileScoringRules(['defaults off', 'size ~10kb +5', 'path src/**', 'color red +1', 'size 1mb-2mb -5']);
+		assert.deepStrictEqual(errors, ['Invalid scoring rule "size ~10kb +5"', 'Invalid scoring rule "path src/**"', 'Invalid scoring rule "color red +1"']);
+		assert.strictEqual(rules.length, 1);
+	});
+
+	test('pinned files sort first in pin order', () => {
+		const scoring = compileScoringRules(['pin docs/intro.md', 'pin README.md']);
+		const files = ['src/index.ts', 'README.md', 'docs/intro.md', 'lib/a.js']
+			.map(relative => ({ relative, ...computeScore(file({ relative }), scoring) }));
+		assert.deepStrictEqual(files.sort(compareScores).map(f => f.relative), ['docs/intro.md', 'README.md', 'src/index.ts', 'lib/a.js']);
+		assert.deepStrictEqual(files[1].breakdown.slice(-1), [{ rule: 'pin README.md', points: 0 }]);
+	});
+});
@@ -0,0 +1,30 @@
+const assert = require('assert');
+const { getTokenizer, describeFallback, approximateTokens } = require('../lib/tokenizer');
+
+suite('Tokenizer Test Suite', () => {
+	test('defaults to cl100k and resolves aliases', () => {
+		assert.strictEqual(getTokenizer().name, 'cl100k');
+		assert.strictEqual(getTokenizer('o200k_base').name, 'o200k');
+		assert.strictEqual(getTokenizer('gpt2000'), null);
+	});
+
+	test('counts BPE tokens rather than characters', () => {
+		const tokenizer = getTokenizer('cl100k');
+		assert.strictEqual(tokenizer.count('hello world'), 2);
+		assert.notStrictEqual(tokenizer.count('a b c d e f g h'), approximateTokens('a b c d e f g h'));
+	});
+
+	test('treats special token markers as text', () => {
+		assert.ok(getTokenizer('o200k').count('before <|endoftext|> after') > 3);
+	});
+
+	test('approximate counter uses four characters per token', () => {
+		assert.strictEqual(getTokenizer('chars').count('12345678'), 2);
+	});
+
+	test('describes a fallback to approximate counts', () => {
+		assert.strictEqual(describeFallback(getTokenizer('cl100k')), null);
+		const fallback = { ...getTokenizer('chars'), fallback: { requested: 'o200k', reason: 'Cannot find module' } };
+		assert.strictEqual(describeFallback(fallback), 'Could not load the o200k tokenizer (Cannot find module); token counts are approximate (4 characters per token)');
+	});
+});